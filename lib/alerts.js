@@ -0,0 +1,225 @@
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { withLock } = require('./history');
+const { log } = require('./logger');
+
+const ROOT_DIR = path.resolve(__dirname, '..');
+const DEFAULT_ALERTS_FILE = path.resolve(ROOT_DIR, 'alerts.json');
+const DEFAULT_STATE_FILE = path.resolve(ROOT_DIR, 'alert_state.json');
+const DEFAULT_DEDUPE_MINUTES = 24 * 60;
+
+const EVENT_TYPES = ['new_value', 'config_changed', 'pricing_changed', 'content_changed', 'variant_new', 'variant_gone', 'visual_changed', 'crawl_stuck', 'crawl_error'];
+
+// Used when there is no alerts file: everything goes to stdout
+const DEFAULT_CONFIG = {
+  sinks: { stdout: { type: 'stdout' } },
+  routes: { '*': ['stdout'] },
+};
+
+// Replaces ${VAR} with process.env.VAR so webhook URLs and SMTP passwords can stay out of the file
+function interpolateEnv(value) {
+  if (typeof value === 'string') {
+    return value.replace(/\$\{(\w+)\}/g, (whole, name) => process.env[name] ?? '');
+  }
+  if (Array.isArray(value)) {
+    return value.map(interpolateEnv);
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, interpolateEnv(v)]));
+  }
+  return value;
+}
+
+function loadAlertConfig(file = DEFAULT_ALERTS_FILE) {
+  if (!fs.existsSync(file)) {
+    return DEFAULT_CONFIG;
+  }
+  const config = interpolateEnv(JSON.parse(fs.readFileSync(file, 'utf-8')));
+  for (const [name, sink] of Object.entries(config.sinks || {})) {
+    if (!SINKS[sink.type]) {
+      throw new Error(`Invalid alerts config ${file}: sink '${name}' has unknown type '${sink.type}'`);
+    }
+  }
+  for (const [type, names] of Object.entries(config.routes || {})) {
+    for (const name of names) {
+      if (!config.sinks || !config.sinks[name]) {
+        throw new Error(`Invalid alerts config ${file}: route '${type}' refers to unknown sink '${name}'`);
+      }
+    }
+  }
+  return config;
+}
+
+function formatText(event) {
+  return `${event.title}\n${event.message}`;
+}
+
+async function postJson(url, body, headers = {}) {
+  const res = await fetch(url, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json', ...headers },
+    body: JSON.stringify(body),
+  });
+  if (!res.ok) {
+    throw new Error(`POST ${url} responded ${res.status}`);
+  }
+}
+
+const SINKS = {
+  async webhook(sink, event) {
+    await postJson(sink.url, event, sink.headers);
+  },
+  async slack(sink, event) {
+    await postJson(sink.url, { text: `*${event.title}*\n${event.message}` });
+  },
+  async email(sink, event) {
+    const nodemailer = require('nodemailer');
+    const transport = sink.transport || {
+      host: sink.host,
+      port: sink.port || 587,
+      secure: Boolean(sink.secure),
+      auth: sink.user ? { user: sink.user, pass: sink.pass } : undefined,
+    };
+    const info = await nodemailer.createTransport(transport).sendMail({
+      from: sink.from,
+      to: sink.to,
+      subject: `[crawler] ${event.title}`,
+      text: `${event.message}\n\n${JSON.stringify(event.data, null, 2)}`,
+    });
+    return info.message;
+  },
+  async file(sink, event) {
+    fs.appendFileSync(path.resolve(ROOT_DIR, sink.path), `${JSON.stringify(event)}\n`);
+  },
+  async stdout(sink, event) {
+    log.warn(`Alert: ${formatText(event).replace(/\n/g, ' - ')}`, { alert: event.type });
+  },
+};
+
+function loadState(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf-8'));
+  } catch (e) {
+    return {};
+  }
+}
+
+// event: { type, title, message, dedupeKey?, data? }
+// config.routes maps an event type to sink names; '*' routes the types without a route of their
+// own, and a type with neither is dropped.
+// Events with the same type and dedupeKey are sent at most once per dedupe window. Alerters of
+// concurrent profile runs share the state file, so it is re-read on every send and merged on save.
+function createAlerter(config, { stateFile = DEFAULT_STATE_FILE, persistState = true } = {}) {
+  const dedupeMs = (config.dedupeMinutes ?? DEFAULT_DEDUPE_MINUTES) * 60 * 1000;
+  const state = {};
+  const lastSent = key => {
+    const times = [state[key], persistState ? loadState(stateFile)[key] : null].filter(Boolean);
+    return times.length > 0 ? times.sort().pop() : null;
+  };
+
+  async function send(event) {
+    const routes = config.routes || {};
+    const sinkNames = routes[event.type] || routes['*'] || [];
+    const key = event.dedupeKey ? `${event.type}:${event.dedupeKey}` : null;
+    const previous = key ? lastSent(key) : null;
+    if (previous && Date.now() - Date.parse(previous) < dedupeMs) {
+      log.info(`Suppressed duplicate alert ${key} (last sent ${previous})`);
+      return { sent: [], suppressed: true };
+    }
+    const fullEvent = { ...event, timestamp: new Date().toISOString() };
+    const sent = [];
+    for (const name of sinkNames) {
+      const sink = config.sinks[name];
+      try {
+        await SINKS[sink.type](sink, fullEvent);
+        sent.push(name);
+      } catch (err) {
+        log.error(`Alert sink ${name} (${sink.type}) failed: ${err}`);
+      }
+    }
+    if (key && sent.length > 0) {
+      state[key] = fullEvent.timestamp;
+      if (persistState) {
+        await withLock(stateFile, () => {
+          const saved = loadState(stateFile);
+          if (!saved[key] || saved[key] < fullEvent.timestamp) {
+            saved[key] = fullEvent.timestamp;
+          }
+          fs.writeFileSync(stateFile, JSON.stringify(saved, null, 2));
+        });
+      }
+    }
+    return { sent, suppressed: false };
+  }
+
+  return { send };
+}
+
+const SAMPLE_EVENTS = {
+  new_value: { title: 'New config value: some_field', message: '"variant-b" first seen at step 3 (option)', data: { path: 'some_field', value: 'variant-b' } },
+  config_changed: { title: 'Default config changed', message: '2 change(s) since run 2024-05-01T10-00-00-000Z:\n~ pricing.plan: "a" -> "b"\n+ flags.newPaywall: true', data: {} },
+  pricing_changed: { title: 'Pricing changed', message: '2 change(s) since run 2024-05-01T10-00-00-000Z:\n~ plans.4-week plan.price: 29.99 -> 34.99\n+ paymentMethods.PayPal: true', data: {} },
+  content_changed: { title: 'Funnel content changed: 1 copy change(s), 1 new accessibility violation(s)', message: 'Since run 2024-05-01T10-00-00-000Z:\n+ option:/onboarding/goal#1.headlines.What is your main goal?: true\n+ option:/onboarding/goal#1.contrast button[data-locator="CTAButton"]: "3.12:1 (#aaaaaa on #ffffff), needs 4.5:1"', data: {} },
+  variant_new: { title: 'New experiment variant 3f2a9c0d1e', message: 'config experiments.paywall="B"; screens skip_button > option > email_input\nLast 12 run(s):\n9b1c7e4a20: 8 run(s), 67%\n3f2a9c0d1e: 4 run(s), 33%', data: {} },
+  variant_gone: { title: 'Experiment variant 9b1c7e4a20 disappeared', message: 'Variant 9b1c7e4a20 has not come up in the last 10 run(s)', data: {} },
+  visual_changed: { title: 'Funnel UI changed on 1 screen(s)', message: 'option:/onboarding/goal#1: 4.20% of pixels', data: {} },
+  crawl_stuck: { title: 'Crawl stuck', message: 'No step detected 10 times on https://example.com/onboarding/step', data: { url: 'https://example.com/onboarding/step' } },
+  crawl_error: { title: 'Crawl errored', message: 'Error: net::ERR_NAME_NOT_RESOLVED', data: {} },
+};
+
+// Sends one sample event per type through the configured routes, with HTTP sinks pointed at a
+// local stand-in server and email rendered to JSON instead of going over SMTP.
+async function runAlertTest(config) {
+  const received = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      received.push({ path: req.url, body: JSON.parse(body || 'null') });
+      res.writeHead(204);
+      res.end();
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+  const sinks = {};
+  for (const [name, sink] of Object.entries(config.sinks)) {
+    if (sink.type === 'webhook' || sink.type === 'slack') {
+      sinks[name] = { ...sink, url: `${base}/${name}` };
+    } else if (sink.type === 'email') {
+      sinks[name] = { ...sink, transport: { jsonTransport: true } };
+    } else {
+      sinks[name] = sink;
+    }
+  }
+  const alerter = createAlerter({ ...config, sinks }, { persistState: false });
+  try {
+    for (const type of EVENT_TYPES) {
+      const result = await alerter.send({ type, ...SAMPLE_EVENTS[type] });
+      log.info(`Test ${type}: sent to ${result.sent.join(', ') || 'no sinks'}`);
+    }
+  } finally {
+    server.close();
+  }
+  for (const request of received) {
+    log.info(`Stand-in received POST ${request.path}: ${JSON.stringify(request.body)}`);
+  }
+  return received;
+}
+
+if (require.main === module && process.argv.includes('--test')) {
+  const file = process.env.ALERTS_FILE ? path.resolve(process.env.ALERTS_FILE) : DEFAULT_ALERTS_FILE;
+  runAlertTest(loadAlertConfig(file)).catch(err => {
+    console.error('Error:', err);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  EVENT_TYPES,
+  DEFAULT_ALERTS_FILE,
+  loadAlertConfig,
+  createAlerter,
+  runAlertTest,
+};
@@ -0,0 +1,291 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { SNAPSHOTS_DIR, diffJson } = require('./config-diff');
+
+const RESULTS_FILE = 'audit.json';
+// Used where the funnel's `audit` section doesn't say otherwise. `ignore` selectors (the
+// funnel's visual masks by default) keep timers and other live content out of the copy.
+// Contrast minimums are WCAG AA: 4.5:1 for body text, 3:1 for large text.
+const DEFAULT_AUDIT = {
+  enabled: true,
+  ignore: null,
+  minContrast: 4.5,
+  largeMinContrast: 3,
+};
+const COPY_CATEGORIES = ['headlines', 'options', 'buttons', 'disclaimers', 'text'];
+
+// Runs in the page. Accessibility problems of the current screen as { rule, target, detail }:
+// 'label' (form inputs without an accessible name), 'button-name', 'contrast' and 'focus-order'
+// (positive tabindex, clickable controls the keyboard can't reach, tab order against the visual
+// order). `copy` is the visible text by category, each element counted in the first that claims it.
+function inspectScreen({ ignore, minContrast, largeMinContrast }) {
+  const clean = text => (text || '').replace(/\s+/g, ' ').trim();
+  const rendered = el => el.getClientRects().length > 0 && getComputedStyle(el).visibility !== 'hidden';
+  const ignored = el => ignore.some(selector => {
+    try {
+      return Boolean(el.closest(selector));
+    } catch (e) {
+      return false;
+    }
+  });
+  const describe = (el) => {
+    const tag = el.tagName.toLowerCase();
+    const locator = el.getAttribute('data-locator');
+    if (locator) {
+      return `${tag}[data-locator="${locator}"]`;
+    }
+    const text = clean(el.textContent).slice(0, 40);
+    return `${tag}${el.id ? `#${el.id}` : ''}${text ? ` "${text}"` : ''}`;
+  };
+  const labelledBy = el => clean((el.getAttribute('aria-labelledby') || '').split(/\s+/)
+    .map(id => (document.getElementById(id) || {}).textContent || '').join(' '));
+  const violations = [];
+  const violation = (rule, el, detail) => violations.push({ rule, target: describe(el), detail });
+
+  for (const el of document.querySelectorAll('input:not([type=hidden]), select, textarea')) {
+    // Custom radios and checkboxes are often hidden behind their label, so the funnel's select inputs are always checked
+    if (!rendered(el) && !/select/i.test(el.getAttribute('data-locator') || '')) {
+      continue;
+    }
+    const name = clean(el.getAttribute('aria-label')) || labelledBy(el) || clean(el.title)
+      || [...(el.labels || [])].map(label => clean(label.textContent)).join(' ')
+      || (['radio', 'checkbox'].includes(el.type) ? '' : clean(el.placeholder));
+    if (!name) {
+      violation('label', el, `${el.type || el.tagName.toLowerCase()} input has no label`);
+    }
+  }
+
+  for (const el of document.querySelectorAll('button, [role=button], input[type=button], input[type=submit]')) {
+    if (!rendered(el)) {
+      continue;
+    }
+    const name = clean(el.getAttribute('aria-label')) || labelledBy(el) || clean(el.textContent) || clean(el.title)
+      || clean(el.value) || [...el.querySelectorAll('img[alt]')].map(img => clean(img.alt)).join(' ');
+    if (!name) {
+      violation('button-name', el, 'button has no accessible name');
+    }
+  }
+
+  const channel = value => {
+    const c = value / 255;
+    return c <= 0.03928 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4;
+  };
+  const luminance = ([r, g, b]) => 0.2126 * channel(r) + 0.7152 * channel(g) + 0.0722 * channel(b);
+  const parseColor = value => (value.match(/[\d.]+/g) || []).map(Number);
+  const hex = rgb => `#${rgb.slice(0, 3).map(c => Math.round(c).toString(16).padStart(2, '0')).join('')}`;
+  // Background behind `el`: the first opaque-ish ancestor colour; null over images, where it can't be told
+  const background = (el) => {
+    for (let node = el; node && node.nodeType === 1; node = node.parentElement) {
+      const style = getComputedStyle(node);
+      if (style.backgroundImage !== 'none') {
+        return null;
+      }
+      const [r, g, b, a = 1] = parseColor(style.backgroundColor);
+      if (a > 0) {
+        return [r, g, b];
+      }
+    }
+    return [255, 255, 255];
+  };
+  const checkedContrast = new Set();
+  const walker = document.createTreeWalker(document.body, NodeFilter.SHOW_TEXT);
+  for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+    const el = node.parentElement;
+    if (!clean(node.textContent) || !el || checkedContrast.has(el) || ['SCRIPT', 'STYLE', 'NOSCRIPT'].includes(el.tagName)
+      || !rendered(el) || ignored(el)) {
+      continue;
+    }
+    checkedContrast.add(el);
+    const style = getComputedStyle(el);
+    const bg = background(el);
+    if (!bg) {
+      continue;
+    }
+    const [r, g, b, a = 1] = parseColor(style.color);
+    const fg = [r, g, b].map((c, i) => c * a + bg[i] * (1 - a));
+    const [light, dark] = [luminance(fg), luminance(bg)].sort((x, y) => y - x);
+    const ratio = (light + 0.05) / (dark + 0.05);
+    const size = parseFloat(style.fontSize);
+    const large = size >= 24 || (size >= 18.66 && Number(style.fontWeight) >= 700);
+    if (ratio < (large ? largeMinContrast : minContrast)) {
+      violation('contrast', el, `${ratio.toFixed(2)}:1 (${hex(fg)} on ${hex(bg)}), needs ${large ? largeMinContrast : minContrast}:1`);
+    }
+  }
+
+  const FOCUSABLE = 'a[href], button, input:not([type=hidden]), select, textarea, [tabindex]';
+  for (const el of document.querySelectorAll('[tabindex]')) {
+    if (el.tabIndex > 0 && rendered(el)) {
+      violation('focus-order', el, `tabindex=${el.tabIndex} takes it out of the page order`);
+    }
+  }
+  for (const el of document.querySelectorAll('[data-locator*=option], [role=button], [role=radio], [role=checkbox], [role=option]')) {
+    if (rendered(el) && !el.matches(FOCUSABLE) && !el.querySelector(FOCUSABLE)) {
+      violation('focus-order', el, 'clickable but not reachable with the keyboard');
+    }
+  }
+  const tabOrder = [...document.querySelectorAll(FOCUSABLE)]
+    .filter(el => el.tabIndex === 0 && !el.disabled && rendered(el) && !ignored(el));
+  for (let i = 1; i < tabOrder.length; i++) {
+    const previous = tabOrder[i - 1].getBoundingClientRect();
+    const current = tabOrder[i].getBoundingClientRect();
+    // Tabbing moves clearly up the screen: the element sits entirely above the one before it
+    if (current.bottom < previous.top) {
+      violation('focus-order', tabOrder[i], `reached after ${describe(tabOrder[i - 1])}, which is below it`);
+    }
+  }
+
+  const SELECTORS = {
+    headlines: 'h1, h2, h3, h4, h5, h6, [role=heading]',
+    options: '[data-locator*=option], label:has(input[type=radio]), label:has(input[type=checkbox]), [role=radio], [role=checkbox], [role=option]',
+    buttons: 'button, [role=button], a[href]',
+    disclaimers: 'small, footer, [class*=disclaimer i], [class*=terms i], [class*=legal i], [data-locator*=disclaimer i], [data-locator*=terms i]',
+  };
+  const copy = { headlines: [], options: [], buttons: [], disclaimers: [], text: [] };
+  const claimed = new Set();
+  const add = (category, el) => {
+    const text = clean(el.innerText);
+    if (text && !copy[category].includes(text)) {
+      copy[category].push(text);
+    }
+  };
+  for (const [category, selector] of Object.entries(SELECTORS)) {
+    for (const el of document.querySelectorAll(selector)) {
+      if (![...claimed].some(owner => owner.contains(el)) && rendered(el) && !ignored(el)) {
+        claimed.add(el);
+        add(category, el);
+      }
+    }
+  }
+  const textWalker = document.createTreeWalker(document.body, NodeFilter.SHOW_TEXT);
+  const blocks = new Set();
+  for (let node = textWalker.nextNode(); node; node = textWalker.nextNode()) {
+    const el = node.parentElement;
+    if (clean(node.textContent) && el && !['SCRIPT', 'STYLE', 'NOSCRIPT'].includes(el.tagName)
+      && ![...claimed].some(owner => owner.contains(el)) && rendered(el) && !ignored(el)) {
+      blocks.add(el);
+    }
+  }
+  // Inline pieces (a <b> inside a <p>) are read with their block
+  for (const el of blocks) {
+    if (![...blocks].some(other => other !== el && other.contains(el))) {
+      add('text', el);
+    }
+  }
+
+  return { url: location.href, title: document.title, violations, copy };
+}
+
+// Audits the screen the page is on. Resolves to { key, step, stepType, url, title, violations, copy }.
+// config: the funnel's `audit` section (see DEFAULT_AUDIT); `mask` is the funnel's visual masks
+async function auditScreen(page, { key, step, stepType, config = {}, mask = [] }) {
+  const settings = { ...DEFAULT_AUDIT, ...config };
+  const result = await page.evaluate(inspectScreen, {
+    ignore: settings.ignore || mask,
+    minContrast: settings.minContrast,
+    largeMinContrast: settings.largeMinContrast,
+  });
+  return { key, step, stepType, ...result };
+}
+
+// The screen's copy as a text file, a section per category
+function formatCopy(screen) {
+  const sections = COPY_CATEGORIES
+    .filter(category => screen.copy[category].length > 0)
+    .map(category => `## ${category}\n${screen.copy[category].join('\n')}`);
+  return `# ${screen.key}\n${screen.url}\n\n${sections.join('\n\n')}\n`;
+}
+
+// audit.json holds every screen; copy-<n>.txt is each screen's copy on its own, named like the screenshots
+function writeAudit(runDir, screens) {
+  fs.writeFileSync(path.resolve(runDir, RESULTS_FILE), JSON.stringify({ screens }, null, 2));
+  for (const screen of screens) {
+    const name = String(screen.step ?? screen.key).replace(/[^\w.-]/g, '_');
+    fs.writeFileSync(path.resolve(runDir, `copy-${name}.txt`), formatCopy(screen));
+  }
+}
+
+// Keyed by screen, then by text and by violation, so an added or removed line is one change
+function comparable(screens) {
+  return Object.fromEntries(screens.map(screen => [screen.key, {
+    copy: Object.fromEntries(COPY_CATEGORIES.map(category => [category, Object.fromEntries(screen.copy[category].map(text => [text, true]))])),
+    violations: Object.fromEntries(screen.violations.map(v => [`${v.rule} ${v.target}`, v.detail])),
+  }]));
+}
+
+function snapshotFile(key, dir) {
+  return path.resolve(dir, `${key.replace(/[^\w.-]/g, '_')}-audit.json`);
+}
+
+// Diffs each screen's copy and violations against the last run that reached the screen, and makes
+// them the new baseline. Screens this run didn't reach keep their baseline, so a run that got stuck
+// halfway reports no copy as removed. Only new violations count; fixed ones are not news.
+function compareAudit({ key, runId, screens, dir = SNAPSHOTS_DIR }) {
+  const file = snapshotFile(key, dir);
+  let previous = null;
+  try {
+    previous = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  } catch (e) {
+    // First audit for this key
+  }
+  const current = comparable(screens);
+  const copy = [];
+  const accessibility = [];
+  if (previous) {
+    for (const [screen, audit] of Object.entries(current)) {
+      const before = previous.screens[screen];
+      if (!before) {
+        continue;
+      }
+      copy.push(...diffJson({ [screen]: before.copy }, { [screen]: audit.copy }, { ignore: [] }));
+      accessibility.push(...diffJson({ [screen]: before.violations }, { [screen]: audit.violations }, { ignore: [] })
+        .filter(change => change.type === 'added'));
+    }
+  }
+  const runs = { ...(previous ? previous.runs : {}), ...Object.fromEntries(Object.keys(current).map(screen => [screen, runId])) };
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(file, JSON.stringify({ key, runId, runs, screens: { ...(previous ? previous.screens : {}), ...current } }, null, 2));
+  // Grouped like a config diff, so summarizeDiff() and the report render it the same way
+  const grouped = {
+    ...(copy.length > 0 ? { copy } : {}),
+    ...(accessibility.length > 0 ? { accessibility } : {}),
+  };
+  return {
+    previousRunId: previous ? previous.runId : null,
+    runId,
+    changes: grouped,
+    total: copy.length + accessibility.length,
+    hash: crypto.createHash('sha1').update(JSON.stringify(grouped)).digest('hex').slice(0, 12),
+  };
+}
+
+// Violation counts by rule, and the screens with their violations, for the run report
+function summarizeAudit(screens) {
+  const byRule = {};
+  for (const screen of screens) {
+    for (const v of screen.violations) {
+      byRule[v.rule] = (byRule[v.rule] || 0) + 1;
+    }
+  }
+  return {
+    screens: screens.map(({ key, step, url, violations }) => ({ key, step, url, violations })),
+    violations: Object.values(byRule).reduce((sum, count) => sum + count, 0),
+    byRule,
+  };
+}
+
+function describeAudit(summary) {
+  const rules = Object.entries(summary.byRule).map(([rule, count]) => `${count} ${rule}`);
+  return `${summary.screens.length} screen(s), ${summary.violations} accessibility violation(s)${rules.length ? ` (${rules.join(', ')})` : ''}`;
+}
+
+module.exports = {
+  DEFAULT_AUDIT,
+  inspectScreen,
+  auditScreen,
+  formatCopy,
+  writeAudit,
+  compareAudit,
+  summarizeAudit,
+  describeAudit,
+};
@@ -0,0 +1,215 @@
+const fs = require('fs');
+const { log } = require('./logger');
+
+const CAPTURE_FILE = 'requests.jsonl';
+const CAPTURED_RESOURCE_TYPES = ['xhr', 'fetch'];
+const REDACTED = '[REDACTED]';
+const EMAIL = /[\w.+-]+@[\w-]+(\.[\w-]+)+/g;
+// Used where the funnel's `capture` section doesn't say otherwise. `include`/`exclude` are
+// { host, path } rules whose fields are regexes; an empty `include` captures every API call.
+const DEFAULT_CAPTURE = {
+  enabled: true,
+  include: [],
+  exclude: [],
+  maxBodyBytes: 64 * 1024,
+  redact: {
+    emails: true,
+    headers: ['authorization', 'proxy-authorization', 'cookie', 'set-cookie', 'x-api-key', 'x-auth-token', 'x-csrf-token'],
+    // Body fields and query parameters whose names match one of these
+    fields: ['token', 'secret', 'password', 'passwd', 'session', 'auth', 'api_?key', 'card_?number', 'cvc', 'cvv'],
+    patterns: [],
+  },
+};
+
+function matchesRule(rule, url) {
+  return (!rule.host || new RegExp(rule.host, 'i').test(url.host))
+    && (!rule.path || new RegExp(rule.path, 'i').test(url.pathname));
+}
+
+function isCaptured(config, rawUrl) {
+  let url;
+  try {
+    url = new URL(rawUrl);
+  } catch (e) {
+    return false;
+  }
+  if (config.exclude.some(rule => matchesRule(rule, url))) {
+    return false;
+  }
+  return config.include.length === 0 || config.include.some(rule => matchesRule(rule, url));
+}
+
+// Redacts the parts of an exchange: header values by header name, body fields and query parameters
+// by field name, and email addresses and the extra patterns in any text
+function createRedactor({ emails, headers, fields, patterns }) {
+  const sensitiveField = fields.length > 0 ? new RegExp(fields.join('|'), 'i') : null;
+  const sensitiveHeaders = new Set(headers.map(name => name.toLowerCase()));
+  const extra = patterns.map(pattern => new RegExp(pattern, 'g'));
+  const text = (value) => {
+    let result = emails ? value.replace(EMAIL, '[EMAIL]') : value;
+    for (const pattern of extra) {
+      result = result.replace(pattern, REDACTED);
+    }
+    return result;
+  };
+  const value = (input) => {
+    if (typeof input === 'string') {
+      return text(input);
+    }
+    if (Array.isArray(input)) {
+      return input.map(value);
+    }
+    if (input && typeof input === 'object') {
+      return Object.fromEntries(Object.entries(input).map(([key, child]) => [
+        key,
+        sensitiveField && sensitiveField.test(key) && child !== null && typeof child !== 'object' ? REDACTED : value(child),
+      ]));
+    }
+    return input;
+  };
+  return {
+    value,
+    headers: (input = {}) => Object.fromEntries(Object.entries(input).map(([name, headerValue]) => [
+      name,
+      sensitiveHeaders.has(name.toLowerCase()) ? REDACTED : text(headerValue),
+    ])),
+    url: (input) => {
+      let url;
+      try {
+        url = new URL(input);
+      } catch (e) {
+        return text(input);
+      }
+      // Query values are checked decoded, so an encoded address (a%40b.co) is caught as well
+      for (const [key, param] of [...url.searchParams.entries()]) {
+        const redacted = sensitiveField && sensitiveField.test(key) ? REDACTED : text(param);
+        if (redacted !== param) {
+          url.searchParams.set(key, redacted);
+        }
+      }
+      return text(url.toString());
+    },
+  };
+}
+
+// JSON bodies are kept as JSON so redaction can see field names
+function parseBody(text) {
+  if (text === null || text === undefined || text === '') {
+    return null;
+  }
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    return text;
+  }
+}
+
+// Cuts a redacted body at maxBytes: text as it is, JSON once serialized
+function capBody(body, maxBytes) {
+  const text = body === null || typeof body === 'string' ? body : JSON.stringify(body);
+  if (text === null || text.length <= maxBytes) {
+    return body;
+  }
+  return `${text.slice(0, maxBytes)}... [${text.length - maxBytes} more bytes]`;
+}
+
+function isTextual(contentType) {
+  return !contentType || /json|text|xml|javascript|x-www-form-urlencoded|graphql/i.test(contentType);
+}
+
+// Appends every XHR/fetch exchange the rules let through to `file`, one JSON object per line, once
+// it has finished or failed: headers, bodies, status and timing, redacted. getStep() tags each
+// exchange with the step it was made on.
+function attachCapture(page, { file, config: funnelConfig = {}, getStep = () => null, logger = log }) {
+  const config = {
+    ...DEFAULT_CAPTURE,
+    ...funnelConfig,
+    redact: { ...DEFAULT_CAPTURE.redact, ...funnelConfig.redact },
+  };
+  const redact = createRedactor(config.redact);
+  const startedAt = new Map();
+  const pending = [];
+  let count = 0;
+
+  const onRequest = (request) => {
+    if (CAPTURED_RESOURCE_TYPES.includes(request.resourceType()) && isCaptured(config, request.url())) {
+      startedAt.set(request, { time: new Date().toISOString(), at: Date.now(), step: getStep() });
+    }
+  };
+
+  const record = (request, failure) => {
+    const start = startedAt.get(request);
+    if (!start) {
+      return;
+    }
+    startedAt.delete(request);
+    const task = (async () => {
+      const response = failure ? null : await request.response().catch(() => null);
+      let responseBody = null;
+      if (response) {
+        const headers = response.headers();
+        try {
+          responseBody = isTextual(headers['content-type'])
+            ? parseBody(await response.text())
+            : `[${headers['content-type']}, ${(await response.body()).length} bytes]`;
+        } catch (e) {
+          // Body is gone if the page navigated before we read it
+        }
+      }
+      const requestHeaders = await request.allHeaders().catch(() => request.headers());
+      // Form posts are split into fields, so they are redacted by name like JSON bodies
+      const requestBody = /x-www-form-urlencoded/i.test(requestHeaders['content-type'] || '') && request.postData()
+        ? Object.fromEntries(new URLSearchParams(request.postData()))
+        : parseBody(request.postData());
+      const exchange = {
+        time: start.time,
+        step: start.step,
+        method: request.method(),
+        url: redact.url(request.url()),
+        resourceType: request.resourceType(),
+        requestHeaders: redact.headers(requestHeaders),
+        requestBody: capBody(redact.value(requestBody), config.maxBodyBytes),
+        status: response ? response.status() : null,
+        statusText: response ? response.statusText() : null,
+        responseHeaders: response ? redact.headers(await response.allHeaders().catch(() => response.headers())) : null,
+        responseBody: capBody(redact.value(responseBody), config.maxBodyBytes),
+        failure: failure || null,
+        durationMs: Date.now() - start.at,
+        timing: request.timing(),
+      };
+      fs.appendFileSync(file, `${JSON.stringify(exchange)}\n`);
+      count++;
+    })().catch(err => logger.warn(`Failed to capture ${request.method()} ${redact.url(request.url())}: ${err}`));
+    pending.push(task);
+  };
+  const onFinished = request => record(request, null);
+  const onFailed = request => record(request, (request.failure() || {}).errorText || 'failed');
+
+  page.on('request', onRequest);
+  page.on('requestfinished', onFinished);
+  page.on('requestfailed', onFailed);
+
+  return {
+    file,
+    get count() {
+      return count;
+    },
+    async flush() {
+      await Promise.allSettled(pending);
+    },
+    detach() {
+      page.off('request', onRequest);
+      page.off('requestfinished', onFinished);
+      page.off('requestfailed', onFailed);
+    },
+  };
+}
+
+module.exports = {
+  CAPTURE_FILE,
+  DEFAULT_CAPTURE,
+  isCaptured,
+  createRedactor,
+  capBody,
+  attachCapture,
+};
@@ -0,0 +1,63 @@
+const fs = require('fs');
+const path = require('path');
+
+const ROOT_DIR = path.resolve(__dirname, '..');
+const CHECKPOINT_FILE = 'checkpoint.json';
+// Generated identities kept for fixed persona runs, keyed by funnel and profile
+const DEFAULT_IDENTITIES_FILE = process.env.IDENTITIES_FILE
+  ? path.resolve(process.env.IDENTITIES_FILE)
+  : path.resolve(ROOT_DIR, 'identities.json');
+
+// Written to a temporary file first, so a crash mid-write leaves the previous checkpoint intact
+function writeCheckpoint(runDir, checkpoint) {
+  const file = path.resolve(runDir, CHECKPOINT_FILE);
+  fs.writeFileSync(`${file}.tmp`, JSON.stringify({ ...checkpoint, savedAt: new Date().toISOString() }, null, 2));
+  fs.renameSync(`${file}.tmp`, file);
+}
+
+// Accepts a run folder, or a run id looked up as <outputDir>/screenshots-<runId>
+function loadCheckpoint(target, outputDir = ROOT_DIR) {
+  const runDir = fs.existsSync(target) && fs.statSync(target).isDirectory()
+    ? path.resolve(target)
+    : path.resolve(outputDir, `screenshots-${target}`);
+  const file = path.resolve(runDir, CHECKPOINT_FILE);
+  if (!fs.existsSync(file)) {
+    throw new Error(`No checkpoint at ${file}`);
+  }
+  const checkpoint = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  if (checkpoint.status === 'completed') {
+    throw new Error(`Run ${checkpoint.runId} already completed; nothing to resume`);
+  }
+  return { ...checkpoint, dir: runDir };
+}
+
+// Marks how the run ended, so a finished run isn't resumed by mistake
+function finishCheckpoint(runDir, status) {
+  const file = path.resolve(runDir, CHECKPOINT_FILE);
+  if (fs.existsSync(file)) {
+    writeCheckpoint(runDir, { ...JSON.parse(fs.readFileSync(file, 'utf-8')), status });
+  }
+}
+
+// Returns the identity saved under `key`, or saves and returns the one `generate()` makes
+function fixedIdentity(key, generate, file = DEFAULT_IDENTITIES_FILE) {
+  let identities = {};
+  if (fs.existsSync(file)) {
+    identities = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  }
+  if (!identities[key]) {
+    identities[key] = { ...generate(), createdAt: new Date().toISOString() };
+    fs.writeFileSync(file, JSON.stringify(identities, null, 2));
+  }
+  const { createdAt, ...identity } = identities[key];
+  return identity;
+}
+
+module.exports = {
+  CHECKPOINT_FILE,
+  DEFAULT_IDENTITIES_FILE,
+  writeCheckpoint,
+  loadCheckpoint,
+  finishCheckpoint,
+  fixedIdentity,
+};
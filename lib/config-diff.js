@@ -0,0 +1,204 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { parsePath } = require('./config-monitor');
+
+const SNAPSHOTS_DIR = path.resolve(__dirname, '..', 'snapshots');
+// Fields that change on every response and would otherwise show up in every diff
+const DEFAULT_IGNORE = ['**.timestamp', '**.serverTime', '**.requestId', '**.request_id', '**.traceId'];
+
+function joinPath(prefix, key) {
+  if (typeof key === 'number') {
+    return `${prefix}[${key}]`;
+  }
+  return prefix ? `${prefix}.${key}` : key;
+}
+
+// Pattern tokens: '*' matches one key or index, '**' matches any number of them
+function matchTokens(pattern, tokens) {
+  if (pattern.length === 0) {
+    return tokens.length === 0;
+  }
+  const [head, ...rest] = pattern;
+  if (head === '**') {
+    for (let i = 0; i <= tokens.length; i++) {
+      if (matchTokens(rest, tokens.slice(i))) {
+        return true;
+      }
+    }
+    return false;
+  }
+  if (tokens.length === 0) {
+    return false;
+  }
+  return (head === '*' || head === tokens[0]) && matchTokens(rest, tokens.slice(1));
+}
+
+function compileIgnore(patterns) {
+  const compiled = patterns.map(pattern => parsePath(pattern));
+  return tokens => compiled.some(pattern => matchTokens(pattern, tokens));
+}
+
+const stable = value => JSON.stringify(value);
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function walk(before, after, tokens, prefix, ignored, changes) {
+  if (ignored(tokens)) {
+    return;
+  }
+  if (isPlainObject(before) && isPlainObject(after)) {
+    const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+    for (const key of keys) {
+      const childTokens = [...tokens, key];
+      const childPath = joinPath(prefix, key);
+      if (ignored(childTokens)) {
+        continue;
+      }
+      if (!(key in after)) {
+        changes.push({ type: 'removed', path: childPath, before: before[key] });
+      } else if (!(key in before)) {
+        changes.push({ type: 'added', path: childPath, after: after[key] });
+      } else {
+        walk(before[key], after[key], childTokens, childPath, ignored, changes);
+      }
+    }
+    return;
+  }
+  if (Array.isArray(before) && Array.isArray(after)) {
+    if (stable(before) === stable(after)) {
+      return;
+    }
+    // Same elements in a different order is a reordering, not a set of changes
+    const sortedBefore = before.map(stable).sort();
+    const sortedAfter = after.map(stable).sort();
+    if (stable(sortedBefore) === stable(sortedAfter)) {
+      changes.push({ type: 'reordered', path: prefix, before, after });
+      return;
+    }
+    const length = Math.max(before.length, after.length);
+    for (let i = 0; i < length; i++) {
+      const childPath = joinPath(prefix, i);
+      if (i >= after.length) {
+        changes.push({ type: 'removed', path: childPath, before: before[i] });
+      } else if (i >= before.length) {
+        changes.push({ type: 'added', path: childPath, after: after[i] });
+      } else {
+        walk(before[i], after[i], [...tokens, i], childPath, ignored, changes);
+      }
+    }
+    return;
+  }
+  if (stable(before) !== stable(after)) {
+    changes.push({ type: 'changed', path: prefix, before, after });
+  }
+}
+
+// Structural diff of two JSON values: [{ type: added|removed|changed|reordered, path, before?, after? }]
+function diffJson(before, after, { ignore = DEFAULT_IGNORE } = {}) {
+  const changes = [];
+  walk(before, after, [], '', compileIgnore(ignore), changes);
+  return changes;
+}
+
+// A response's key in the snapshot: method, origin and path, plus the query params named in
+// `keyParams`. Any other param (cache busters, timestamps) would give every run new keys.
+function responseKey(method, url, keyParams = []) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (e) {
+    return `${method} ${url}`;
+  }
+  const kept = [...parsed.searchParams].filter(([name]) => keyParams.includes(name)).sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+  const query = new URLSearchParams(kept).toString();
+  return `${method} ${parsed.origin}${parsed.pathname}${query ? `?${query}` : ''}`;
+}
+
+// A run's snapshot: the last JSON response per request (see responseKey) to the config endpoint
+function snapshotFromExchanges(exchanges, keyParams) {
+  const responses = {};
+  for (const exchange of exchanges) {
+    if (exchange.responseBody !== null && typeof exchange.responseBody === 'object') {
+      responses[responseKey(exchange.method, exchange.url, keyParams)] = exchange.responseBody;
+    }
+  }
+  return responses;
+}
+
+function snapshotFile(funnel, dir = SNAPSHOTS_DIR) {
+  return path.resolve(dir, `${funnel.replace(/[^\w.-]/g, '_')}-latest.json`);
+}
+
+function loadPreviousSnapshot(funnel, dir = SNAPSHOTS_DIR) {
+  try {
+    return JSON.parse(fs.readFileSync(snapshotFile(funnel, dir), 'utf-8'));
+  } catch (e) {
+    return null;
+  }
+}
+
+// Diffs this run's config responses against the previous run's and makes them the new baseline.
+// Runs without any config response leave the previous snapshot in place.
+function diffAgainstPrevious({ funnel, runId, exchanges, ignore, keyParams, runDir, dir = SNAPSHOTS_DIR }) {
+  const responses = snapshotFromExchanges(exchanges, keyParams);
+  if (Object.keys(responses).length === 0) {
+    return null;
+  }
+  const previous = loadPreviousSnapshot(funnel, dir);
+  const diff = { previousRunId: previous ? previous.runId : null, runId, changes: {}, total: 0 };
+  if (previous) {
+    const previousResponses = previous.responses;
+    const keys = new Set([...Object.keys(previousResponses), ...Object.keys(responses)]);
+    for (const key of keys) {
+      const changes = diffJson(previousResponses[key] ?? null, responses[key] ?? null, { ignore });
+      if (changes.length > 0) {
+        diff.changes[key] = changes;
+        diff.total += changes.length;
+      }
+    }
+  }
+  diff.hash = crypto.createHash('sha1').update(JSON.stringify(diff.changes)).digest('hex').slice(0, 12);
+
+  const snapshot = { funnel, runId, takenAt: new Date().toISOString(), responses };
+  fs.writeFileSync(path.resolve(runDir, 'config-snapshot.json'), JSON.stringify(snapshot, null, 2));
+  fs.writeFileSync(path.resolve(runDir, 'config-diff.json'), JSON.stringify(diff, null, 2));
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(snapshotFile(funnel, dir), JSON.stringify(snapshot, null, 2));
+  return diff;
+}
+
+function formatChange(change) {
+  switch (change.type) {
+    case 'added':
+      return `+ ${change.path}: ${stable(change.after)}`;
+    case 'removed':
+      return `- ${change.path}: ${stable(change.before)}`;
+    case 'reordered':
+      return `~ ${change.path}: reordered`;
+    default:
+      return `~ ${change.path}: ${stable(change.before)} -> ${stable(change.after)}`;
+  }
+}
+
+// Short text for alerts: at most `limit` lines across all responses
+function summarizeDiff(diff, limit = 20) {
+  const lines = [];
+  for (const changes of Object.values(diff.changes)) {
+    for (const change of changes) {
+      lines.push(formatChange(change));
+    }
+  }
+  const extra = lines.length > limit ? `\n... and ${lines.length - limit} more` : '';
+  return lines.slice(0, limit).join('\n') + extra;
+}
+
+module.exports = {
+  SNAPSHOTS_DIR,
+  DEFAULT_IGNORE,
+  diffJson,
+  diffAgainstPrevious,
+  summarizeDiff,
+};
@@ -0,0 +1,135 @@
+const crypto = require('crypto');
+
+// Splits "$.a.b[0].c" / "a.items[*].id" into ['a', 'b', 0, 'c'] / ['a', 'items', '*', 'id']
+function parsePath(expr) {
+  const tokens = [];
+  const re = /\[(\d+|\*)\]|[^.[\]]+/g;
+  let match;
+  const trimmed = expr.replace(/^\$\.?/, '');
+  while ((match = re.exec(trimmed)) !== null) {
+    if (match[1] !== undefined) {
+      tokens.push(match[1] === '*' ? '*' : Number(match[1]));
+    } else {
+      tokens.push(match[0]);
+    }
+  }
+  return tokens;
+}
+
+function resolvePath(value, tokens, prefix = '') {
+  if (tokens.length === 0) {
+    return [{ path: prefix, value }];
+  }
+  if (value === null || typeof value !== 'object') {
+    return [];
+  }
+  const [head, ...rest] = tokens;
+  if (head === '*') {
+    const keys = Array.isArray(value) ? value.map((_, i) => i) : Object.keys(value);
+    return keys.flatMap(key => resolvePath(value[key], rest, joinPath(prefix, key)));
+  }
+  if (!Object.prototype.hasOwnProperty.call(value, head)) {
+    return [];
+  }
+  return resolvePath(value[head], rest, joinPath(prefix, head));
+}
+
+function joinPath(prefix, key) {
+  if (typeof key === 'number') {
+    return `${prefix}[${key}]`;
+  }
+  return prefix ? `${prefix}.${key}` : key;
+}
+
+function extractFields(payload, fields) {
+  const results = [];
+  for (const field of fields) {
+    for (const match of resolvePath(payload, parsePath(field))) {
+      results.push({ field, path: match.path, value: match.value });
+    }
+  }
+  return results;
+}
+
+function hashPayload(payload) {
+  const text = typeof payload === 'string' ? payload : JSON.stringify(payload ?? null);
+  return crypto.createHash('sha256').update(text).digest('hex').slice(0, 16);
+}
+
+function parseJson(text) {
+  if (!text) {
+    return null;
+  }
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    return null;
+  }
+}
+
+// Records every request/response to the config endpoint and the field values found in them.
+// getStep() is called when the response arrives so observations carry the step they belong to.
+function attachConfigMonitor(page, { endpoint, fields, getStep = () => null }) {
+  const exchanges = [];
+  const observations = [];
+  const pending = [];
+
+  const onResponse = (response) => {
+    const request = response.request();
+    const url = request.url();
+    if (!url.includes(endpoint)) {
+      return;
+    }
+    const step = getStep();
+    const task = (async () => {
+      let responseText = null;
+      try {
+        responseText = await response.text();
+      } catch (e) {
+        // Body is gone if the page navigated before we read it
+      }
+      const exchange = {
+        url,
+        method: request.method(),
+        status: response.status(),
+        step,
+        timestamp: new Date().toISOString(),
+        requestBody: parseJson(request.postData()) ?? request.postData(),
+        responseBody: parseJson(responseText) ?? responseText,
+      };
+      exchanges.push(exchange);
+      for (const source of ['request', 'response']) {
+        const body = exchange[`${source}Body`];
+        const payloadHash = hashPayload(body);
+        for (const match of extractFields(body, fields)) {
+          observations.push({ ...match, source, url, step, payloadHash, timestamp: exchange.timestamp });
+        }
+      }
+    })();
+    pending.push(task);
+  };
+
+  page.on('response', onResponse);
+
+  return {
+    exchanges,
+    observations,
+    async flush() {
+      await Promise.allSettled(pending);
+    },
+    detach() {
+      page.off('response', onResponse);
+    },
+  };
+}
+
+function observationKey(observation) {
+  return `${observation.field}=${JSON.stringify(observation.value)}`;
+}
+
+module.exports = {
+  parsePath,
+  extractFields,
+  attachConfigMonitor,
+  observationKey,
+};
@@ -0,0 +1,761 @@
+const { chromium } = require('playwright');
+const fs = require('fs');
+const path = require('path');
+const { attachConfigMonitor, observationKey } = require('./config-monitor');
+const { recordObservations } = require('./history');
+const { DEFAULT_IGNORE, diffAgainstPrevious, summarizeDiff } = require('./config-diff');
+const { maskOptions, compareWithBaseline, writeResults } = require('./visual');
+const { DEFAULT_FUNNEL_FILE, loadFunnel } = require('./funnel');
+const { buildStepTypes, detectStep, detectTerminal, logDomSnapshot } = require('./steps');
+const { writeDiagnostics } = require('./diagnostics');
+const { buildHeuristicStep } = require('./heuristic');
+const { DEFAULT_PRICING, attachPricingMonitor, extractPricing, comparePricing, writePricing, appendPricingHistory, summarizePricing } = require('./pricing');
+const { CAPTURE_FILE, attachCapture } = require('./capture');
+const { DEFAULT_TRANSITION, watchTransition } = require('./transition');
+const { DEFAULT_AUDIT, auditScreen, writeAudit, compareAudit, summarizeAudit, describeAudit } = require('./audit');
+const { attachStepMetrics, summarizeMetrics, appendMetrics } = require('./metrics');
+const { DEFAULT_EXPERIMENTS, fingerprintSession, variantIdOf, trackVariant, writeExperiment, describeVariant } = require('./experiments');
+const { attachNetworkLog, createRunReport, writeReport } = require('./report');
+const { DEFAULT_ALERTS_FILE, loadAlertConfig, createAlerter } = require('./alerts');
+const { screenId } = require('./explorer');
+const { DEFAULT_PROFILE, contextOptions } = require('./profiles');
+const { recordOptions, writeSessionMeta, resolveHar, replayFromHar } = require('./har');
+const { writeCheckpoint, loadCheckpoint, finishCheckpoint, fixedIdentity } = require('./checkpoint');
+const { DEFAULT_PERSONA, resolvePersona, personaVars, preferredAnswer } = require('./personas');
+const { log } = require('./logger');
+
+const ROOT_DIR = path.resolve(__dirname, '..');
+const ALERTS_FILE = process.env.ALERTS_FILE ? path.resolve(process.env.ALERTS_FILE) : DEFAULT_ALERTS_FILE;
+// Used when the funnel file has no `monitor` section.
+// Fields are JSON paths looked up in both the request and the response body, e.g. 'data.variant' or 'items[*].id'
+const API_ENDPOINT = 'wellfunnel-web-api.asqq.io/get-default-config/';
+const TARGET_FIELDS = ['some_field'];
+// Loop iterations (solved steps plus retries) before a run gives up with 'max-retries'
+const DEFAULT_MAX_STEPS = 300;
+// Per-run copy of the run's log entries, as JSON lines
+const LOG_FILE = 'run.log.jsonl';
+// Iterations on the same URL without a detected step before the run counts as stuck
+const MAX_STUCK = 10;
+// An unrecognised screen gets a couple of retries to finish loading before the heuristic solver tries
+// it, and at most this many heuristic attempts per URL so a screen it can't get past still ends up stuck
+const HEURISTIC_AFTER_MISSES = 1;
+const MAX_HEURISTIC_ATTEMPTS = 3;
+
+// Runs one crawl of the funnel. Aborting `signal` closes the browser and ends the run with status 'aborted'.
+// When `browser` is passed the crawl runs in a fresh context of it and leaves the browser open.
+// `choose` overrides which option select-nth actions take (see explorer.js).
+// `compare: false` skips the config diff and visual regression checks, for runs that are not
+// comparable to the usual path (explore branches).
+// `persist: false` also keeps the run out of the value, pricing, variant and metrics histories and
+// sends no alerts, so what an explore branch sees still counts as new to the regular crawl.
+// `profile` sets device, locale, timezone, geolocation, user agent and proxy (see profiles.js).
+// `recordHar` saves the session to <run>/session.har; `replay` (a .har file or a recorded run folder)
+// serves the crawl from such a recording with no network access. Replays are read-only: they don't
+// touch history, snapshots or baselines and send no alerts.
+// `startUrl` overrides the funnel's; `headless` and `maxSteps` only matter when the crawl launches its own browser
+// and for the main loop respectively.
+// After every solved step the run saves a checkpoint (see checkpoint.js); `resume` (a run id or run folder)
+// continues that run from its last checkpoint, in the same folder and with the same cookies and identity.
+// `persona` is the synthetic user the run enters (see personas.js); `fixedPersona` reuses one resolved identity
+// for every run of the funnel, profile and persona instead of a new one each run.
+async function runCrawl({
+  funnelFile = DEFAULT_FUNNEL_FILE,
+  signal,
+  browser: sharedBrowser,
+  choose,
+  outputDir = ROOT_DIR,
+  compare = true,
+  persist: persistRun = true,
+  profile: profileConfig = DEFAULT_PROFILE,
+  recordHar = false,
+  replay,
+  startUrl,
+  headless = true,
+  maxSteps = DEFAULT_MAX_STEPS,
+  resume,
+  persona = DEFAULT_PERSONA,
+  fixedPersona = false,
+} = {}) {
+  const funnel = { ...loadFunnel(funnelFile), ...(startUrl ? { startUrl } : {}) };
+  log.info(`Loaded funnel ${funnel.name} from ${funnelFile}`);
+  const alerter = createAlerter(loadAlertConfig(ALERTS_FILE));
+  const monitorConfig = funnel.monitor || {};
+  const recording = replay ? resolveHar(replay) : null;
+  const persist = persistRun && !recording;
+  const checkpoint = resume ? loadCheckpoint(resume, outputDir) : null;
+  // What the run had done up to its checkpoint, when resuming
+  const restored = checkpoint ? checkpoint.state : {};
+  // Who the run pretends to be: the resumed or recorded run's identity, else one resolved from `persona`
+  const newIdentity = () => resolvePersona(persona, { funnel: funnel.name, profile: profileConfig.name });
+  const identity = (checkpoint && checkpoint.persona) || (recording && recording.meta.persona)
+    || (fixedPersona ? fixedIdentity([funnel.name, profileConfig.name, persona.name].join('/'), newIdentity) : newIdentity());
+
+  // Create a unique folder for this run's screenshots
+  const runTimestamp = checkpoint ? checkpoint.runId : new Date().toISOString().replace(/[:.]/g, '-')
+    + (profileConfig.name === DEFAULT_PROFILE.name ? '' : `-${profileConfig.name}`);
+  const screenshotsDir = checkpoint ? checkpoint.dir : path.resolve(outputDir, `screenshots-${runTimestamp}`);
+  if (!fs.existsSync(screenshotsDir)) {
+    fs.mkdirSync(screenshotsDir, { recursive: true });
+  }
+  const runLog = log.child({ runId: runTimestamp, funnel: funnel.name, profile: profileConfig.name })
+    .withFile(path.resolve(screenshotsDir, LOG_FILE));
+
+  const browser = sharedBrowser || await chromium.launch({ headless });
+  let context = null;
+  // Closing the context first is what flushes the HAR recording to disk
+  const closeBrowser = async () => {
+    try {
+      if (context) {
+        await context.close();
+      }
+    } finally {
+      if (!sharedBrowser) {
+        await browser.close();
+      }
+    }
+  };
+  let page;
+  try {
+    context = await browser.newContext({
+      ...contextOptions(profileConfig),
+      ...(recordHar ? recordOptions(screenshotsDir) : {}),
+      ...(checkpoint ? { storageState: checkpoint.storageState } : {}),
+    });
+    if (recording) {
+      await replayFromHar(context, recording.harFile);
+      runLog.info(`Replaying from ${recording.harFile}; network access is blocked`);
+    }
+    page = await context.newPage();
+  } catch (err) {
+    await closeBrowser().catch(() => {});
+    throw err;
+  }
+  const onAbort = () => {
+    runLog.info('Crawl aborted. Closing browser...');
+    closeBrowser().catch(() => {});
+  };
+  if (signal) {
+    signal.addEventListener('abort', onAbort, { once: true });
+  }
+  const profile = { ...profileConfig, userAgent: await page.evaluate(() => navigator.userAgent).catch(() => null) };
+  // Config snapshots and screenshot baselines are only comparable within one profile
+  const compareKey = profile.name === DEFAULT_PROFILE.name ? funnel.name : `${funnel.name}@${profile.name}`;
+
+  // Step the crawl is currently on; new config values are reported against it
+  let currentStep = restored.currentStep || { number: 0, type: 'start' };
+  const configMonitor = attachConfigMonitor(page, {
+    endpoint: monitorConfig.endpoint || API_ENDPOINT,
+    fields: monitorConfig.fields || TARGET_FIELDS,
+    getStep: () => currentStep,
+  });
+  configMonitor.exchanges.push(...(restored.exchanges || []));
+  configMonitor.observations.push(...(restored.observations || []));
+
+  // Every API call the funnel makes, redacted, in <run>/requests.jsonl
+  const capture = funnel.capture && funnel.capture.enabled === false ? null : attachCapture(page, {
+    file: path.resolve(screenshotsDir, CAPTURE_FILE),
+    config: funnel.capture,
+    getStep: () => currentStep,
+    logger: runLog,
+  });
+  const pricingMonitor = attachPricingMonitor(page, { endpoint: { ...DEFAULT_PRICING, ...funnel.pricing }.endpoint });
+  let pricing = null;
+  const stepMetrics = attachStepMetrics(page);
+
+  const report = createRunReport({ runId: runTimestamp, funnel: funnel.name, profile, startUrl: funnel.startUrl, dir: screenshotsDir });
+  report.data.iterations = restored.iterations || [];
+  report.data.persona = identity;
+  if (checkpoint) {
+    report.data.resumedFrom = { step: currentStep.number, url: checkpoint.url, savedAt: checkpoint.savedAt };
+  }
+  const networkLog = attachNetworkLog(page);
+  let runStatus = 'error';
+  let runError = null;
+  // Solved steps in order with the answers chosen on each, for the explorer's screen graph
+  const trail = restored.trail || [];
+  // Screenshots to check against their baselines, keyed by screen identity
+  const visualTargets = restored.visualTargets || [];
+  const screenVisits = restored.screenVisits || {};
+  const choices = restored.choices || [];
+  // Accessibility problems and copy of every screen the run went through (see audit.js)
+  const audits = restored.audits || [];
+  const auditCurrentScreen = async ({ key, step, stepType, logger }) => {
+    if ({ ...DEFAULT_AUDIT, ...funnel.audit }.enabled === false) {
+      return;
+    }
+    try {
+      const screen = await auditScreen(page, { key, step, stepType, config: funnel.audit, mask: (funnel.visual && funnel.visual.mask) || [] });
+      audits.push(screen);
+      if (screen.violations.length > 0) {
+        logger.info(`Accessibility: ${screen.violations.length} violation(s) on ${key}: ${[...new Set(screen.violations.map(v => v.rule))].join(', ')}`);
+      }
+    } catch (err) {
+      logger.warn(`Failed to audit screen ${key}: ${err}`);
+    }
+  };
+  const recordChoice = (request) => {
+    const index = choose ? choose(request) : preferredAnswer(identity, request) ?? request.action.index ?? 0;
+    choices.push({ step: request.step, index, label: request.labels[index], options: request.labels.length });
+    return index;
+  };
+  // Page errors and console errors, for the diagnostics bundle
+  const consoleErrors = [];
+  page.on('pageerror', err => {
+    report.recordError(`Page error: ${err.message}`);
+    consoleErrors.push({ time: new Date().toISOString(), type: 'pageerror', text: err.message });
+  });
+
+  // Page console output is kept at debug level, except errors, which also go into the report
+  page.on('console', msg => {
+    const fields = { source: 'page', consoleType: msg.type() };
+    if (msg.type() === 'error') {
+      report.recordError(`Console error: ${msg.text()}`);
+      consoleErrors.push({ time: new Date().toISOString(), type: 'console', text: msg.text(), location: msg.location() });
+      runLog.warn(`Page console error: ${msg.text()}`, fields);
+    } else {
+      runLog.debug(`Page console ${msg.type()}: ${msg.text()}`, fields);
+    }
+  });
+
+  try {
+    if (checkpoint) {
+      runLog.info(`Resuming after step ${currentStep.number} (${currentStep.type}) on ${checkpoint.url}, checkpoint of ${checkpoint.savedAt}`);
+    }
+    await page.goto(checkpoint ? checkpoint.url : funnel.startUrl);
+
+    const vars = (recording && recording.meta.vars) || (checkpoint && checkpoint.vars) || { ...funnel.vars, ...personaVars(identity) };
+    runLog.info(`Persona ${identity.name}: ${identity.email}, ${[identity.gender, `age ${identity.age}`, identity.units].filter(Boolean).join(', ')}`);
+    if (recordHar) {
+      writeSessionMeta(screenshotsDir, { funnel: funnel.name, startUrl: funnel.startUrl, profile: profileConfig, persona: identity, vars });
+    }
+    const stepCtx = {
+      funnel,
+      screenshotsDir,
+      choose: recordChoice,
+      vars,
+      log: runLog,
+      networkLog,
+    };
+    const stepTypes = buildStepTypes(page, stepCtx);
+    const heuristicStep = funnel.heuristic === false ? null : buildHeuristicStep(page, stepCtx);
+    const heuristicAttempts = restored.heuristicAttempts || {};
+
+    // --- Main Loop ---
+    let retryCount = restored.retryCount || 0;
+    let lastUrl = '';
+    let stuckCount = 0;
+    let screenshotCounter = restored.screenshotCounter || 0;
+    // Everything needed to pick the run up again from the step just solved
+    const saveCheckpoint = async () => {
+      try {
+        writeCheckpoint(screenshotsDir, {
+          runId: runTimestamp,
+          funnel: funnel.name,
+          funnelFile: path.resolve(funnelFile),
+          startUrl: funnel.startUrl,
+          profile: profileConfig,
+          url: page.url(),
+          persona: identity,
+          vars,
+          storageState: await context.storageState(),
+          state: {
+            currentStep,
+            retryCount,
+            screenshotCounter,
+            trail,
+            choices,
+            screenVisits,
+            heuristicAttempts,
+            audits,
+            visualTargets,
+            iterations: report.data.iterations,
+            exchanges: configMonitor.exchanges,
+            observations: configMonitor.observations,
+          },
+        });
+      } catch (err) {
+        runLog.warn(`Failed to save checkpoint: ${err}`);
+      }
+    };
+    while (retryCount < maxSteps && !(signal && signal.aborted)) {
+      const iteration = report.startIteration(page.url(), networkLog);
+      try {
+        let stepSolved = false;
+
+        // A terminal state (paywall, checkout, ...) ends the run even if a step would also match
+        const terminal = await detectTerminal(page, { funnel, networkLog });
+        if (terminal) {
+          runLog.info(`Reached terminal state ${terminal.name} on ${page.url()}`);
+          iteration.terminal = terminal.name;
+          report.data.terminal = { name: terminal.name, url: page.url(), afterStep: currentStep.number };
+          runStatus = 'completed';
+          await auditCurrentScreen({ key: `terminal:${terminal.name}`, step: terminal.name, stepType: null, logger: runLog });
+          try {
+            pricing = await extractPricing(page, { funnel, monitor: pricingMonitor, terminal });
+            runLog.info(`Pricing: ${summarizePricing(pricing)}`);
+          } catch (err) {
+            runLog.error(`Failed to extract pricing: ${err}`);
+          }
+          break;
+        }
+
+        let stepLog = runLog;
+        let stepType = await detectStep(stepTypes, runLog);
+        const url = page.url();
+        if (!stepType && heuristicStep && url === lastUrl && stuckCount >= HEURISTIC_AFTER_MISSES
+          && (heuristicAttempts[url] || 0) < MAX_HEURISTIC_ATTEMPTS && await heuristicStep.detect()) {
+          heuristicAttempts[url] = (heuristicAttempts[url] || 0) + 1;
+          stepType = heuristicStep;
+        }
+        if (stepType) {
+          const previousStep = currentStep;
+          currentStep = { number: screenshotCounter + 1, type: stepType.name };
+          stepMetrics.stepStarted(currentStep);
+          stepLog = runLog.child({ step: currentStep.number, stepType: stepType.name });
+          stepLog.info(`Detected step type: ${stepType.name}. Attempting to solve...`);
+          iteration.stepType = stepType.name;
+          const choicesBefore = choices.length;
+          const urlBefore = page.url();
+          const screen = screenId(stepType.name, urlBefore);
+          await auditCurrentScreen({ key: `${screen}#${(screenVisits[screen] || 0) + 1}`, step: currentStep.number, stepType: stepType.name, logger: stepLog });
+          const transition = await watchTransition(page, { controls: stepType.controls, config: funnel.transition, logger: stepLog });
+          let result;
+          try {
+            result = await stepType.solve({ log: stepLog });
+          } finally {
+            // Also after a failed action: a click before it may still have moved the screen on
+            iteration.transition = await transition.wait();
+            stepLog.info(`Screen transition: ${iteration.transition.reason} after ${iteration.transition.ms} ms`);
+          }
+          iteration.actions = result.actions;
+          iteration.success = result.success;
+          iteration.choices = choices.slice(choicesBefore);
+          if (result.success) {
+            trail.push({ step: currentStep.number, stepType: stepType.name, url: urlBefore, screen, choices: iteration.choices });
+            screenVisits[screen] = (screenVisits[screen] || 0) + 1;
+            iteration.screenKey = `${screen}#${screenVisits[screen]}`;
+            for (const action of result.actions) {
+              if (action.screenshot) {
+                visualTargets.push({ key: `${iteration.screenKey}~${action.name || 'action'}`, file: action.screenshot });
+              }
+            }
+            stepSolved = true;
+          } else {
+            // A failed action or an unmet success condition: the step is retried like a miss
+            stepLog.warn(`Step ${stepType.name} did not succeed. Retrying...`);
+            choices.splice(choicesBefore);
+            currentStep = previousStep;
+          }
+        }
+
+        if (stepSolved) {
+          screenshotCounter++;
+          iteration.screenshot = path.resolve(screenshotsDir, `screenshot-${screenshotCounter}.png`);
+          stepLog.info(`Screenshot saved: ${iteration.screenshot}`);
+          await page.screenshot({ path: iteration.screenshot, ...maskOptions(page, funnel) });
+          visualTargets.push({ key: iteration.screenKey, file: iteration.screenshot });
+          stepMetrics.stepSolved();
+          
+          // Reset stuck counter when we make progress
+          stuckCount = 0;
+          retryCount++;
+          continue; // Immediately try to detect the next step
+        }
+
+        // Fallback: if no step type was detected or solved, wait for the screen to change and try again
+        if (!stepType) {
+          runLog.warn('No step type detected. Waiting for the screen to change before retry...');
+          await logDomSnapshot(page, runLog, 'debug', 'DOM snapshot with no step detected');
+        }
+        
+        // Check if we're stuck on the same URL
+        const currentUrl = page.url();
+        if (currentUrl === lastUrl) {
+          stuckCount++;
+          if (stuckCount > MAX_STUCK) {
+            runLog.info('Maximum stuck attempts reached. Exiting to prevent infinite loop.');
+            runStatus = 'stuck';
+            break;
+          }
+        } else {
+          stuckCount = 0; // Reset if URL changed
+        }
+        lastUrl = currentUrl;
+        
+        stepMetrics.retried();
+        const { reason } = await (await watchTransition(page, { config: funnel.transition, logger: runLog }))
+          .wait({ ...DEFAULT_TRANSITION, ...funnel.transition }.missTimeout);
+        runLog.debug(`Retrying after screen change: ${reason}`);
+        retryCount++;
+        
+      } catch (err) {
+        runLog.error(`Error in main loop: ${err}`);
+        iteration.errors.push(String(err));
+        retryCount++;
+      } finally {
+        report.endIteration(page.url(), networkLog);
+        if (iteration.screenshot && persist) {
+          await saveCheckpoint();
+        }
+      }
+    }
+
+    if (signal && signal.aborted) {
+      runStatus = 'aborted';
+    } else if (retryCount >= maxSteps) {
+      runLog.info('Maximum retries reached. Onboarding automation complete.');
+      runStatus = 'max-retries';
+    }
+    if (runStatus === 'stuck' || runStatus === 'max-retries') {
+      report.data.stuckAt = { step: currentStep.number + 1, afterStepType: currentStep.type, url: page.url() };
+      runLog.warn(`Stuck at step ${report.data.stuckAt.step} (after ${currentStep.type}) on ${page.url()}`);
+    }
+  } catch (err) {
+    if (signal && signal.aborted) {
+      runStatus = 'aborted';
+    } else {
+      runError = err;
+      report.recordError(String(err));
+      throw err;
+    }
+  } finally {
+    // Whatever writing the report or sending the alerts throws, the browser still gets closed
+    try {
+      if (signal) {
+        signal.removeEventListener('abort', onAbort);
+      }
+      pricingMonitor.detach();
+      if (['stuck', 'max-retries', 'error'].includes(runStatus)) {
+        report.data.diagnostics = await writeDiagnostics(page, screenshotsDir, {
+          reason: { status: runStatus, stuckAt: report.data.stuckAt, error: runError ? String(runError) : null },
+          networkLog,
+          consoleErrors,
+          logger: runLog,
+        });
+      }
+      const newValues = await reportConfigValues(configMonitor, screenshotsDir, { funnel: funnel.name, runId: runTimestamp, profile }, { persist, logger: runLog });
+      report.data.configRequests = configMonitor.exchanges.length;
+      if (capture) {
+        await capture.flush();
+        report.data.capturedRequests = capture.count;
+        runLog.info(`Captured ${capture.count} API request(s): ${capture.file}`);
+      }
+      report.data.newValues = newValues;
+      const configDiff = compare && persist ? diffConfigSnapshot(configMonitor, screenshotsDir, {
+        funnel: compareKey,
+        runId: runTimestamp,
+        ignore: monitorConfig.ignore || DEFAULT_IGNORE,
+        keyParams: monitorConfig.keyParams,
+        logger: runLog,
+      }) : null;
+      report.data.configDiff = configDiff;
+      const visualChanges = compare && persist ? compareScreenshots(visualTargets, screenshotsDir, funnel, compareKey, runLog) : [];
+      report.data.visualChanges = visualChanges;
+      const pricingDiff = pricing ? await recordPricing(pricing, screenshotsDir, {
+        key: compareKey,
+        runId: runTimestamp,
+        meta: { funnel: funnel.name, profile: profile.name, runId: runTimestamp },
+        persist,
+        compare,
+        logger: runLog,
+      }) : null;
+      report.data.pricing = pricing;
+      report.data.pricingDiff = pricingDiff;
+      report.data.audit = audits.length > 0 ? summarizeAudit(audits) : null;
+      const auditDiff = audits.length > 0 ? recordAudit(audits, screenshotsDir, {
+        key: compareKey,
+        runId: runTimestamp,
+        compare: compare && persist,
+        logger: runLog,
+      }) : null;
+      report.data.auditDiff = auditDiff;
+      const experimentConfig = { ...DEFAULT_EXPERIMENTS, ...funnel.experiments };
+      // Only completed runs went through the whole funnel, so only they count towards the distribution
+      report.data.experiment = experimentConfig.enabled === false ? null : await recordExperiment({
+        context,
+        exchanges: configMonitor.exchanges,
+        trail,
+        runDir: screenshotsDir,
+        key: compareKey,
+        runId: runTimestamp,
+        config: experimentConfig,
+        track: compare && persist && runStatus === 'completed',
+        logger: runLog,
+      });
+      report.finish(runStatus);
+      report.data.metrics = await recordMetrics(stepMetrics, {
+        meta: { funnel: funnel.name, profile: profile.name, runId: runTimestamp },
+        status: runStatus,
+        durationMs: report.data.durationMs,
+        persist: persist && runStatus !== 'aborted',
+        logger: runLog,
+      });
+      finishCheckpoint(screenshotsDir, runStatus);
+      const { jsonFile, htmlFile } = writeReport(report.data, screenshotsDir);
+      runLog.info(`Run ${runStatus}. Report: ${jsonFile}, ${htmlFile}`);
+      if (runStatus !== 'aborted' && persist) {
+        await sendRunAlerts(alerter, { funnel, profile, runStatus, runError, newValues, configDiff, visualChanges, lastUrl: page.url(), stuckAt: report.data.stuckAt, pricingDiff, auditDiff, experiment: report.data.experiment, reportFile: htmlFile, logger: runLog });
+      }
+    } finally {
+      await closeBrowser();
+    }
+  }
+  return {
+    runId: runTimestamp,
+    status: runStatus,
+    dir: screenshotsDir,
+    newValues: report.data.newValues,
+    trail,
+    exchanges: configMonitor.exchanges,
+    observations: configMonitor.observations,
+    configDiff: report.data.configDiff,
+    visualChanges: report.data.visualChanges,
+    terminal: report.data.terminal,
+    stuckAt: report.data.stuckAt,
+    pricing: report.data.pricing,
+    pricingDiff: report.data.pricingDiff,
+    auditDiff: report.data.auditDiff,
+    experiment: report.data.experiment,
+  };
+}
+
+// Returns the observations that were never seen before. Without `persist` nothing is recorded
+// and nothing counts as new.
+async function reportConfigValues(configMonitor, screenshotsDir, meta, { persist = true, logger = log } = {}) {
+  try {
+    await configMonitor.flush();
+    const exchangesFile = path.resolve(screenshotsDir, 'config-requests.json');
+    fs.writeFileSync(exchangesFile, JSON.stringify(configMonitor.exchanges, null, 2));
+    logger.info(`Captured ${configMonitor.exchanges.length} config request(s): ${exchangesFile}`);
+
+    if (!persist) {
+      return [];
+    }
+    const newValues = await recordObservations(configMonitor.observations, meta);
+    if (newValues.length === 0) {
+      logger.info(`No new values among ${configMonitor.observations.length} observation(s).`);
+    }
+    return newValues;
+  } catch (err) {
+    logger.error(`Failed to report config values: ${err}`);
+    return [];
+  }
+}
+
+// Writes the run's pricing record, appends it to the pricing history and diffs it against the
+// previous one for the same funnel and profile. Returns the diff, or null when not compared.
+async function recordPricing(pricing, runDir, { key, runId, meta, persist, compare, logger = log }) {
+  try {
+    const record = { ...meta, ...pricing };
+    writePricing(runDir, record);
+    if (!persist) {
+      return null;
+    }
+    await appendPricingHistory(record);
+    if (!compare) {
+      return null;
+    }
+    const diff = comparePricing({ key, runId, record });
+    if (diff.previousRunId) {
+      logger.info(`Pricing diff against run ${diff.previousRunId}: ${diff.total} change(s)`);
+    }
+    return diff;
+  } catch (err) {
+    logger.error(`Failed to record pricing: ${err}`);
+    return null;
+  }
+}
+
+// Writes the run's audit and copy snapshots and, with `compare`, diffs them against the earlier runs
+function recordAudit(screens, runDir, { key, runId, compare, logger = log }) {
+  try {
+    writeAudit(runDir, screens);
+    logger.info(`Audit: ${describeAudit(summarizeAudit(screens))}`);
+    if (!compare) {
+      return null;
+    }
+    const diff = compareAudit({ key, runId, screens });
+    if (diff.previousRunId) {
+      logger.info(`Content diff against run ${diff.previousRunId}: ${diff.total} change(s)`);
+    }
+    return diff;
+  } catch (err) {
+    logger.error(`Failed to record the audit: ${err}`);
+    return null;
+  }
+}
+
+// Totals over the run's per-step metrics; with `persist` they go into the metrics history too
+async function recordMetrics(stepMetrics, { meta, status, durationMs, persist, logger = log }) {
+  await stepMetrics.flush();
+  stepMetrics.detach();
+  const metrics = { totals: summarizeMetrics(stepMetrics.steps, { status, durationMs }), steps: stepMetrics.steps };
+  const { totals } = metrics;
+  logger.info(`Metrics: ${totals.requests} request(s), ${Math.round(totals.bytes / 1024)} KB, ${totals.consoleErrors} console error(s), ${totals.retries} retry(ies)`);
+  if (persist) {
+    try {
+      await appendMetrics(meta, metrics);
+    } catch (err) {
+      logger.error(`Failed to record metrics: ${err}`);
+    }
+  }
+  return metrics;
+}
+
+// Fingerprints the experiment arm the session landed in and, with `track`, adds it to the
+// distribution across runs. Returns the fingerprint with the tracking result, or null on failure.
+async function recordExperiment({ context, exchanges, trail, runDir, key, runId, config, track, logger = log }) {
+  try {
+    const storageState = await context.storageState().catch(() => null);
+    const fingerprint = fingerprintSession({ exchanges, storageState, trail, keyPattern: config.keyPattern });
+    const experiment = track
+      ? await trackVariant({ key, runId, fingerprint, window: config.window, missingAfter: config.missingAfter })
+      : { variantId: variantIdOf(fingerprint), fingerprint };
+    writeExperiment(runDir, experiment);
+    logger.info(`Variant ${experiment.variantId}${experiment.newVariant ? ' (new)' : ''}: ${describeVariant(fingerprint)}`);
+    return experiment;
+  } catch (err) {
+    logger.error(`Failed to fingerprint the experiment variant: ${err}`);
+    return null;
+  }
+}
+
+function diffConfigSnapshot(configMonitor, runDir, { funnel, runId, ignore, keyParams, logger = log }) {
+  try {
+    const diff = diffAgainstPrevious({ funnel, runId, exchanges: configMonitor.exchanges, ignore, keyParams, runDir });
+    if (diff && diff.previousRunId) {
+      logger.info(`Config diff against run ${diff.previousRunId}: ${diff.total} change(s)`);
+    }
+    return diff;
+  } catch (err) {
+    logger.error(`Failed to diff config snapshot: ${err}`);
+    return null;
+  }
+}
+
+// Returns the screenshots that differ from their baseline beyond the funnel's tolerance
+function compareScreenshots(targets, runDir, funnel, compareKey, logger = log) {
+  const visual = funnel.visual || {};
+  if (visual.enabled === false) {
+    return [];
+  }
+  try {
+    const results = targets.map(target => compareWithBaseline({
+      funnel: compareKey,
+      key: target.key,
+      file: target.file,
+      diffDir: runDir,
+      options: visual,
+    }));
+    writeResults(runDir, compareKey, results);
+    const changed = results.filter(r => r.status === 'changed');
+    logger.info(`Visual check: ${changed.length} of ${results.length} screenshot(s) changed`);
+    return changed;
+  } catch (err) {
+    logger.error(`Failed to compare screenshots: ${err}`);
+    return [];
+  }
+}
+
+async function sendRunAlerts(alerter, { funnel, profile, runStatus, runError, newValues, configDiff, visualChanges, lastUrl, stuckAt, pricingDiff, auditDiff, experiment, reportFile, logger = log }) {
+  // Every alert names the funnel and the profile that produced it
+  const source = profile.name === DEFAULT_PROFILE.name ? funnel.name : `${funnel.name}, profile ${profile.name}`;
+  const diffText = configDiff && configDiff.total > 0 ? summarizeDiff(configDiff) : null;
+  try {
+    if (diffText) {
+      await alerter.send({
+        type: 'config_changed',
+        dedupeKey: `${source}:${configDiff.hash}`,
+        title: `Default config changed (${source})`,
+        message: `${configDiff.total} change(s) since run ${configDiff.previousRunId}:\n${diffText}`,
+        data: { funnel: funnel.name, profile: profile.name, diff: configDiff, report: reportFile },
+      });
+    }
+    if (pricingDiff && pricingDiff.total > 0) {
+      await alerter.send({
+        type: 'pricing_changed',
+        dedupeKey: `${source}:${pricingDiff.hash}`,
+        title: `Pricing changed (${source})`,
+        message: `${pricingDiff.total} change(s) since run ${pricingDiff.previousRunId}:\n${summarizeDiff(pricingDiff)}`,
+        data: { funnel: funnel.name, profile: profile.name, diff: pricingDiff, report: reportFile },
+      });
+    }
+    if (auditDiff && auditDiff.total > 0) {
+      const parts = [
+        auditDiff.changes.copy && `${auditDiff.changes.copy.length} copy change(s)`,
+        auditDiff.changes.accessibility && `${auditDiff.changes.accessibility.length} new accessibility violation(s)`,
+      ].filter(Boolean);
+      await alerter.send({
+        type: 'content_changed',
+        dedupeKey: `${source}:${auditDiff.hash}`,
+        title: `Funnel content changed: ${parts.join(', ')} (${source})`,
+        message: `Since run ${auditDiff.previousRunId}:\n${summarizeDiff(auditDiff)}`,
+        data: { funnel: funnel.name, profile: profile.name, diff: auditDiff, report: reportFile },
+      });
+    }
+    if (experiment && experiment.newVariant) {
+      const shares = experiment.distribution.map(row => `${row.variantId}: ${row.runs} run(s), ${(row.share * 100).toFixed(0)}%`);
+      await alerter.send({
+        type: 'variant_new',
+        dedupeKey: `${source}:${experiment.variantId}`,
+        title: `New experiment variant ${experiment.variantId} (${source})`,
+        message: `${describeVariant(experiment.fingerprint)}\nLast ${experiment.distribution.reduce((sum, row) => sum + row.runs, 0)} run(s):\n${shares.join('\n')}`,
+        data: { funnel: funnel.name, profile: profile.name, variantId: experiment.variantId, fingerprint: experiment.fingerprint, distribution: experiment.distribution, report: reportFile },
+      });
+    }
+    for (const variantId of (experiment && experiment.disappeared) || []) {
+      await alerter.send({
+        type: 'variant_gone',
+        dedupeKey: `${source}:${variantId}`,
+        title: `Experiment variant ${variantId} disappeared (${source})`,
+        message: `Variant ${variantId} has not come up in the last ${experiment.missingAfter} run(s)`,
+        data: { funnel: funnel.name, profile: profile.name, variantId, distribution: experiment.distribution, report: reportFile },
+      });
+    }
+    if (visualChanges.length > 0) {
+      const lines = visualChanges.map(c => `${c.key}: ${(c.ratio * 100).toFixed(2)}% of pixels${c.note ? ` (${c.note})` : ''}`);
+      await alerter.send({
+        type: 'visual_changed',
+        dedupeKey: `${source}:${visualChanges.map(c => c.key).sort().join(',')}`,
+        title: `Funnel UI changed on ${visualChanges.length} screen(s) (${source})`,
+        message: lines.join('\n'),
+        data: { funnel: funnel.name, profile: profile.name, changes: visualChanges, report: reportFile },
+      });
+    }
+    for (const observation of newValues) {
+      const step = observation.step ? `step ${observation.step.number} (${observation.step.type})` : 'unknown step';
+      await alerter.send({
+        type: 'new_value',
+        dedupeKey: `${source}:${observationKey(observation)}`,
+        title: `New config value for ${observation.path} (${source})`,
+        message: `${JSON.stringify(observation.value)} in ${observation.source} body - url: ${observation.url}, ${step}${diffText ? `\nConfig diff:\n${diffText}` : ''}`,
+        data: { funnel: funnel.name, profile: profile.name, ...observation, diff: configDiff, report: reportFile },
+      });
+    }
+    if (runStatus === 'stuck' || runStatus === 'max-retries') {
+      await alerter.send({
+        type: 'crawl_stuck',
+        dedupeKey: `${source}:${lastUrl}`,
+        title: `Crawl stuck (${source})`,
+        message: `Run ended with status ${runStatus}${stuckAt ? ` at step ${stuckAt.step} (after ${stuckAt.afterStepType})` : ''} on ${lastUrl}`,
+        data: { funnel: funnel.name, profile: profile.name, status: runStatus, url: lastUrl, stuckAt, report: reportFile },
+      });
+    }
+    if (runError) {
+      await alerter.send({
+        type: 'crawl_error',
+        dedupeKey: `${source}:${runError.message}`,
+        title: `Crawl errored (${source})`,
+        message: String(runError),
+        data: { funnel: funnel.name, profile: profile.name, url: lastUrl, report: reportFile },
+      });
+    }
+  } catch (err) {
+    logger.error(`Failed to send alerts: ${err}`);
+  }
+}
+
+module.exports = {
+  DEFAULT_MAX_STEPS,
+  runCrawl,
+};
@@ -0,0 +1,53 @@
+const fs = require('fs');
+const path = require('path');
+const { snapshotDom } = require('./steps');
+const { log } = require('./logger');
+
+const DIAGNOSTICS_DIR = 'diagnostics';
+// How much of the run's network log goes into the bundle
+const RECENT_REQUESTS = 50;
+
+// ARIA snapshot (YAML) where the Playwright version has it, the older accessibility tree (JSON) otherwise
+async function accessibilityTree(page) {
+  const body = page.locator('body');
+  if (typeof body.ariaSnapshot === 'function') {
+    return { file: 'accessibility.yaml', content: await body.ariaSnapshot() };
+  }
+  return { file: 'accessibility.json', content: JSON.stringify(await page.accessibility.snapshot(), null, 2) };
+}
+
+// Writes what is needed to see why a run stopped into <runDir>/diagnostics: full-page screenshot,
+// DOM HTML, accessibility tree, visible controls, the recent network log and the console errors.
+// Each part is best effort, so a page that is half gone still leaves the rest behind.
+async function writeDiagnostics(page, runDir, { reason, networkLog, consoleErrors = [], logger = log }) {
+  const dir = path.resolve(runDir, DIAGNOSTICS_DIR);
+  fs.mkdirSync(dir, { recursive: true });
+  const write = (file, content) => fs.writeFileSync(path.resolve(dir, file), content);
+  const parts = {
+    'page.png': () => page.screenshot({ path: path.resolve(dir, 'page.png'), fullPage: true }),
+    'dom.html': async () => write('dom.html', await page.content()),
+    accessibility: async () => {
+      const tree = await accessibilityTree(page);
+      write(tree.file, tree.content);
+    },
+    'controls.json': async () => write('controls.json', JSON.stringify(await snapshotDom(page), null, 2)),
+  };
+  const failed = {};
+  for (const [name, capture] of Object.entries(parts)) {
+    try {
+      await capture();
+    } catch (err) {
+      failed[name] = String(err);
+    }
+  }
+  write('network.json', JSON.stringify(networkLog.entries.slice(-RECENT_REQUESTS), null, 2));
+  write('console.json', JSON.stringify(consoleErrors, null, 2));
+  write('summary.json', JSON.stringify({ ...reason, url: page.url(), capturedAt: new Date().toISOString(), failed }, null, 2));
+  logger.warn(`Diagnostics written to ${dir}`, Object.keys(failed).length > 0 ? { failed } : undefined);
+  return dir;
+}
+
+module.exports = {
+  DIAGNOSTICS_DIR,
+  writeDiagnostics,
+};
@@ -0,0 +1,161 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { withLock } = require('./history');
+const { log } = require('./logger');
+
+const ROOT_DIR = path.resolve(__dirname, '..');
+const EXPERIMENTS_FILE = process.env.EXPERIMENTS_FILE
+  ? path.resolve(process.env.EXPERIMENTS_FILE)
+  : path.resolve(ROOT_DIR, 'experiments.jsonl');
+const RESULTS_FILE = 'experiment.json';
+// Used where the funnel's `experiments` section doesn't say otherwise. `keyPattern` picks the
+// config fields, cookies and localStorage keys that carry an assignment; the distribution covers
+// the last `window` runs, and a variant counts as gone once `missingAfter` runs in a row lacked it.
+const DEFAULT_EXPERIMENTS = {
+  keyPattern: 'experiment|variant|flag|ab_?test|split|bucket|cohort|feature',
+  window: 50,
+  missingAfter: 10,
+};
+// Per-session values (ids, hashes, timestamps) would make every run look like a new variant
+const SESSION_VALUE = /^([0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}|[0-9a-f]{16,}|\d{7,}|GA\d\.\d\.[\d.]+)$/i;
+const MAX_VALUE_LENGTH = 64;
+
+function normalizeValue(value) {
+  if (typeof value !== 'string') {
+    return value;
+  }
+  if (SESSION_VALUE.test(value)) {
+    return '<id>';
+  }
+  // Long values (serialized flag sets) are kept as a hash so they still tell variants apart
+  return value.length > MAX_VALUE_LENGTH
+    ? `<sha1:${crypto.createHash('sha1').update(value).digest('hex').slice(0, 8)}>`
+    : value;
+}
+
+// Scalar leaves under every key matching `pattern`, by JSON path
+function assignmentsIn(body, pattern, prefix = '', matched = false, found = {}) {
+  if (Array.isArray(body)) {
+    body.forEach((item, i) => assignmentsIn(item, pattern, `${prefix}[${i}]`, matched, found));
+  } else if (body && typeof body === 'object') {
+    for (const [key, child] of Object.entries(body)) {
+      assignmentsIn(child, pattern, prefix ? `${prefix}.${key}` : key, matched || pattern.test(key), found);
+    }
+  } else if (matched && body !== null && body !== undefined) {
+    found[prefix] = normalizeValue(body);
+  }
+  return found;
+}
+
+function sorted(object) {
+  return Object.fromEntries(Object.entries(object).sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0)));
+}
+
+// What identifies the experiment arm a session landed in: assignments in the config responses,
+// experiment cookies and localStorage entries, and the sequence of screen types the crawl went through
+function fingerprintSession({ exchanges, storageState, trail, keyPattern = DEFAULT_EXPERIMENTS.keyPattern }) {
+  const pattern = new RegExp(keyPattern, 'i');
+  const config = {};
+  for (const exchange of exchanges) {
+    Object.assign(config, assignmentsIn(exchange.responseBody, pattern));
+  }
+  const cookies = {};
+  for (const cookie of (storageState && storageState.cookies) || []) {
+    if (pattern.test(cookie.name)) {
+      cookies[cookie.name] = normalizeValue(cookie.value);
+    }
+  }
+  const localStorage = {};
+  for (const origin of (storageState && storageState.origins) || []) {
+    for (const item of origin.localStorage || []) {
+      if (pattern.test(item.name)) {
+        localStorage[item.name] = normalizeValue(item.value);
+      }
+    }
+  }
+  return {
+    config: sorted(config),
+    cookies: sorted(cookies),
+    localStorage: sorted(localStorage),
+    screens: trail.map(entry => entry.stepType),
+  };
+}
+
+function variantIdOf(fingerprint) {
+  return crypto.createHash('sha1').update(JSON.stringify(fingerprint)).digest('hex').slice(0, 10);
+}
+
+function readVariants(file = EXPERIMENTS_FILE) {
+  if (!fs.existsSync(file)) {
+    return [];
+  }
+  return fs.readFileSync(file, 'utf-8').split('\n').filter(Boolean).map(line => JSON.parse(line));
+}
+
+// Share of each variant among `records`, most common first
+function variantDistribution(records) {
+  const rows = new Map();
+  for (const record of records) {
+    const row = rows.get(record.variantId) || { variantId: record.variantId, runs: 0, firstSeen: record.runId, lastSeen: record.runId };
+    row.runs++;
+    row.lastSeen = record.runId;
+    rows.set(record.variantId, row);
+  }
+  return [...rows.values()]
+    .map(row => ({ ...row, share: Math.round((row.runs / records.length) * 1000) / 1000 }))
+    .sort((a, b) => b.runs - a.runs);
+}
+
+// Appends this run's variant to the experiments history and compares it with the earlier runs
+// under the same key (funnel, profile): whether the variant is new, which variants have just
+// gone missingAfter runs without showing up, and the distribution over the last `window` runs.
+async function trackVariant({ key, runId, fingerprint, window = DEFAULT_EXPERIMENTS.window, missingAfter = DEFAULT_EXPERIMENTS.missingAfter, file = EXPERIMENTS_FILE }) {
+  const variantId = variantIdOf(fingerprint);
+  let records;
+  await withLock(file, () => {
+    records = readVariants(file).filter(record => record.key === key);
+    const record = { key, runId, variantId, recordedAt: new Date().toISOString(), fingerprint };
+    fs.appendFileSync(file, `${JSON.stringify(record)}\n`);
+    records.push(record);
+  });
+  const previous = records.slice(0, -1);
+  const lastSeen = new Map(records.map((record, i) => [record.variantId, i]));
+  const disappeared = [...lastSeen.entries()]
+    .filter(([, index]) => records.length - 1 - index === missingAfter)
+    .map(([id]) => id);
+  log.debug(`Recorded variant ${variantId} for ${key} in ${file}`);
+  return {
+    variantId,
+    fingerprint,
+    missingAfter,
+    newVariant: previous.length > 0 && !previous.some(record => record.variantId === variantId),
+    disappeared,
+    runs: records.length,
+    distribution: variantDistribution(records.slice(-window)),
+  };
+}
+
+function writeExperiment(runDir, experiment) {
+  fs.writeFileSync(path.resolve(runDir, RESULTS_FILE), JSON.stringify(experiment, null, 2));
+}
+
+// One line for logs and alerts: the parts of the fingerprint that are set
+function describeVariant(fingerprint) {
+  const parts = ['config', 'cookies', 'localStorage']
+    .map(source => Object.entries(fingerprint[source]).map(([name, value]) => `${name}=${JSON.stringify(value)}`).join(', '))
+    .filter(Boolean);
+  return [...parts, `screens ${fingerprint.screens.join(' > ') || 'none'}`].join('; ');
+}
+
+module.exports = {
+  EXPERIMENTS_FILE,
+  DEFAULT_EXPERIMENTS,
+  fingerprintSession,
+  variantIdOf,
+  readVariants,
+  variantDistribution,
+  trackVariant,
+  writeExperiment,
+  describeVariant,
+};
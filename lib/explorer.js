@@ -0,0 +1,164 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { chromium } = require('playwright');
+const { log } = require('./logger');
+
+const ROOT_DIR = path.resolve(__dirname, '..');
+const DEFAULT_MAX_DEPTH = 5;
+const DEFAULT_MAX_RUNS = 20;
+
+// Screen identity used as a graph node: the step type plus the URL path it was solved on
+function screenId(stepType, url) {
+  let pathname = url;
+  try {
+    pathname = new URL(url).pathname;
+  } catch (e) {
+    // Keep the raw value for about:blank and the like
+  }
+  return `${stepType}:${pathname}`;
+}
+
+// Every select-nth action is a choice point. `plan[k]` is the option index to take at the
+// k-th choice point of the run; points beyond the plan fall back to the action's own index.
+function createChoiceRecorder(plan = []) {
+  const choices = [];
+  return {
+    choices,
+    choose({ step, action, labels }) {
+      const point = choices.length;
+      const planned = plan[point];
+      const fallback = action.index ?? 0;
+      const index = planned !== undefined && planned < labels.length ? planned : fallback;
+      choices.push({ point, step, options: labels.length, labels, chosen: index, label: labels[index] });
+      return index;
+    },
+  };
+}
+
+function hashBody(body) {
+  return crypto.createHash('sha1').update(JSON.stringify(body ?? null)).digest('hex').slice(0, 12);
+}
+
+function addToGraph(graph, trail) {
+  let previous = null;
+  for (const entry of trail) {
+    if (!graph.nodes[entry.screen]) {
+      graph.nodes[entry.screen] = { id: entry.screen, stepType: entry.stepType, url: entry.url, visits: 0 };
+    }
+    graph.nodes[entry.screen].visits++;
+    if (previous) {
+      const label = previous.choices.map(c => c.label).join(' + ') || previous.stepType;
+      const key = `${previous.screen} -> ${entry.screen} [${label}]`;
+      if (!graph.edges[key]) {
+        graph.edges[key] = { from: previous.screen, to: entry.screen, label, count: 0 };
+      }
+      graph.edges[key].count++;
+    }
+    previous = entry;
+  }
+}
+
+function renderDot(graph) {
+  const quote = value => JSON.stringify(String(value));
+  const lines = ['digraph funnel {', '  rankdir=LR;', '  node [shape=box];'];
+  for (const node of Object.values(graph.nodes)) {
+    lines.push(`  ${quote(node.id)} [label=${quote(`${node.id}\\n${node.visits} visit(s)`)}];`);
+  }
+  for (const edge of Object.values(graph.edges)) {
+    lines.push(`  ${quote(edge.from)} -> ${quote(edge.to)} [label=${quote(`${edge.label} (${edge.count})`)}];`);
+  }
+  lines.push('}');
+  return `${lines.join('\n')}\n`;
+}
+
+// Walks alternative answers breadth- or depth-first. Each branch is a fresh browser context that
+// replays a choice plan; choice points discovered past the end of the plan spawn sibling branches.
+// runCrawl is injected so the explorer does not depend on the crawler module directly.
+// `crawlOptions` are passed through to every branch's runCrawl call.
+async function explore({
+  runCrawl,
+  funnelFile,
+  strategy = 'bfs',
+  maxDepth = DEFAULT_MAX_DEPTH,
+  maxRuns = DEFAULT_MAX_RUNS,
+  signal,
+  headless = true,
+  outputDir: parentDir = ROOT_DIR,
+  crawlOptions = {},
+}) {
+  const startedAt = new Date().toISOString();
+  const outputDir = path.resolve(parentDir, `explore-${startedAt.replace(/[:.]/g, '-')}`);
+  fs.mkdirSync(outputDir, { recursive: true });
+
+  const graph = { nodes: {}, edges: {} };
+  const runs = [];
+  const responses = {};
+  const frontier = [[]];
+  const browser = await chromium.launch({ headless });
+  try {
+    while (frontier.length > 0 && runs.length < maxRuns && !(signal && signal.aborted)) {
+      const plan = strategy === 'dfs' ? frontier.pop() : frontier.shift();
+      log.info(`Exploring branch ${runs.length + 1}/${maxRuns}: [${plan.join(', ')}]`);
+      const recorder = createChoiceRecorder(plan);
+      let result;
+      try {
+        result = await runCrawl({ ...crawlOptions, funnelFile, signal, browser, choose: recorder.choose, outputDir, compare: false, persist: false });
+      } catch (err) {
+        log.error(`Branch [${plan.join(', ')}] failed: ${err}`);
+        result = { status: 'error', trail: [], exchanges: [] };
+      }
+      const combination = recorder.choices.map(c => ({ step: c.step, index: c.chosen, label: c.label, options: c.options }));
+      const configResponses = result.exchanges.map(exchange => {
+        const hash = hashBody(exchange.responseBody);
+        if (!responses[hash]) {
+          responses[hash] = { hash, body: exchange.responseBody, combinations: [] };
+        }
+        responses[hash].combinations.push(runs.length + 1);
+        return { hash, url: exchange.url, step: exchange.step };
+      });
+      runs.push({ branch: runs.length + 1, plan, status: result.status, runId: result.runId, dir: result.dir, combination, configResponses });
+      addToGraph(graph, result.trail);
+
+      // Siblings only for choice points this run discovered beyond its own plan
+      const taken = recorder.choices.map(c => c.chosen);
+      const children = [];
+      for (const choice of recorder.choices) {
+        if (choice.point < plan.length || choice.point >= maxDepth) {
+          continue;
+        }
+        for (let alt = 0; alt < choice.options; alt++) {
+          if (alt !== choice.chosen) {
+            children.push([...taken.slice(0, choice.point), alt]);
+          }
+        }
+      }
+      // DFS pops from the end, so push children reversed to visit the first alternative first
+      frontier.push(...(strategy === 'dfs' ? children.reverse() : children));
+    }
+  } finally {
+    await browser.close();
+  }
+
+  const result = {
+    startedAt,
+    finishedAt: new Date().toISOString(),
+    strategy,
+    maxDepth,
+    maxRuns,
+    unexplored: frontier.length,
+    graph: { nodes: Object.values(graph.nodes), edges: Object.values(graph.edges) },
+    runs,
+    responses: Object.values(responses),
+  };
+  fs.writeFileSync(path.resolve(outputDir, 'explore.json'), JSON.stringify(result, null, 2));
+  fs.writeFileSync(path.resolve(outputDir, 'graph.dot'), renderDot(graph));
+  log.info(`Explored ${runs.length} branch(es), ${result.graph.nodes.length} screen(s), ${result.responses.length} distinct config response(s). ${frontier.length} branch(es) left unexplored. Output: ${outputDir}`);
+  return { ...result, outputDir };
+}
+
+module.exports = {
+  screenId,
+  createChoiceRecorder,
+  explore,
+};
@@ -0,0 +1,245 @@
+const fs = require('fs');
+const path = require('path');
+
+const FUNNELS_DIR = path.resolve(__dirname, '..', 'funnels');
+const DEFAULT_FUNNEL_FILE = path.resolve(FUNNELS_DIR, 'yoga-go.json');
+
+const ACTIONS = ['click', 'fill', 'select-nth', 'wait', 'wait-for', 'settle', 'screenshot', 'dump'];
+const CONDITION_KEYS = ['all', 'any', 'not', 'selector', 'text', 'url', 'urlPattern', 'urlChanged', 'request', 'requestPattern'];
+
+function parseFunnelFile(file) {
+  const text = fs.readFileSync(file, 'utf-8');
+  const ext = path.extname(file).toLowerCase();
+  if (ext === '.yaml' || ext === '.yml') {
+    return require('yaml').parse(text);
+  }
+  return JSON.parse(text);
+}
+
+function validateCondition(condition, where, errors) {
+  if (!condition || typeof condition !== 'object' || Array.isArray(condition)) {
+    errors.push(`${where}: condition must be an object`);
+    return;
+  }
+  const keys = Object.keys(condition);
+  if (keys.length === 0) {
+    errors.push(`${where}: condition is empty`);
+  }
+  for (const key of keys) {
+    if (!CONDITION_KEYS.includes(key)) {
+      errors.push(`${where}: unknown condition key '${key}'`);
+    }
+  }
+  for (const key of ['all', 'any']) {
+    if (condition[key] !== undefined) {
+      if (!Array.isArray(condition[key])) {
+        errors.push(`${where}.${key}: must be an array`);
+      } else {
+        condition[key].forEach((child, i) => validateCondition(child, `${where}.${key}[${i}]`, errors));
+      }
+    }
+  }
+  if (condition.not !== undefined) {
+    validateCondition(condition.not, `${where}.not`, errors);
+  }
+}
+
+// include/exclude rules are { host, path } regexes; redact lists are header names, field-name regexes and text regexes
+function validateCapture(capture, errors) {
+  if (!capture || typeof capture !== 'object' || Array.isArray(capture)) {
+    errors.push('capture: must be an object');
+    return;
+  }
+  const checkRegex = (pattern, where) => {
+    try {
+      new RegExp(pattern);
+    } catch (err) {
+      errors.push(`${where}: ${err.message}`);
+    }
+  };
+  for (const key of ['include', 'exclude']) {
+    if (capture[key] === undefined) {
+      continue;
+    }
+    if (!Array.isArray(capture[key])) {
+      errors.push(`capture.${key}: must be an array of { host, path } rules`);
+      continue;
+    }
+    for (const [i, rule] of capture[key].entries()) {
+      if (!rule || (!rule.host && !rule.path)) {
+        errors.push(`capture.${key}[${i}]: needs host or path`);
+        continue;
+      }
+      for (const field of ['host', 'path']) {
+        if (rule[field] !== undefined) {
+          checkRegex(rule[field], `capture.${key}[${i}].${field}`);
+        }
+      }
+    }
+  }
+  for (const key of ['headers', 'fields', 'patterns']) {
+    const list = capture.redact && capture.redact[key];
+    if (list === undefined) {
+      continue;
+    }
+    if (!Array.isArray(list)) {
+      errors.push(`capture.redact.${key}: must be an array`);
+    } else if (key !== 'headers') {
+      list.forEach((pattern, i) => checkRegex(pattern, `capture.redact.${key}[${i}]`));
+    }
+  }
+}
+
+// ignore is a list of CSS selectors; contrast minimums are ratios such as 4.5 (for 4.5:1)
+function validateAudit(audit, errors) {
+  if (!audit || typeof audit !== 'object' || Array.isArray(audit)) {
+    errors.push('audit: must be an object');
+    return;
+  }
+  if (audit.enabled !== undefined && typeof audit.enabled !== 'boolean') {
+    errors.push('audit.enabled: must be true or false');
+  }
+  if (audit.ignore !== undefined && !(Array.isArray(audit.ignore) && audit.ignore.every(selector => typeof selector === 'string'))) {
+    errors.push('audit.ignore: must be an array of selectors');
+  }
+  for (const key of ['minContrast', 'largeMinContrast']) {
+    if (audit[key] !== undefined && !(typeof audit[key] === 'number' && audit[key] >= 1 && audit[key] <= 21)) {
+      errors.push(`audit.${key}: must be a contrast ratio between 1 and 21`);
+    }
+  }
+}
+
+// Bounds are positive millisecond counts; api is a regex over request URLs
+function validateTransition(transition, errors) {
+  if (!transition || typeof transition !== 'object' || Array.isArray(transition)) {
+    errors.push('transition: must be an object');
+    return;
+  }
+  for (const key of ['timeout', 'quietMs', 'missTimeout']) {
+    if (transition[key] !== undefined && !(Number.isInteger(transition[key]) && transition[key] > 0)) {
+      errors.push(`transition.${key}: must be a positive integer (ms)`);
+    }
+  }
+  if (transition.api !== undefined) {
+    try {
+      new RegExp(transition.api);
+    } catch (err) {
+      errors.push(`transition.api: ${err.message}`);
+    }
+  }
+}
+
+// keyPattern is a regex over field, cookie and localStorage names; window and missingAfter count runs
+function validateExperiments(experiments, errors) {
+  if (!experiments || typeof experiments !== 'object' || Array.isArray(experiments)) {
+    errors.push('experiments: must be an object');
+    return;
+  }
+  if (experiments.enabled !== undefined && typeof experiments.enabled !== 'boolean') {
+    errors.push('experiments.enabled: must be true or false');
+  }
+  if (experiments.keyPattern !== undefined) {
+    try {
+      new RegExp(experiments.keyPattern);
+    } catch (err) {
+      errors.push(`experiments.keyPattern: ${err.message}`);
+    }
+  }
+  for (const key of ['window', 'missingAfter']) {
+    if (experiments[key] !== undefined && !(Number.isInteger(experiments[key]) && experiments[key] > 0)) {
+      errors.push(`experiments.${key}: must be a positive integer`);
+    }
+  }
+}
+
+function validateFunnel(funnel, source) {
+  const errors = [];
+  if (!funnel || typeof funnel !== 'object') {
+    throw new Error(`Invalid funnel ${source}: not an object`);
+  }
+  if (typeof funnel.name !== 'string' || !funnel.name) {
+    errors.push('name: required');
+  }
+  if (typeof funnel.startUrl !== 'string' || !funnel.startUrl) {
+    errors.push('startUrl: required');
+  }
+  if (!Array.isArray(funnel.steps) || funnel.steps.length === 0) {
+    errors.push('steps: must be a non-empty array');
+  }
+  for (const [i, step] of (funnel.steps || []).entries()) {
+    const where = `steps[${i}]`;
+    if (!step.name) {
+      errors.push(`${where}.name: required`);
+    }
+    validateCondition(step.detect, `${where}.detect`, errors);
+    if (!Array.isArray(step.actions)) {
+      errors.push(`${where}.actions: must be an array`);
+    }
+    for (const [j, action] of (step.actions || []).entries()) {
+      if (!ACTIONS.includes(action.action)) {
+        errors.push(`${where}.actions[${j}]: unknown action '${action.action}'`);
+      }
+      if (action.action === 'wait-for') {
+        validateCondition(action.condition, `${where}.actions[${j}].condition`, errors);
+      }
+    }
+    if (step.success) {
+      validateCondition(step.success.condition, `${where}.success.condition`, errors);
+    }
+  }
+  if (funnel.heuristic !== undefined && typeof funnel.heuristic !== 'boolean') {
+    errors.push('heuristic: must be true or false');
+  }
+  if (funnel.terminal !== undefined && !Array.isArray(funnel.terminal)) {
+    errors.push('terminal: must be an array');
+  }
+  for (const [i, terminal] of (Array.isArray(funnel.terminal) ? funnel.terminal : []).entries()) {
+    if (!terminal.name) {
+      errors.push(`terminal[${i}].name: required`);
+    }
+    validateCondition(terminal.condition, `terminal[${i}].condition`, errors);
+  }
+  if (funnel.monitor && funnel.monitor.keyParams !== undefined
+    && !(Array.isArray(funnel.monitor.keyParams) && funnel.monitor.keyParams.every(name => typeof name === 'string'))) {
+    errors.push('monitor.keyParams: must be an array of query parameter names');
+  }
+  if (funnel.pricing !== undefined) {
+    if (!funnel.pricing || typeof funnel.pricing !== 'object' || Array.isArray(funnel.pricing)) {
+      errors.push('pricing: must be an object');
+    } else {
+      for (const key of ['plan', 'timer', 'endpoint']) {
+        if (funnel.pricing[key] !== undefined && typeof funnel.pricing[key] !== 'string') {
+          errors.push(`pricing.${key}: must be a string`);
+        }
+      }
+    }
+  }
+  if (funnel.capture !== undefined) {
+    validateCapture(funnel.capture, errors);
+  }
+  if (funnel.audit !== undefined) {
+    validateAudit(funnel.audit, errors);
+  }
+  if (funnel.transition !== undefined) {
+    validateTransition(funnel.transition, errors);
+  }
+  if (funnel.experiments !== undefined) {
+    validateExperiments(funnel.experiments, errors);
+  }
+  if (errors.length > 0) {
+    throw new Error(`Invalid funnel ${source}:\n  ${errors.join('\n  ')}`);
+  }
+}
+
+function loadFunnel(file = DEFAULT_FUNNEL_FILE) {
+  const funnel = parseFunnelFile(file);
+  validateFunnel(funnel, file);
+  return funnel;
+}
+
+module.exports = {
+  FUNNELS_DIR,
+  DEFAULT_FUNNEL_FILE,
+  loadFunnel,
+  validateFunnel,
+};
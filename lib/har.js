@@ -0,0 +1,47 @@
+const fs = require('fs');
+const path = require('path');
+
+const HAR_FILE = 'session.har';
+// Sidecar with what a replay needs to make the same requests: POST bodies are matched strictly,
+// so the replay has to fill in the same generated values as the recording
+const META_FILE = 'session.json';
+
+// newContext() options that record the whole crawl, bodies included, into <runDir>/session.har
+function recordOptions(runDir) {
+  return { recordHar: { path: path.resolve(runDir, HAR_FILE), content: 'embed', mode: 'full' } };
+}
+
+function writeSessionMeta(runDir, meta) {
+  fs.writeFileSync(path.resolve(runDir, META_FILE), JSON.stringify(meta, null, 2));
+}
+
+// Accepts the .har file or the run folder that holds it
+function resolveHar(target) {
+  const resolved = path.resolve(target);
+  if (!fs.existsSync(resolved)) {
+    throw new Error(`No HAR recording or run folder at ${resolved}`);
+  }
+  const harFile = fs.statSync(resolved).isDirectory() ? path.resolve(resolved, HAR_FILE) : resolved;
+  if (!fs.existsSync(harFile)) {
+    throw new Error(`No HAR recording at ${harFile}`);
+  }
+  let meta = {};
+  const metaFile = path.resolve(path.dirname(harFile), META_FILE);
+  if (fs.existsSync(metaFile)) {
+    meta = JSON.parse(fs.readFileSync(metaFile, 'utf-8'));
+  }
+  return { harFile, meta };
+}
+
+// Serves every request from the recording; anything not in it is aborted, so nothing reaches the network
+async function replayFromHar(context, harFile) {
+  await context.routeFromHAR(harFile, { notFound: 'abort' });
+}
+
+module.exports = {
+  HAR_FILE,
+  recordOptions,
+  writeSessionMeta,
+  resolveHar,
+  replayFromHar,
+};
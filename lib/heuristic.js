@@ -0,0 +1,218 @@
+const { log } = require('./logger');
+
+const HEURISTIC_STEP = 'heuristic';
+// Marks the elements inspectScreen() found so they can be addressed with a plain selector
+const CANDIDATE_ATTRIBUTE = 'data-crawler-candidate';
+
+// Runs in the page. Describes the visible form controls and ranks the buttons and links by how
+// likely each is to be the screen's primary call to action. It reads the DOM rather than the
+// accessibility snapshot: candidates have to be marked with an attribute to be addressable, and
+// the CTA ranking needs computed styles and boxes the accessibility tree doesn't carry. Only
+// required and aria-required inputs are listed, so optional fields (promo codes and the like) stay empty.
+function inspectScreen(attribute) {
+  const AVOID = /\b(back|close|cancel|privacy|terms|policy|cookies?|log ?in|sign ?in|help|support|refund|subscription terms)\b|^[x×✕]$/i;
+  const PRIMARY = /\b(continue|next|get|start|submit|confirm|ok|done|see|show|yes|proceed|take|go|let'?s|claim|unlock)\b/i;
+  const TEXT_INPUTS = ['text', 'email', 'number', 'tel', 'date', 'search', ''];
+  let next = 0;
+  const mark = el => {
+    if (!el.hasAttribute(attribute)) {
+      el.setAttribute(attribute, String(next++));
+    }
+    return `[${attribute}="${el.getAttribute(attribute)}"]`;
+  };
+  document.querySelectorAll(`[${attribute}]`).forEach(el => el.removeAttribute(attribute));
+  const visible = el => {
+    const rect = el.getBoundingClientRect();
+    const style = getComputedStyle(el);
+    return rect.width > 0 && rect.height > 0 && style.visibility !== 'hidden' && style.display !== 'none';
+  };
+  const labelOf = el => {
+    const label = (el.labels && el.labels[0] && el.labels[0].textContent)
+      || el.getAttribute('aria-label') || el.getAttribute('placeholder') || el.textContent || el.value || '';
+    return label.replace(/\s+/g, ' ').trim().slice(0, 80);
+  };
+  const roleOf = el => el.getAttribute('role') || (el.tagName === 'A' ? 'link' : el.tagName === 'INPUT' ? el.type : 'button');
+
+  const inputs = [...document.querySelectorAll('input, textarea')]
+    .filter(el => (el.tagName === 'TEXTAREA' || TEXT_INPUTS.includes(el.getAttribute('type') || '')) && visible(el) && !el.disabled && !el.readOnly && !el.value
+      && (el.required || el.getAttribute('aria-required') === 'true'))
+    .map(el => ({
+      selector: mark(el),
+      type: el.getAttribute('type') || 'text',
+      name: el.getAttribute('name') || '',
+      locator: el.getAttribute('data-locator') || '',
+      label: labelOf(el),
+    }));
+
+  // Native radios and checkboxes can be hidden behind styled labels, so their labels count as visible
+  const choices = [...document.querySelectorAll('input[type=radio], input[type=checkbox], [role=radio], [role=checkbox], [role=option]')]
+    .filter(el => !el.disabled && (visible(el) || (el.labels && [...el.labels].some(visible))))
+    .map(el => ({
+      selector: mark(el.tagName === 'INPUT' && !visible(el) ? el.labels[0] : el),
+      kind: el.getAttribute('type') || el.getAttribute('role'),
+      group: el.getAttribute('name') || (el.parentElement && el.parentElement.getAttribute('data-locator')) || '',
+      locator: el.getAttribute('data-locator') || '',
+      label: labelOf(el),
+      checked: el.checked === true || el.getAttribute('aria-checked') === 'true' || el.getAttribute('aria-selected') === 'true',
+    }));
+
+  const viewport = { width: innerWidth, height: innerHeight };
+  const ctas = [...document.querySelectorAll('button, [role=button], a[href], input[type=submit]')]
+    .filter(el => visible(el) && !el.disabled && el.getAttribute('aria-disabled') !== 'true' && !el.matches('input[type=radio], input[type=checkbox], [role=radio], [role=checkbox], [role=option]'))
+    .map(el => {
+      const text = labelOf(el);
+      const style = getComputedStyle(el);
+      const rect = el.getBoundingClientRect();
+      const role = roleOf(el);
+      let score = 0;
+      if (role === 'button' || role === 'submit') score += 3;
+      if (el.type === 'submit') score += 2;
+      if (PRIMARY.test(text)) score += 4;
+      if (!/rgba\(0, 0, 0, 0\)|transparent/.test(style.backgroundColor)) score += 2;
+      if (Number(style.fontWeight) >= 600) score += 1;
+      if (rect.width >= viewport.width * 0.5) score += 1;
+      if (rect.top >= viewport.height / 2 || style.position === 'fixed' || style.position === 'sticky') score += 1;
+      return { selector: mark(el), role, text, locator: el.getAttribute('data-locator') || '', score, avoid: AVOID.test(text) };
+    })
+    .filter(cta => !cta.avoid && cta.score > 0)
+    .sort((a, b) => b.score - a.score);
+
+  return { url: location.href, inputs, choices, ctas };
+}
+
+const DEFAULTS = { height: '175', weight: '70', age: '30' };
+// A unit named in the hint picks the value in that unit, whatever the persona's units (see personas.js)
+const UNIT_VARS = {
+  height: [['inch', 'heightIn'], ['ft|feet|imperial', 'heightFt'], ['cm|metric', 'heightCm']],
+  weight: [['lbs?|pounds?|imperial', 'weightLb'], ['kg|metric', 'weightKg']],
+};
+
+// A value of the right shape for an input, from its type and what its name and label hint at
+function plausibleValue(input, vars) {
+  const hint = `${input.name} ${input.locator} ${input.label}`.toLowerCase();
+  if (input.type === 'email' || /e-?mail/.test(hint)) {
+    return vars.email;
+  }
+  // Only at the start of a word, so "page" or "message" don't count as age
+  const word = pattern => new RegExp(`(^|[^a-z])(${pattern})`).test(hint);
+  if (word('goal|target|desired') && word('weight')) {
+    return String(vars[word('lbs?|pounds?|imperial') ? 'goalWeightLb' : word('kg|metric') ? 'goalWeightKg' : 'goalWeight'] ?? DEFAULTS.weight);
+  }
+  for (const key of ['height', 'weight', 'age']) {
+    if (word(key)) {
+      const unit = (UNIT_VARS[key] || []).find(([pattern]) => word(pattern));
+      return String(vars[unit ? unit[1] : key] ?? DEFAULTS[key]);
+    }
+  }
+  for (const [pattern, name] of [...UNIT_VARS.height, ...UNIT_VARS.weight]) {
+    if (word(pattern) && vars[name] !== undefined) {
+      return String(vars[name]);
+    }
+  }
+  if (input.type === 'date') {
+    return '1994-05-15';
+  }
+  if (/birth|dob|date/.test(hint)) {
+    return '05/15/1994';
+  }
+  if (input.type === 'tel' || /phone/.test(hint)) {
+    return '2025550123';
+  }
+  if (/zip|postal/.test(hint)) {
+    return '10001';
+  }
+  if (input.type === 'number') {
+    return '30';
+  }
+  if (/name/.test(hint)) {
+    return 'Alex';
+  }
+  return 'test';
+}
+
+function describe(item) {
+  return `${item.locator || item.selector} - ${item.text || item.label || ''}`.trim();
+}
+
+// Fills empty required text-like inputs, picks one answer per unanswered radio/checkbox group and clicks
+// the best ranked CTA. Every action is flagged `heuristic` and logged with what it matched, so a
+// screen that keeps needing it can be turned into a proper funnel step.
+async function solveHeuristically(page, ctx) {
+  const logger = (ctx.log || log).child({ heuristic: true });
+  const screen = await page.evaluate(inspectScreen, CANDIDATE_ATTRIBUTE);
+  logger.info(`Heuristic solver on ${screen.url}: ${screen.inputs.length} input(s), ${screen.choices.length} choice(s), ${screen.ctas.length} CTA candidate(s)`, {
+    screen: { inputs: screen.inputs, choices: screen.choices, ctas: screen.ctas.slice(0, 5) },
+  });
+  const actions = [];
+  const record = (action, item, result) => {
+    actions.push({ action, selector: item.locator ? `[data-locator="${item.locator}"]` : item.selector, heuristic: true, ...result });
+  };
+
+  for (const input of screen.inputs) {
+    const value = plausibleValue(input, ctx.vars || {});
+    try {
+      await page.locator(input.selector).fill(value, { timeout: 5000 });
+      logger.info(`Heuristic: filled ${describe(input)} with ${value}`);
+      record('fill', input, { ok: true, detail: value });
+    } catch (err) {
+      logger.warn(`Heuristic: failed to fill ${describe(input)}: ${err}`);
+      record('fill', input, { ok: false, detail: String(err) });
+    }
+  }
+
+  const groups = {};
+  for (const choice of screen.choices) {
+    const key = `${choice.kind}:${choice.group}`;
+    (groups[key] = groups[key] || []).push(choice);
+  }
+  for (const [key, options] of Object.entries(groups)) {
+    if (options.some(option => option.checked)) {
+      continue;
+    }
+    const labels = options.map(describe);
+    const index = ctx.choose ? ctx.choose({ step: HEURISTIC_STEP, action: { action: 'heuristic-choice', index: 0 }, labels }) : 0;
+    const option = options[index] || options[0];
+    try {
+      await page.locator(option.selector).click({ timeout: 5000 });
+      logger.info(`Heuristic: chose ${describe(option)} in ${key}`);
+      record('choose', option, { ok: true, detail: `[${index}] ${describe(option)}` });
+    } catch (err) {
+      logger.warn(`Heuristic: failed to choose ${describe(option)}: ${err}`);
+      record('choose', option, { ok: false, detail: String(err) });
+    }
+  }
+
+  const cta = screen.ctas[0];
+  if (cta) {
+    try {
+      await page.locator(cta.selector).click({ timeout: 5000 });
+      logger.info(`Heuristic: clicked ${describe(cta)} (score ${cta.score})`);
+      record('click', cta, { ok: true, detail: `${describe(cta)} (score ${cta.score})` });
+    } catch (err) {
+      logger.warn(`Heuristic: failed to click ${describe(cta)}: ${err}`);
+      record('click', cta, { ok: false, detail: String(err) });
+    }
+  }
+  return { actions, success: actions.some(action => action.ok) };
+}
+
+// A step type for screens none of the funnel's steps recognise. It only "detects" a screen it
+// has something to do on; `ctx` is the same as for buildStepTypes().
+function buildHeuristicStep(page, ctx) {
+  return {
+    name: HEURISTIC_STEP,
+    detect: async () => {
+      const screen = await page.evaluate(inspectScreen, CANDIDATE_ATTRIBUTE);
+      return screen.ctas.length > 0 || screen.inputs.length > 0 || screen.choices.length > 0;
+    },
+    solve: (extra = {}) => solveHeuristically(page, { ...ctx, ...extra }),
+  };
+}
+
+module.exports = {
+  HEURISTIC_STEP,
+  inspectScreen,
+  plausibleValue,
+  solveHeuristically,
+  buildHeuristicStep,
+};
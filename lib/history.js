@@ -0,0 +1,300 @@
+const fs = require('fs');
+const path = require('path');
+const { observationKey } = require('./config-monitor');
+const { log } = require('./logger');
+
+const ROOT_DIR = path.resolve(__dirname, '..');
+const DEFAULT_HISTORY_FILE = process.env.HISTORY_FILE
+  ? path.resolve(process.env.HISTORY_FILE)
+  : path.resolve(ROOT_DIR, 'history.jsonl');
+const LEGACY_SEEN_VALUES_FILE = path.resolve(ROOT_DIR, 'seen_values.json');
+// Field the old single-value monitor tracked; bare entries in seen_values.json belong to it
+const LEGACY_FIELD = 'some_field';
+const LOCK_RETRY_MS = 50;
+const LOCK_TIMEOUT_MS = 30 * 1000;
+const STALE_LOCK_MS = 2 * 60 * 1000;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// A history command or option that doesn't exist, as opposed to a failure running a valid one
+class HistoryUsageError extends Error {}
+
+// Removes `lockFile` if it is still the stale lock `stat` describes. The takeover is an
+// exclusively created marker named after that lock's inode and mtime, so of the processes that
+// found the same stale lock only one removes it, and none can remove a lock created after it.
+// Returns false if another process is already taking it over.
+function takeOverStaleLock(lockFile, stat) {
+  const marker = `${lockFile}.${stat.ino}-${Math.round(stat.mtimeMs)}.takeover`;
+  let fd;
+  try {
+    fd = fs.openSync(marker, 'wx');
+  } catch (err) {
+    if (err.code === 'EEXIST') {
+      return false;
+    }
+    throw err;
+  }
+  try {
+    const current = fs.statSync(lockFile);
+    if (current.ino === stat.ino && current.mtimeMs === stat.mtimeMs) {
+      fs.unlinkSync(lockFile);
+    }
+  } catch (e) {
+    // Released in the meantime
+  } finally {
+    fs.closeSync(fd);
+    fs.unlinkSync(marker);
+  }
+  return true;
+}
+
+// Cross-process mutex: an exclusively created <file>.lock. Locks older than STALE_LOCK_MS are
+// assumed to belong to a crashed process and are taken over (see takeOverStaleLock).
+async function withLock(file, fn) {
+  const lockFile = `${file}.lock`;
+  const deadline = Date.now() + LOCK_TIMEOUT_MS;
+  let fd;
+  while (fd === undefined) {
+    try {
+      fd = fs.openSync(lockFile, 'wx');
+      fs.writeSync(fd, String(process.pid));
+    } catch (err) {
+      if (err.code !== 'EEXIST') {
+        throw err;
+      }
+      let stat = null;
+      try {
+        stat = fs.statSync(lockFile);
+      } catch (e) {
+        // Lock was released between our open and stat; just retry
+        continue;
+      }
+      if (Date.now() - stat.mtimeMs > STALE_LOCK_MS && takeOverStaleLock(lockFile, stat)) {
+        continue;
+      }
+      if (Date.now() > deadline) {
+        throw new Error(`Timed out waiting for history lock ${lockFile}`);
+      }
+      await sleep(LOCK_RETRY_MS);
+    }
+  }
+  try {
+    return await fn();
+  } finally {
+    fs.closeSync(fd);
+    fs.unlinkSync(lockFile);
+  }
+}
+
+function readRecords(file = DEFAULT_HISTORY_FILE) {
+  if (!fs.existsSync(file)) {
+    return [];
+  }
+  const records = [];
+  for (const line of fs.readFileSync(file, 'utf-8').split('\n')) {
+    if (!line.trim()) {
+      continue;
+    }
+    try {
+      records.push(JSON.parse(line));
+    } catch (e) {
+      // A torn last line from a crashed writer; skip it
+    }
+  }
+  return records;
+}
+
+function appendRecords(file, records) {
+  if (records.length === 0) {
+    return;
+  }
+  fs.appendFileSync(file, records.map(r => `${JSON.stringify(r)}\n`).join(''));
+}
+
+// seen_values.json is a JSON array of the LEGACY_FIELD values the old monitor had seen
+function legacyRecords(file) {
+  const observedAt = fs.statSync(file).mtime.toISOString();
+  return JSON.parse(fs.readFileSync(file, 'utf-8')).map(value => (
+    { field: LEGACY_FIELD, path: LEGACY_FIELD, value, source: 'seen_values.json', runId: 'migration', observedAt }
+  ));
+}
+
+// Seeds a new history file from seen_values.json. Runs only while the history file does not exist.
+async function migrateSeenValues(file = DEFAULT_HISTORY_FILE, legacyFile = LEGACY_SEEN_VALUES_FILE) {
+  if (fs.existsSync(file) || !fs.existsSync(legacyFile)) {
+    return 0;
+  }
+  return withLock(file, () => {
+    if (fs.existsSync(file)) {
+      return 0;
+    }
+    const records = legacyRecords(legacyFile);
+    fs.writeFileSync(file, records.map(r => `${JSON.stringify(r)}\n`).join(''));
+    log.info(`Migrated ${records.length} value(s) from ${legacyFile} to ${file}`);
+    return records.length;
+  });
+}
+
+// A value is new per funnel. Migrated records predate funnels and count for every funnel.
+function seenKey(funnel, observation) {
+  return `${funnel || '*'}:${observationKey(observation)}`;
+}
+
+// Appends every observation of a run and returns the ones whose field/value was never recorded
+// before for the funnel. Reading and appending happen under the lock so concurrent runs can't both
+// claim a value.
+// meta: { funnel, runId, profile }
+async function recordObservations(observations, meta, file = DEFAULT_HISTORY_FILE) {
+  await migrateSeenValues(file);
+  return withLock(file, () => {
+    const seen = new Set(readRecords(file).map(record => seenKey(record.funnel, record)));
+    const fresh = [];
+    const records = observations.map(observation => {
+      const key = seenKey(meta.funnel, observation);
+      if (!seen.has(key) && !seen.has(seenKey(null, observation))) {
+        seen.add(key);
+        fresh.push(observation);
+      }
+      return {
+        field: observation.field,
+        path: observation.path,
+        value: observation.value,
+        source: observation.source,
+        url: observation.url,
+        step: observation.step,
+        payloadHash: observation.payloadHash,
+        funnel: meta.funnel,
+        runId: meta.runId,
+        profile: meta.profile || null,
+        observedAt: observation.timestamp,
+      };
+    });
+    appendRecords(file, records);
+    return fresh;
+  });
+}
+
+// One row per distinct field/value with when and where it was seen
+function summarize(records) {
+  const rows = new Map();
+  for (const record of records) {
+    const key = observationKey(record);
+    let row = rows.get(key);
+    if (!row) {
+      row = { field: record.field, value: record.value, firstSeen: record.observedAt, lastSeen: record.observedAt, count: 0, runs: new Set(), funnels: new Set(), profiles: new Set(), lastRunId: null, lastStep: null };
+      rows.set(key, row);
+    }
+    row.count++;
+    row.runs.add(record.runId);
+    if (record.funnel) {
+      row.funnels.add(record.funnel);
+    }
+    if (record.profile && record.profile.name) {
+      row.profiles.add(record.profile.name);
+    }
+    if (record.observedAt < row.firstSeen) {
+      row.firstSeen = record.observedAt;
+    }
+    if (record.observedAt >= row.lastSeen) {
+      row.lastSeen = record.observedAt;
+      row.lastRunId = record.runId;
+      row.lastStep = record.step || null;
+    }
+  }
+  return Array.from(rows.values()).map(row => ({
+    ...row,
+    runs: row.runs.size,
+    funnels: Array.from(row.funnels),
+    profiles: Array.from(row.profiles),
+  }));
+}
+
+function filterRecords(records, { field, funnel, since, profile } = {}) {
+  return records.filter(record =>
+    (!field || record.field === field || record.path === field)
+    && (!funnel || record.funnel === funnel)
+    && (!since || record.observedAt >= since)
+    && (!profile || (record.profile && record.profile.name === profile)));
+}
+
+function csvCell(value) {
+  const text = typeof value === 'string' ? value : JSON.stringify(value ?? '');
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(rows, columns) {
+  return [columns.join(','), ...rows.map(row => columns.map(c => csvCell(row[c])).join(','))].join('\n') + '\n';
+}
+
+const SUMMARY_COLUMNS = ['field', 'value', 'firstSeen', 'lastSeen', 'count', 'runs', 'lastRunId', 'funnels', 'profiles'];
+const RECORD_COLUMNS = ['observedAt', 'field', 'path', 'value', 'source', 'funnel', 'runId', 'step', 'profile', 'payloadHash', 'url'];
+
+function parseArgs(argv) {
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) {
+      options[argv[i].slice(2)] = argv[i + 1] && !argv[i + 1].startsWith('--') ? argv[++i] : true;
+    }
+  }
+  return options;
+}
+
+// node lib/history.js query [--field f] [--funnel f] [--since ISO] [--profile p]
+// node lib/history.js export [--format jsonl|csv|summary-csv] [--out file] [filters]
+function runHistoryCommand(argv) {
+  const [command, ...rest] = argv;
+  const options = parseArgs(rest);
+  const file = options.file ? path.resolve(options.file) : DEFAULT_HISTORY_FILE;
+  const records = filterRecords(readRecords(file), options);
+  if (command === 'query') {
+    const rows = summarize(records).sort((a, b) => (a.lastSeen < b.lastSeen ? 1 : -1));
+    for (const row of rows) {
+      console.log(`${row.field} = ${JSON.stringify(row.value)}  first ${row.firstSeen}  last ${row.lastSeen}  ${row.count} obs / ${row.runs} run(s)  last run ${row.lastRunId}`);
+    }
+    log.info(`${rows.length} distinct value(s) in ${records.length} observation(s)`);
+    return;
+  }
+  if (command === 'export') {
+    const format = options.format || 'jsonl';
+    let output;
+    if (format === 'jsonl') {
+      output = records.map(r => `${JSON.stringify(r)}\n`).join('');
+    } else if (format === 'csv') {
+      output = toCsv(records, RECORD_COLUMNS);
+    } else if (format === 'summary-csv') {
+      output = toCsv(summarize(records), SUMMARY_COLUMNS);
+    } else {
+      throw new HistoryUsageError(`Unknown export format '${format}'. Use jsonl, csv or summary-csv.`);
+    }
+    if (options.out) {
+      fs.writeFileSync(path.resolve(options.out), output);
+      log.info(`Exported ${records.length} observation(s) to ${options.out}`);
+    } else {
+      process.stdout.write(output);
+    }
+    return;
+  }
+  throw new HistoryUsageError(`Unknown history command '${command}'. Use query or export.`);
+}
+
+if (require.main === module) {
+  try {
+    runHistoryCommand(process.argv.slice(2));
+  } catch (err) {
+    console.error('Error:', err.message);
+    process.exit(err instanceof HistoryUsageError ? 2 : 1);
+  }
+}
+
+module.exports = {
+  DEFAULT_HISTORY_FILE,
+  HistoryUsageError,
+  withLock,
+  readRecords,
+  appendRecords,
+  migrateSeenValues,
+  recordObservations,
+  summarize,
+  filterRecords,
+  runHistoryCommand,
+};
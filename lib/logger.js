@@ -0,0 +1,84 @@
+const fs = require('fs');
+
+const LEVELS = ['debug', 'info', 'warn', 'error'];
+const FORMATS = ['text', 'json'];
+// Context fields left out of text lines; they are the same for a whole run and stay in JSON output
+const TEXT_HIDDEN_CONTEXT = ['runId', 'funnel'];
+
+const settings = {
+  level: (process.env.LOG_LEVEL || 'info').toLowerCase(),
+  format: (process.env.LOG_FORMAT || 'text').toLowerCase(),
+};
+
+function configure({ level, format } = {}) {
+  if (level !== undefined) {
+    if (!LEVELS.includes(level)) {
+      throw new Error(`Unknown log level '${level}'. Use one of ${LEVELS.join(', ')}.`);
+    }
+    settings.level = level;
+  }
+  if (format !== undefined) {
+    if (!FORMATS.includes(format)) {
+      throw new Error(`Unknown log format '${format}'. Use one of ${FORMATS.join(', ')}.`);
+    }
+    settings.format = format;
+  }
+}
+
+function isEnabled(level) {
+  return LEVELS.indexOf(level) >= LEVELS.indexOf(settings.level);
+}
+
+// Errors don't survive JSON.stringify; keep their message
+function serializable(fields) {
+  return Object.fromEntries(Object.entries(fields).map(([key, value]) => [key, value instanceof Error ? String(value) : value]));
+}
+
+function formatText(level, message, context, fields) {
+  const scope = Object.entries(context)
+    .filter(([key, value]) => !TEXT_HIDDEN_CONTEXT.includes(key) && value !== undefined && value !== null)
+    .map(([key, value]) => `${key}=${value}`)
+    .join(' ');
+  const extra = Object.keys(fields).length > 0 ? ` ${JSON.stringify(fields)}` : '';
+  return `[${level.toUpperCase()}]${scope ? ` [${scope}]` : ''} ${message}${extra}`;
+}
+
+// A logger carries context fields (run id, profile, step, ...) that are added to every entry.
+// child() adds more context; withFile() also appends every entry as JSON lines to `file`.
+function createLogger(context = {}, files = []) {
+  const write = (level, message, fields = {}) => {
+    if (!isEnabled(level)) {
+      return;
+    }
+    const extra = serializable(fields);
+    const entry = { time: new Date().toISOString(), level, message, ...context, ...extra };
+    const json = JSON.stringify(entry);
+    process.stdout.write(`${settings.format === 'json' ? json : formatText(level, message, context, extra)}\n`);
+    for (const file of files) {
+      try {
+        fs.appendFileSync(file, `${json}\n`);
+      } catch (e) {
+        // The run folder may be gone already; the console line was still written
+      }
+    }
+  };
+  return {
+    debug: (message, fields) => write('debug', message, fields),
+    info: (message, fields) => write('info', message, fields),
+    warn: (message, fields) => write('warn', message, fields),
+    error: (message, fields) => write('error', message, fields),
+    isEnabled,
+    child: fields => createLogger({ ...context, ...fields }, files),
+    withFile: file => createLogger(context, [...files, file]),
+  };
+}
+
+const log = createLogger();
+
+module.exports = {
+  LEVELS,
+  FORMATS,
+  configure,
+  createLogger,
+  log,
+};
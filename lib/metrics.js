@@ -0,0 +1,220 @@
+const path = require('path');
+const { withLock, readRecords, appendRecords } = require('./history');
+const { log } = require('./logger');
+
+const ROOT_DIR = path.resolve(__dirname, '..');
+const METRICS_FILE = process.env.METRICS_FILE
+  ? path.resolve(process.env.METRICS_FILE)
+  : path.resolve(ROOT_DIR, 'metrics.jsonl');
+const PREFIX = 'funnel_monitor';
+
+function newBucket(step, stepType, timeToInteractiveMs) {
+  return {
+    step,
+    stepType,
+    // From the end of the previous step (the start of the run for the first one) until this
+    // step's screen was detected, retries included
+    timeToInteractiveMs,
+    // From the start of the step's actions to the first navigation of the main frame, if any
+    navigationMs: null,
+    // Loop passes after the step that detected nothing
+    retries: 0,
+    requests: 0,
+    failedRequests: 0,
+    bytes: 0,
+    consoleErrors: 0,
+  };
+}
+
+// Per-step performance and reliability counters. Everything that happens between the detection of
+// one step and the next is booked on the first: requests and bytes its actions triggered, console
+// errors, and the retries it took before the next screen came up. Step 0 is the initial page load.
+function attachStepMetrics(page) {
+  const steps = [newBucket(0, 'start', null)];
+  let current = steps[0];
+  let readySince = Date.now();
+  let actionsAt = null;
+  const pending = [];
+
+  const onRequest = () => {
+    current.requests++;
+  };
+  const onFinished = (request) => {
+    const bucket = current;
+    pending.push(request.sizes()
+      .then(sizes => { bucket.bytes += sizes.responseHeadersSize + sizes.responseBodySize; })
+      .catch(() => {}));
+  };
+  const onFailed = () => {
+    current.failedRequests++;
+  };
+  const onConsole = (msg) => {
+    if (msg.type() === 'error') {
+      current.consoleErrors++;
+    }
+  };
+  const onPageError = () => {
+    current.consoleErrors++;
+  };
+  const onNavigated = (frame) => {
+    if (frame === page.mainFrame() && actionsAt !== null && current.navigationMs === null) {
+      current.navigationMs = Date.now() - actionsAt;
+    }
+  };
+
+  page.on('request', onRequest);
+  page.on('requestfinished', onFinished);
+  page.on('requestfailed', onFailed);
+  page.on('console', onConsole);
+  page.on('pageerror', onPageError);
+  page.on('framenavigated', onNavigated);
+
+  return {
+    steps,
+    // Called once a step is detected, right before its actions run. Another attempt at a step
+    // that failed (see retried()) stays in the step's bucket.
+    stepStarted({ number, type }) {
+      if (current.step === number) {
+        current.stepType = type;
+      } else {
+        current = newBucket(number, type, Date.now() - readySince);
+        steps.push(current);
+      }
+      actionsAt = Date.now();
+    },
+    // Called once the step's actions are done; the next screen is expected from here on
+    stepSolved() {
+      readySince = Date.now();
+    },
+    // Called for every pass of the loop that detected or solved nothing
+    retried() {
+      current.retries++;
+    },
+    async flush() {
+      await Promise.allSettled(pending);
+    },
+    detach() {
+      page.off('request', onRequest);
+      page.off('requestfinished', onFinished);
+      page.off('requestfailed', onFailed);
+      page.off('console', onConsole);
+      page.off('pageerror', onPageError);
+      page.off('framenavigated', onNavigated);
+    },
+  };
+}
+
+function stats(values) {
+  const present = values.filter(value => value !== null && value !== undefined);
+  if (present.length === 0) {
+    return null;
+  }
+  return { avg: Math.round(present.reduce((sum, value) => sum + value, 0) / present.length), max: Math.max(...present) };
+}
+
+// Run totals over the per-step buckets
+function summarizeMetrics(steps, { status, durationMs }) {
+  const sum = key => steps.reduce((total, step) => total + step[key], 0);
+  return {
+    status,
+    durationMs,
+    steps: steps.filter(step => step.step > 0).length,
+    requests: sum('requests'),
+    failedRequests: sum('failedRequests'),
+    bytes: sum('bytes'),
+    consoleErrors: sum('consoleErrors'),
+    retries: sum('retries'),
+    stuck: status === 'stuck' || status === 'max-retries',
+    timeToInteractiveMs: stats(steps.map(step => step.timeToInteractiveMs)),
+    navigationMs: stats(steps.map(step => step.navigationMs)),
+  };
+}
+
+// One record per run in the metrics history; meta: { funnel, profile, runId }
+async function appendMetrics(meta, { totals, steps }, file = METRICS_FILE) {
+  await withLock(file, () => appendRecords(file, [{ ...meta, recordedAt: new Date().toISOString(), totals, steps }]));
+  log.debug(`Recorded metrics of run ${meta.runId} in ${file}`);
+}
+
+function readMetrics(file = METRICS_FILE) {
+  return readRecords(file);
+}
+
+function escapeLabel(value) {
+  return String(value ?? '').replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function sample(name, labels, value) {
+  const rendered = Object.entries(labels).map(([key, label]) => `${key}="${escapeLabel(label)}"`).join(',');
+  return `${PREFIX}_${name}{${rendered}} ${value}`;
+}
+
+// Prometheus text exposition of the metrics history: run and stuck counters over every recorded
+// run, and gauges for the latest run of each funnel and profile and for each of its steps
+function renderPrometheus(records) {
+  const families = new Map();
+  const add = (name, type, help, labels, value) => {
+    if (value === null || value === undefined || Number.isNaN(value)) {
+      return;
+    }
+    if (!families.has(name)) {
+      families.set(name, { type, help, samples: [] });
+    }
+    families.get(name).samples.push(sample(name, labels, value));
+  };
+
+  const runs = new Map();
+  const stuck = new Map();
+  const latest = new Map();
+  const count = (counts, labels, increment) => {
+    const key = JSON.stringify(labels);
+    counts.set(key, { labels, count: (counts.has(key) ? counts.get(key).count : 0) + increment });
+  };
+  for (const record of records) {
+    const labels = { funnel: record.funnel, profile: record.profile };
+    count(runs, { ...labels, status: record.totals.status }, 1);
+    count(stuck, labels, record.totals.stuck ? 1 : 0);
+    latest.set(JSON.stringify(labels), record);
+  }
+  for (const { labels, count: value } of runs.values()) {
+    add('runs_total', 'counter', 'Recorded runs by final status', labels, value);
+  }
+  for (const { labels, count: value } of stuck.values()) {
+    add('stuck_runs_total', 'counter', 'Recorded runs that got stuck or ran out of steps', labels, value);
+  }
+  for (const record of latest.values()) {
+    const labels = { funnel: record.funnel, profile: record.profile };
+    const { totals } = record;
+    add('last_run_timestamp_seconds', 'gauge', 'When the latest run was recorded', labels, Math.round(Date.parse(record.recordedAt) / 1000));
+    add('last_run_success', 'gauge', 'Whether the latest run reached a terminal state', labels, totals.status === 'completed' ? 1 : 0);
+    add('last_run_stuck', 'gauge', 'Whether the latest run got stuck or ran out of steps', labels, totals.stuck ? 1 : 0);
+    add('last_run_duration_seconds', 'gauge', 'Duration of the latest run', labels, totals.durationMs / 1000);
+    add('last_run_steps', 'gauge', 'Steps solved in the latest run', labels, totals.steps);
+    add('last_run_retries', 'gauge', 'Loop passes without a detected step in the latest run', labels, totals.retries);
+    add('last_run_requests', 'gauge', 'Requests made in the latest run', labels, totals.requests);
+    add('last_run_failed_requests', 'gauge', 'Failed requests in the latest run', labels, totals.failedRequests);
+    add('last_run_bytes', 'gauge', 'Response bytes received in the latest run', labels, totals.bytes);
+    add('last_run_console_errors', 'gauge', 'Console and page errors in the latest run', labels, totals.consoleErrors);
+    for (const step of record.steps) {
+      const stepLabels = { ...labels, step: step.step, step_type: step.stepType };
+      add('step_time_to_interactive_seconds', 'gauge', 'Time until the step was detected, latest run', stepLabels, step.timeToInteractiveMs === null ? null : step.timeToInteractiveMs / 1000);
+      add('step_navigation_seconds', 'gauge', "Time from the step's actions to the next navigation, latest run", stepLabels, step.navigationMs === null ? null : step.navigationMs / 1000);
+      add('step_retries', 'gauge', 'Retries before the step was detected, latest run', stepLabels, step.retries);
+      add('step_requests', 'gauge', 'Requests made during the step, latest run', stepLabels, step.requests);
+      add('step_bytes', 'gauge', 'Response bytes received during the step, latest run', stepLabels, step.bytes);
+      add('step_console_errors', 'gauge', 'Console and page errors during the step, latest run', stepLabels, step.consoleErrors);
+    }
+  }
+  return [...families.entries()]
+    .map(([name, { type, help, samples }]) => [`# HELP ${PREFIX}_${name} ${help}`, `# TYPE ${PREFIX}_${name} ${type}`, ...samples].join('\n'))
+    .join('\n') + '\n';
+}
+
+module.exports = {
+  METRICS_FILE,
+  attachStepMetrics,
+  summarizeMetrics,
+  appendMetrics,
+  readMetrics,
+  renderPrometheus,
+};
@@ -0,0 +1,189 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_PERSONAS_FILE = path.resolve(__dirname, '..', 'personas.json');
+const UNITS = ['metric', 'imperial'];
+const GENDERS = ['female', 'male'];
+// What the crawler entered before personas existed: a metric 30 year old, 175 cm and 70 kg, with a throwaway address
+const DEFAULT_PERSONA = { name: 'default', units: 'metric', age: 30, heightCm: 175, weightKg: 70, email: 'test{random}@example.com' };
+// A different, realistic user every run
+const RANDOM_PERSONA = { name: 'random', random: true };
+const BUILT_IN = [DEFAULT_PERSONA, RANDOM_PERSONA];
+// Ranges random personas are drawn from; weight follows from height and a BMI
+const BOUNDS = {
+  age: [18, 65],
+  heightCm: { female: [152, 178], male: [165, 193] },
+  bmi: [19, 32],
+  goalLossKg: [3, 15],
+};
+const MIN_GOAL_BMI = 18.5;
+const LB_PER_KG = 2.20462;
+const CM_PER_INCH = 2.54;
+const NUMBER_FIELDS = ['age', 'heightCm', 'weightKg', 'goalWeightKg'];
+// Implicit answer preference from the persona's gender; \b keeps "male" from matching "female"
+const GENDER_ANSWERS = { female: '\\b(female|woman|women)\\b', male: '\\b(male|man|men)\\b' };
+
+function validatePersona(persona, where, errors) {
+  if (!persona.name) {
+    errors.push(`${where}.name: required`);
+  }
+  if (persona.units !== undefined && !UNITS.includes(persona.units)) {
+    errors.push(`${where}.units: must be one of ${UNITS.join(', ')}`);
+  }
+  if (persona.gender !== undefined && !GENDERS.includes(persona.gender)) {
+    errors.push(`${where}.gender: must be one of ${GENDERS.join(', ')}`);
+  }
+  for (const field of NUMBER_FIELDS) {
+    if (persona[field] !== undefined && !(typeof persona[field] === 'number' && persona[field] > 0)) {
+      errors.push(`${where}.${field}: must be a positive number`);
+    }
+  }
+  if (persona.email !== undefined && !(typeof persona.email === 'string' && persona.email.includes('@'))) {
+    errors.push(`${where}.email: must be an address pattern such as qa+{random}@example.com`);
+  }
+  const answers = Array.isArray(persona.answers) ? { '*': persona.answers } : persona.answers || {};
+  for (const [step, patterns] of Object.entries(answers)) {
+    if (!Array.isArray(patterns)) {
+      errors.push(`${where}.answers.${step}: must be an array of patterns`);
+      continue;
+    }
+    for (const pattern of patterns) {
+      try {
+        new RegExp(pattern, 'i');
+      } catch (err) {
+        errors.push(`${where}.answers.${step}: ${err.message}`);
+      }
+    }
+  }
+}
+
+// The built-in personas plus those in `file`, which may replace them by name
+function loadPersonas(file = DEFAULT_PERSONAS_FILE) {
+  if (!fs.existsSync(file)) {
+    return BUILT_IN;
+  }
+  const personas = JSON.parse(fs.readFileSync(file, 'utf-8')).personas || [];
+  const errors = [];
+  const names = new Set();
+  for (const [i, persona] of personas.entries()) {
+    validatePersona(persona, `personas[${i}]`, errors);
+    if (names.has(persona.name)) {
+      errors.push(`personas[${i}].name: duplicate persona '${persona.name}'`);
+    }
+    names.add(persona.name);
+  }
+  if (errors.length > 0) {
+    throw new Error(`Invalid personas file ${file}:\n  ${errors.join('\n  ')}`);
+  }
+  return [...BUILT_IN.filter(persona => !names.has(persona.name)), ...personas];
+}
+
+function findPersona(name, file = DEFAULT_PERSONAS_FILE) {
+  const personas = loadPersonas(file);
+  const persona = personas.find(p => p.name === name);
+  if (!persona) {
+    throw new Error(`Unknown persona '${name}'. Known personas: ${personas.map(p => p.name).join(', ')}`);
+  }
+  return persona;
+}
+
+// {random}, {funnel}, {profile}, {persona} and {timestamp} in an address pattern, e.g. qa+{funnel}-{random}@example.com
+function renderEmail(pattern, context, random) {
+  const values = { ...context, random: String(Math.floor(random() * 1000000)), timestamp: String(Date.now()) };
+  return pattern.replace(/\{(\w+)\}/g, (whole, name) => (values[name] !== undefined
+    ? String(values[name]).toLowerCase().replace(/[^a-z0-9._-]/g, '-')
+    : whole));
+}
+
+// Fixes everything a run enters for `persona`. Random personas draw the fields they don't set
+// within BOUNDS; the others fall back to the default persona's values.
+function resolvePersona(persona, { funnel = '', profile = '' } = {}, random = Math.random) {
+  const between = ([min, max]) => min + random() * (max - min);
+  const gender = persona.gender || (persona.random ? GENDERS[Math.floor(random() * GENDERS.length)] : null);
+  let defaults = DEFAULT_PERSONA;
+  if (persona.random) {
+    const heightCm = persona.heightCm ?? Math.round(between(BOUNDS.heightCm[gender]));
+    const weightKg = persona.weightKg ?? Math.round(between(BOUNDS.bmi) * (heightCm / 100) ** 2);
+    defaults = {
+      ...DEFAULT_PERSONA,
+      age: Math.round(between(BOUNDS.age)),
+      heightCm,
+      weightKg,
+      goalWeightKg: weightKg - Math.round(between(BOUNDS.goalLossKg)),
+    };
+  }
+  const resolved = {
+    name: persona.name,
+    gender,
+    units: persona.units || defaults.units,
+    age: persona.age ?? defaults.age,
+    heightCm: persona.heightCm ?? defaults.heightCm,
+    weightKg: persona.weightKg ?? defaults.weightKg,
+  };
+  const lowestGoal = Math.ceil(MIN_GOAL_BMI * (resolved.heightCm / 100) ** 2);
+  resolved.goalWeightKg = persona.goalWeightKg ?? Math.max(defaults.goalWeightKg ?? resolved.weightKg - 5, lowestGoal);
+  resolved.email = renderEmail(persona.email || DEFAULT_PERSONA.email, { funnel, profile, persona: persona.name }, random);
+  resolved.answers = persona.answers || [];
+  return resolved;
+}
+
+// Template values for funnel actions ({{email}}, {{height}}, ...). height, weight and goalWeight
+// are in the persona's units; the unit-suffixed ones are there for inputs that name their unit.
+function personaVars(resolved) {
+  const totalInches = resolved.heightCm / CM_PER_INCH;
+  let heightFt = Math.floor(totalInches / 12);
+  let heightIn = Math.round(totalInches - heightFt * 12);
+  if (heightIn === 12) {
+    heightFt += 1;
+    heightIn = 0;
+  }
+  const weightLb = Math.round(resolved.weightKg * LB_PER_KG);
+  const goalWeightLb = Math.round(resolved.goalWeightKg * LB_PER_KG);
+  const imperial = resolved.units === 'imperial';
+  const vars = {
+    persona: resolved.name,
+    email: resolved.email,
+    gender: resolved.gender,
+    units: resolved.units,
+    age: resolved.age,
+    height: imperial ? heightFt : resolved.heightCm,
+    heightCm: resolved.heightCm,
+    heightFt,
+    heightIn,
+    weight: imperial ? weightLb : resolved.weightKg,
+    weightKg: resolved.weightKg,
+    weightLb,
+    goalWeight: imperial ? goalWeightLb : resolved.goalWeightKg,
+    goalWeightKg: resolved.goalWeightKg,
+    goalWeightLb,
+  };
+  return Object.fromEntries(Object.entries(vars).filter(([, value]) => value !== null).map(([key, value]) => [key, String(value)]));
+}
+
+// Index of the first option a persona prefers: its patterns for this step, then those for
+// every step ('*'), then its gender. undefined when none matches.
+function preferredAnswer(resolved, { step, labels }) {
+  const answers = Array.isArray(resolved.answers) ? { '*': resolved.answers } : resolved.answers || {};
+  const patterns = [...(answers[step] || []), ...(answers['*'] || [])];
+  if (resolved.gender) {
+    patterns.push(GENDER_ANSWERS[resolved.gender]);
+  }
+  for (const pattern of patterns) {
+    const re = new RegExp(pattern, 'i');
+    const index = labels.findIndex(label => re.test(label));
+    if (index !== -1) {
+      return index;
+    }
+  }
+  return undefined;
+}
+
+module.exports = {
+  DEFAULT_PERSONAS_FILE,
+  DEFAULT_PERSONA,
+  loadPersonas,
+  findPersona,
+  resolvePersona,
+  personaVars,
+  preferredAnswer,
+};
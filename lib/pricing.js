@@ -0,0 +1,317 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { SNAPSHOTS_DIR, diffJson } = require('./config-diff');
+const { withLock } = require('./history');
+const { log } = require('./logger');
+
+const ROOT_DIR = path.resolve(__dirname, '..');
+const PRICING_HISTORY_FILE = process.env.PRICING_HISTORY_FILE
+  ? path.resolve(process.env.PRICING_HISTORY_FILE)
+  : path.resolve(ROOT_DIR, 'pricing.jsonl');
+const RESULTS_FILE = 'pricing.json';
+// Used when the funnel has no `pricing` section
+const DEFAULT_PRICING = {
+  plan: '[data-locator*=plan i], [data-locator*=product i], [data-locator*=offer i]',
+  timer: '[data-locator*=timer i], [class*=timer i], [class*=countdown i]',
+  endpoint: 'products|pricing|plans|subscriptions|offers',
+};
+// Keys that hold a price in pricing API responses
+const PRICE_KEYS = ['price', 'amount', 'unit_amount', 'unitAmount', 'price_amount', 'priceAmount', 'full_price', 'fullPrice'];
+
+// Runs in the page. Reads plan cards, countdown timers and payment methods off the paywall.
+function scanPaywall({ plan, timer }) {
+  // Digits grouped in thousands (1,299.99, 1.299,99, 1 200 with a no-break space) or plain ones, with up to two decimals
+  const AMOUNT = '(?:\\d{1,3}(?:[.,\\u00a0\\u202f]\\d{3})+|\\d{1,5})(?:[.,]\\d{1,2})?(?!\\d)';
+  const PRICE = new RegExp(`(US\\$|R\\$|\\$|€|£|¥|₹|USD|EUR|GBP|CAD|AUD)\\s?(${AMOUNT})|(${AMOUNT})\\s?(€|£|\\$|USD|EUR|GBP|zł|kr)`, 'g');
+  const HAS_PRICE = new RegExp(PRICE.source);
+  const PAYMENT_METHODS = {
+    'Apple Pay': /apple ?pay/i,
+    'Google Pay': /google ?pay|\bgpay\b/i,
+    PayPal: /paypal/i,
+    Visa: /\bvisa\b/i,
+    Mastercard: /master ?card/i,
+    'American Express': /american express|\bamex\b/i,
+    Discover: /\bdiscover\b/i,
+    Klarna: /klarna/i,
+    Card: /credit card|debit card|card number/i,
+  };
+  const clean = text => (text || '').replace(/\s+/g, ' ').trim();
+  const visible = el => {
+    const rect = el.getBoundingClientRect();
+    return rect.width > 0 && rect.height > 0 && getComputedStyle(el).visibility !== 'hidden';
+  };
+  const isStruck = el => Boolean(el && (el.closest('s, del, strike') || getComputedStyle(el).textDecorationLine.includes('line-through')));
+  // The last separator is the decimal point only when one or two digits follow it
+  const toNumber = digits => {
+    const decimals = /[.,](\d{1,2})$/.exec(digits);
+    const whole = (decimals ? digits.slice(0, decimals.index) : digits).replace(/\D/g, '');
+    return Number(decimals ? `${whole}.${decimals[1]}` : whole);
+  };
+  const parsePrice = (match, struck) => ({
+    text: match[0].trim(),
+    currency: match[1] || match[4],
+    amount: toNumber(match[2] || match[3]),
+    struck,
+  });
+  // Text nodes first, so struck-through prices can be told apart; a price split over several
+  // elements ($<b>9</b><sup>99</sup>) is only found in the element's whole text
+  const pricesIn = root => {
+    const prices = [];
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+    for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+      for (const match of node.textContent.matchAll(PRICE)) {
+        prices.push(parsePrice(match, isStruck(node.parentElement)));
+      }
+    }
+    if (prices.length === 0) {
+      for (const match of clean(root.innerText).matchAll(PRICE)) {
+        prices.push(parsePrice(match, false));
+      }
+    }
+    return prices;
+  };
+  const describePlan = card => {
+    const text = card.innerText || '';
+    const prices = pricesIn(card);
+    const current = prices.find(p => !p.struck) || prices[0];
+    const original = prices.find(p => p.struck && p !== current);
+    const name = text.split('\n').map(clean).find(line => line.length > 1 && line.length <= 60 && !HAS_PRICE.test(line) && !/%/.test(line));
+    const period = /(?:per|\/)\s?(day|week|wk|month|mo|year|yr)\b/i.exec(text);
+    const duration = /(\d+)[- ]?(day|week|month|year)s?\b(?![- ]?(?:free )?trial)/i.exec(text);
+    const discount = /(\d{1,2})\s?%\s?(?:off|discount)|save\s?(\d{1,2})\s?%/i.exec(text);
+    const trial = /(\d+)[- ]?(day|week)s?[- ]?(?:free )?trial|trial[^.\d]{0,20}(\d+)[- ]?(day|week)s?/i.exec(text);
+    return {
+      name: name || null,
+      price: current ? current.amount : null,
+      currency: current ? current.currency : null,
+      priceText: current ? current.text : null,
+      originalPrice: original ? original.amount : null,
+      period: period ? period[1].toLowerCase() : null,
+      duration: duration ? `${duration[1]} ${duration[2].toLowerCase()}` : null,
+      discount: discount ? Number(discount[1] || discount[2]) : null,
+      trial: trial ? clean(trial[0]) : null,
+      selected: Boolean(card.matches('[aria-checked=true], [aria-selected=true], [class*=selected i], [class*=active i]')
+        || card.querySelector('input:checked')),
+      text: clean(text).slice(0, 300),
+    };
+  };
+
+  // Innermost matching cards that show a price; without any, every element holding a price is a plan
+  let cards = [...document.querySelectorAll(plan)].filter(el => visible(el) && HAS_PRICE.test(el.innerText || ''));
+  cards = cards.filter(card => !cards.some(other => other !== card && card.contains(other)));
+  if (cards.length === 0) {
+    const blocks = new Set();
+    const walker = document.createTreeWalker(document.body, NodeFilter.SHOW_TEXT);
+    for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+      if (HAS_PRICE.test(node.textContent) && node.parentElement && visible(node.parentElement)) {
+        blocks.add(node.parentElement.closest('li, label, button, article, section, div') || node.parentElement);
+      }
+    }
+    cards = [...blocks].filter(block => ![...blocks].some(other => other !== block && block.contains(other)));
+  }
+
+  const timers = [...document.querySelectorAll(timer)]
+    .filter(visible)
+    .map(el => clean(el.innerText))
+    .map(text => ({ text, match: /(\d{1,2}):(\d{2})(?::(\d{2}))?/.exec(text) }))
+    .filter(t => t.match)
+    .map(({ text, match }) => ({
+      text,
+      seconds: match[3] !== undefined
+        ? Number(match[1]) * 3600 + Number(match[2]) * 60 + Number(match[3])
+        : Number(match[1]) * 60 + Number(match[2]),
+    }));
+
+  const haystack = [
+    document.body.innerText,
+    ...[...document.querySelectorAll('img, iframe, button, a, [aria-label], [data-locator]')].map(el =>
+      ['alt', 'src', 'title', 'aria-label', 'data-locator'].map(attr => el.getAttribute(attr) || '').join(' ')),
+  ].join(' ');
+  const paymentMethods = Object.entries(PAYMENT_METHODS).filter(([, pattern]) => pattern.test(haystack)).map(([name]) => name);
+
+  return { url: location.href, plans: cards.map(describePlan), timers, paymentMethods };
+}
+
+// Collects JSON responses from pricing endpoints (a regex over the URL) as they arrive
+function attachPricingMonitor(page, { endpoint = DEFAULT_PRICING.endpoint } = {}) {
+  const pattern = new RegExp(endpoint, 'i');
+  const responses = [];
+  const pending = [];
+  const onResponse = (response) => {
+    if (!pattern.test(response.url()) || !['xhr', 'fetch'].includes(response.request().resourceType())) {
+      return;
+    }
+    pending.push(response.json()
+      .then(body => {
+        responses.push({ url: response.url(), status: response.status(), body });
+      })
+      .catch(() => {
+        // Not JSON, or the body is gone after a navigation
+      }));
+  };
+  page.on('response', onResponse);
+  return {
+    responses,
+    async flush() {
+      await Promise.allSettled(pending);
+    },
+    detach() {
+      page.off('response', onResponse);
+    },
+  };
+}
+
+function firstOf(obj, keys) {
+  for (const key of keys) {
+    if (obj[key] !== undefined && obj[key] !== null && typeof obj[key] !== 'object') {
+      return { key, value: obj[key] };
+    }
+  }
+  return null;
+}
+
+// Objects with a price-like key anywhere in the response bodies. Amounts are kept as sent,
+// so `priceField` tells whether they are in cents (unit_amount) or units.
+function extractApiPlans(responses) {
+  const plans = [];
+  const visit = (value, url, where) => {
+    if (Array.isArray(value)) {
+      value.forEach((item, i) => visit(item, url, `${where}[${i}]`));
+      return;
+    }
+    if (!value || typeof value !== 'object') {
+      return;
+    }
+    const price = firstOf(value, PRICE_KEYS);
+    if (price && !Number.isNaN(Number(price.value))) {
+      const name = firstOf(value, ['name', 'title', 'product_name', 'productName', 'plan_name', 'planName', 'id', 'sku']);
+      const currency = firstOf(value, ['currency', 'currency_code', 'currencyCode']);
+      const trial = firstOf(value, ['trial_period_days', 'trialPeriodDays', 'trial_days', 'trialDays', 'trial']);
+      const period = firstOf(value, ['interval', 'period', 'billing_period', 'billingPeriod', 'duration']);
+      plans.push({
+        name: name ? String(name.value) : null,
+        price: Number(price.value),
+        priceField: price.key,
+        currency: currency ? String(currency.value) : null,
+        trial: trial ? trial.value : null,
+        period: period ? period.value : null,
+        url,
+        path: where,
+      });
+      // Its nested objects (a price with amount and currency, ...) belong to this plan
+      return;
+    }
+    for (const [key, child] of Object.entries(value)) {
+      visit(child, url, where ? `${where}.${key}` : key);
+    }
+  };
+  for (const response of responses) {
+    visit(response.body, response.url, '');
+  }
+  return plans;
+}
+
+// The structured pricing record for a run that reached a paywall or checkout
+async function extractPricing(page, { funnel, monitor, terminal }) {
+  const config = { ...DEFAULT_PRICING, ...funnel.pricing };
+  const dom = await page.evaluate(scanPaywall, { plan: config.plan, timer: config.timer });
+  await monitor.flush();
+  return {
+    extractedAt: new Date().toISOString(),
+    terminal: terminal ? terminal.name : null,
+    url: dom.url,
+    plans: dom.plans,
+    timers: dom.timers,
+    paymentMethods: dom.paymentMethods,
+    apiPlans: extractApiPlans(monitor.responses),
+  };
+}
+
+// What is compared between runs: prices and terms by plan name and period, and the payment methods.
+// Plans that still share a key (one name listed per billing option, ...) are told apart by
+// their order: "Premium", "Premium #2".
+function comparable(record) {
+  const byKey = (plans, fields) => {
+    const seen = {};
+    return Object.fromEntries(plans.map((plan, i) => {
+      const period = plan.period || plan.duration;
+      const key = plan.name ? [plan.name, period].filter(Boolean).join(' / ') : `#${i + 1}`;
+      seen[key] = (seen[key] || 0) + 1;
+      return [
+        seen[key] > 1 ? `${key} #${seen[key]}` : key,
+        Object.fromEntries(fields.map(field => [field, plan[field] ?? null])),
+      ];
+    }));
+  };
+  return {
+    plans: byKey(record.plans, ['price', 'currency', 'originalPrice', 'period', 'duration', 'discount', 'trial']),
+    apiPlans: byKey(record.apiPlans, ['price', 'currency', 'trial', 'period']),
+    // Keyed by name, so a method added or removed is one change rather than a shifted list
+    paymentMethods: Object.fromEntries(record.paymentMethods.map(method => [method, true])),
+  };
+}
+
+function snapshotFile(key, dir) {
+  return path.resolve(dir, `${key.replace(/[^\w.-]/g, '_')}-pricing.json`);
+}
+
+// Diffs the record against the previous one for `key` (funnel, or funnel@profile) and makes it the new baseline
+function comparePricing({ key, runId, record, dir = SNAPSHOTS_DIR }) {
+  const file = snapshotFile(key, dir);
+  let previous = null;
+  try {
+    previous = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  } catch (e) {
+    // First record for this key
+  }
+  const current = comparable(record);
+  const changes = previous ? diffJson(previous.pricing, current, { ignore: [] }) : [];
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(file, JSON.stringify({ key, runId, pricing: current }, null, 2));
+  // Grouped like a config diff, so summarizeDiff() and the report render it the same way
+  const grouped = changes.length > 0 ? { pricing: changes } : {};
+  return {
+    previousRunId: previous ? previous.runId : null,
+    runId,
+    changes: grouped,
+    total: changes.length,
+    hash: crypto.createHash('sha1').update(JSON.stringify(grouped)).digest('hex').slice(0, 12),
+  };
+}
+
+function writePricing(runDir, record) {
+  fs.writeFileSync(path.resolve(runDir, RESULTS_FILE), JSON.stringify(record, null, 2));
+}
+
+// One line per run in pricing.jsonl, for tracking prices over time and across profiles
+async function appendPricingHistory(record, file = PRICING_HISTORY_FILE) {
+  await withLock(file, () => {
+    fs.appendFileSync(file, `${JSON.stringify(record)}\n`);
+  });
+  log.debug(`Appended pricing record to ${file}`);
+}
+
+function summarizePricing(record) {
+  const plans = record.plans.map(plan => `${plan.name || 'unnamed'}: ${plan.priceText || 'no price'}`
+    + `${plan.originalPrice ? ` (was ${plan.originalPrice})` : ''}${plan.trial ? `, ${plan.trial}` : ''}`);
+  return [
+    `${record.plans.length} plan(s)${plans.length ? `: ${plans.join('; ')}` : ''}`,
+    record.timers.length ? `timer ${record.timers.map(t => t.text).join(', ')}` : null,
+    record.paymentMethods.length ? `payment: ${record.paymentMethods.join(', ')}` : null,
+    record.apiPlans.length ? `${record.apiPlans.length} plan(s) in API responses` : null,
+  ].filter(Boolean).join(' - ');
+}
+
+module.exports = {
+  PRICING_HISTORY_FILE,
+  DEFAULT_PRICING,
+  scanPaywall,
+  attachPricingMonitor,
+  extractApiPlans,
+  extractPricing,
+  comparePricing,
+  writePricing,
+  appendPricingHistory,
+  summarizePricing,
+};
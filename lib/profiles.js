@@ -0,0 +1,100 @@
+const fs = require('fs');
+const path = require('path');
+const { chromium, devices } = require('playwright');
+const { log } = require('./logger');
+
+const DEFAULT_PROFILES_FILE = path.resolve(__dirname, '..', 'profiles.json');
+const DEFAULT_PROFILE = { name: 'default' };
+const DEFAULT_CONCURRENCY = 2;
+// Worst first: the status reported for a matrix run is the worst of its profiles
+const STATUS_SEVERITY = ['error', 'stuck', 'max-retries', 'aborted', 'completed'];
+
+function loadProfiles(file = DEFAULT_PROFILES_FILE) {
+  if (!fs.existsSync(file)) {
+    return { concurrency: 1, profiles: [DEFAULT_PROFILE] };
+  }
+  const config = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  const profiles = config.profiles || [];
+  const names = new Set();
+  for (const [i, profile] of profiles.entries()) {
+    if (!profile.name) {
+      throw new Error(`Invalid profiles file ${file}: profiles[${i}].name is required`);
+    }
+    if (names.has(profile.name)) {
+      throw new Error(`Invalid profiles file ${file}: duplicate profile '${profile.name}'`);
+    }
+    names.add(profile.name);
+    if (profile.device && !devices[profile.device]) {
+      throw new Error(`Invalid profiles file ${file}: unknown device '${profile.device}' in profile '${profile.name}'`);
+    }
+  }
+  if (profiles.length === 0) {
+    throw new Error(`Invalid profiles file ${file}: no profiles defined`);
+  }
+  return { concurrency: config.concurrency || DEFAULT_CONCURRENCY, profiles };
+}
+
+// Playwright newContext() options for a profile: the device descriptor first, explicit fields on top
+function contextOptions(profile) {
+  const options = { ...(profile.device ? devices[profile.device] : {}) };
+  for (const key of ['viewport', 'userAgent', 'locale', 'timezoneId', 'proxy', 'extraHTTPHeaders']) {
+    if (profile[key] !== undefined) {
+      options[key] = profile[key];
+    }
+  }
+  if (profile.geolocation) {
+    options.geolocation = profile.geolocation;
+    options.permissions = ['geolocation'];
+  }
+  return options;
+}
+
+function worstStatus(statuses) {
+  let worst = 'completed';
+  for (const status of statuses) {
+    if (STATUS_SEVERITY.indexOf(status) < STATUS_SEVERITY.indexOf(worst)) {
+      worst = status;
+    }
+  }
+  return worst;
+}
+
+// Crawls the funnel once per profile, at most `concurrency` at a time, in contexts of one browser.
+// A profile that throws is reported with status 'error' instead of failing the others.
+// `crawlOptions` are passed through to every runCrawl call.
+async function runProfiles({ runCrawl, funnelFile, profiles, concurrency = 1, signal, headless = true, crawlOptions = {} }) {
+  const browser = await chromium.launch({ headless });
+  const runs = new Array(profiles.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < profiles.length && !(signal && signal.aborted)) {
+      const index = next++;
+      const profile = profiles[index];
+      log.info(`Starting crawl for profile ${profile.name}`);
+      try {
+        runs[index] = { profile: profile.name, ...(await runCrawl({ ...crawlOptions, funnelFile, signal, browser, profile })) };
+      } catch (err) {
+        log.error(`Crawl for profile ${profile.name} failed: ${err}`);
+        runs[index] = { profile: profile.name, status: 'error', error: String(err) };
+      }
+    }
+  };
+  try {
+    await Promise.all(Array.from({ length: Math.min(concurrency, profiles.length) }, worker));
+  } finally {
+    await browser.close();
+  }
+  const finished = runs.filter(Boolean);
+  const status = finished.length > 0 ? worstStatus(finished.map(run => run.status)) : 'aborted';
+  log.info(`Profile runs: ${finished.map(run => `${run.profile}=${run.status}`).join(', ')}`);
+  return { status, runs: finished };
+}
+
+module.exports = {
+  DEFAULT_PROFILES_FILE,
+  DEFAULT_PROFILE,
+  loadProfiles,
+  contextOptions,
+  worstStatus,
+  runProfiles,
+};
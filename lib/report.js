@@ -0,0 +1,398 @@
+const fs = require('fs');
+const path = require('path');
+const { PNG } = require('pngjs');
+const { summarizeDiff } = require('./config-diff');
+const { summarizePricing } = require('./pricing');
+
+const NETWORK_RESOURCE_TYPES = ['document', 'xhr', 'fetch'];
+// Width of the previews inlined in report.html, twice the displayed width for high-density screens
+const THUMB_WIDTH = 320;
+
+// Keeps a running list of document/XHR/fetch calls so each iteration can take the slice it caused.
+function attachNetworkLog(page) {
+  const entries = [];
+  const onFinished = async (request) => {
+    if (!NETWORK_RESOURCE_TYPES.includes(request.resourceType())) {
+      return;
+    }
+    let status = null;
+    try {
+      const response = await request.response();
+      status = response ? response.status() : null;
+    } catch (e) {
+      // Response may be unavailable once the page has moved on
+    }
+    entries.push({ method: request.method(), url: request.url(), type: request.resourceType(), status, timestamp: new Date().toISOString() });
+  };
+  const onFailed = (request) => {
+    if (!NETWORK_RESOURCE_TYPES.includes(request.resourceType())) {
+      return;
+    }
+    const failure = request.failure();
+    entries.push({ method: request.method(), url: request.url(), type: request.resourceType(), status: null, error: failure ? failure.errorText : 'failed', timestamp: new Date().toISOString() });
+  };
+  page.on('requestfinished', onFinished);
+  page.on('requestfailed', onFailed);
+  return { entries };
+}
+
+function createRunReport({ runId, funnel, profile = null, startUrl, dir }) {
+  const report = {
+    runId,
+    funnel,
+    profile,
+    startUrl,
+    dir,
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    durationMs: null,
+    status: 'running',
+    iterations: [],
+    errors: [],
+    configRequests: 0,
+    // API calls written to requests.jsonl (see capture.js)
+    capturedRequests: 0,
+    newValues: [],
+    configDiff: null,
+    visualChanges: [],
+    // Terminal state the run completed on, or where it got stuck, and the diagnostics bundle if any
+    terminal: null,
+    stuckAt: null,
+    diagnostics: null,
+    // Plans and prices read on the paywall, and how they changed since the previous run
+    pricing: null,
+    pricingDiff: null,
+    // Accessibility violations per screen, and copy and violation changes since the previous run (see audit.js)
+    audit: null,
+    auditDiff: null,
+    // Step, URL and checkpoint time a resumed run picked up from
+    resumedFrom: null,
+    // The synthetic user the run entered (see personas.js)
+    persona: null,
+    // Experiment arm the session landed in and the variant distribution across runs (see experiments.js)
+    experiment: null,
+    // Per-step timings, network and error counts, and their run totals (see metrics.js)
+    metrics: null,
+  };
+  let current = null;
+  let networkCursor = 0;
+
+  return {
+    data: report,
+    startIteration(urlBefore, networkLog) {
+      networkCursor = networkLog.entries.length;
+      current = {
+        iteration: report.iterations.length + 1,
+        stepType: null,
+        urlBefore,
+        urlAfter: null,
+        startedAt: new Date().toISOString(),
+        durationMs: null,
+        actions: [],
+        // Whether the step's actions ran and its success condition held; false means it was retried
+        success: null,
+        screenshot: null,
+        // How the screen moved on after the step's actions, and how long that took (see transition.js)
+        transition: null,
+        network: [],
+        errors: [],
+      };
+      report.iterations.push(current);
+      return current;
+    },
+    endIteration(urlAfter, networkLog) {
+      if (!current) {
+        return;
+      }
+      current.urlAfter = urlAfter;
+      current.durationMs = Date.now() - Date.parse(current.startedAt);
+      current.network = networkLog.entries.slice(networkCursor);
+      current = null;
+    },
+    // Page errors arrive asynchronously; attach them to whatever iteration is running
+    recordError(message) {
+      (current ? current.errors : report.errors).push(message);
+    },
+    finish(status) {
+      report.status = status;
+      report.finishedAt = new Date().toISOString();
+      report.durationMs = Date.parse(report.finishedAt) - Date.parse(report.startedAt);
+    },
+  };
+}
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// A THUMB_WIDTH wide preview of a PNG, each pixel the average of the block it stands for, as a
+// data URI. Inlining the full-size screenshots made reports of long runs tens of megabytes.
+function thumbnailDataUri(file) {
+  let source;
+  try {
+    source = PNG.sync.read(fs.readFileSync(file));
+  } catch (e) {
+    return null;
+  }
+  const scale = Math.min(1, THUMB_WIDTH / source.width);
+  const width = Math.max(1, Math.round(source.width * scale));
+  const height = Math.max(1, Math.round(source.height * scale));
+  const thumb = new PNG({ width, height });
+  for (let y = 0; y < height; y++) {
+    const fromY = Math.floor(y / scale);
+    const toY = Math.max(fromY + 1, Math.min(source.height, Math.floor((y + 1) / scale)));
+    for (let x = 0; x < width; x++) {
+      const fromX = Math.floor(x / scale);
+      const toX = Math.max(fromX + 1, Math.min(source.width, Math.floor((x + 1) / scale)));
+      const sum = [0, 0, 0, 0];
+      for (let sy = fromY; sy < toY; sy++) {
+        for (let sx = fromX; sx < toX; sx++) {
+          const i = (sy * source.width + sx) * 4;
+          for (let c = 0; c < 4; c++) {
+            sum[c] += source.data[i + c];
+          }
+        }
+      }
+      const count = (toY - fromY) * (toX - fromX);
+      for (let c = 0; c < 4; c++) {
+        thumb.data[(y * width + x) * 4 + c] = Math.round(sum[c] / count);
+      }
+    }
+  }
+  return `data:image/png;base64,${PNG.sync.write(thumb).toString('base64')}`;
+}
+
+// Inlined preview linking to the full-size image in the run folder
+function renderThumb(file, dir, alt) {
+  const preview = thumbnailDataUri(file);
+  if (!preview) {
+    return '';
+  }
+  const href = dir ? path.relative(dir, file).split(path.sep).join('/') : file;
+  return `<a class="full" href="${escapeHtml(href)}" target="_blank"><img class="thumb" src="${preview}" alt="${escapeHtml(alt)}"></a>`;
+}
+
+function renderIteration(it, dir) {
+  const actions = it.actions.map(a => `<li class="${a.ok ? 'ok' : 'fail'}">${escapeHtml(a.action)} ${escapeHtml(a.selector || '')} ${escapeHtml(a.detail || '')}</li>`).join('');
+  const network = it.network.map(n => `<li>${escapeHtml(n.method)} ${escapeHtml(n.status ?? n.error)} ${escapeHtml(n.url)}</li>`).join('');
+  const errors = it.errors.map(e => `<li>${escapeHtml(e)}</li>`).join('');
+  return `<tr class="${it.stepType && it.success !== false ? 'solved' : 'miss'}${it.errors.length ? ' error' : ''}">
+  <td>${it.iteration}</td>
+  <td><strong>${escapeHtml(it.stepType || 'no step detected')}</strong>${it.success === false ? ' (failed)' : ''}<br><small>${it.durationMs} ms</small>${it.transition ? `<br><small>${escapeHtml(it.transition.reason)} after ${escapeHtml(it.transition.ms)} ms</small>` : ''}</td>
+  <td><small>${escapeHtml(it.urlBefore)}${it.urlAfter !== it.urlBefore ? `<br>&rarr; ${escapeHtml(it.urlAfter)}` : ''}</small></td>
+  <td>${it.screenshot ? renderThumb(it.screenshot, dir, `step ${it.iteration}`) : ''}</td>
+  <td><ul>${actions}</ul>${errors ? `<ul class="errors">${errors}</ul>` : ''}${network ? `<details><summary>${it.network.length} request(s)</summary><ul>${network}</ul></details>` : ''}</td>
+</tr>`;
+}
+
+function renderVisualChange(change, dir) {
+  const diff = change.diffFile ? renderThumb(change.diffFile, dir, 'diff') : '';
+  return `<li>${escapeHtml(change.key)}: ${(change.ratio * 100).toFixed(2)}% of pixels ${escapeHtml(change.note || '')}${diff ? `<br>${diff}` : ''}</li>`;
+}
+
+function renderOutcome(report) {
+  const lines = [];
+  if (report.resumedFrom) {
+    lines.push(`Resumed after step ${escapeHtml(report.resumedFrom.step)} on ${escapeHtml(report.resumedFrom.url)} (checkpoint of ${escapeHtml(report.resumedFrom.savedAt)})`);
+  }
+  if (report.terminal) {
+    lines.push(`Reached terminal state <strong>${escapeHtml(report.terminal.name)}</strong> after step ${escapeHtml(report.terminal.afterStep)} on ${escapeHtml(report.terminal.url)}`);
+  }
+  if (report.stuckAt) {
+    lines.push(`Stuck at step ${escapeHtml(report.stuckAt.step)} (after ${escapeHtml(report.stuckAt.afterStepType)}) on ${escapeHtml(report.stuckAt.url)}`);
+  }
+  if (report.diagnostics) {
+    lines.push(`Diagnostics: <a href="${escapeHtml(path.relative(report.dir, report.diagnostics))}/">${escapeHtml(report.diagnostics)}</a>`);
+  }
+  return lines.map(line => `<p>${line}</p>`).join('\n');
+}
+
+function renderPricing(pricing) {
+  const cell = value => `<td>${escapeHtml(value ?? '')}</td>`;
+  const rows = pricing.plans.map(plan => `<tr>${[plan.name, plan.priceText, plan.originalPrice, plan.period || plan.duration, plan.discount, plan.trial].map(cell).join('')}<td>${plan.selected ? 'yes' : ''}</td></tr>`);
+  return `<h2>Pricing</h2>
+<p>${escapeHtml(pricing.url)}${pricing.timers.length ? ` &middot; timer ${escapeHtml(pricing.timers.map(t => t.text).join(', '))}` : ''}${pricing.paymentMethods.length ? ` &middot; payment ${escapeHtml(pricing.paymentMethods.join(', '))}` : ''}${pricing.apiPlans.length ? ` &middot; ${pricing.apiPlans.length} plan(s) in API responses` : ''}</p>
+${rows.length ? `<table>\n<tr><th>Plan</th><th>Price</th><th>Was</th><th>Period</th><th>Discount</th><th>Trial</th><th>Selected</th></tr>\n${rows.join('\n')}\n</table>` : '<p>No plans found on the page.</p>'}`;
+}
+
+function renderAudit(audit) {
+  const rows = audit.screens.flatMap(screen => screen.violations.map(v => `<tr><td>${escapeHtml(screen.key)}</td><td>${escapeHtml(v.rule)}</td><td>${escapeHtml(v.target)}</td><td>${escapeHtml(v.detail)}</td></tr>`));
+  return `<h2>Accessibility: ${escapeHtml(audit.violations)} violation(s) on ${escapeHtml(audit.screens.length)} screen(s)</h2>
+${rows.length ? `<table>\n<tr><th>Screen</th><th>Rule</th><th>Element</th><th>Problem</th></tr>\n${rows.join('\n')}\n</table>` : ''}
+<p>Copy of each screen: copy-&lt;step&gt;.txt in the run folder</p>`;
+}
+
+function renderMetrics({ steps }) {
+  const ms = value => (value === null ? '' : `${value} ms`);
+  const rows = steps.map(step => `<tr><td>${escapeHtml(step.step)}</td><td>${escapeHtml(step.stepType)}</td><td>${escapeHtml(ms(step.timeToInteractiveMs))}</td><td>${escapeHtml(ms(step.navigationMs))}</td><td>${escapeHtml(step.requests)}${step.failedRequests ? ` (${escapeHtml(step.failedRequests)} failed)` : ''}</td><td>${escapeHtml(Math.round(step.bytes / 1024))} KB</td><td>${escapeHtml(step.consoleErrors)}</td><td>${escapeHtml(step.retries)}</td></tr>`);
+  return `<h2>Step metrics</h2>
+<table>
+<tr><th>Step</th><th>Type</th><th>Time to interactive</th><th>Click to navigation</th><th>Requests</th><th>Received</th><th>Console errors</th><th>Retries</th></tr>
+${rows.join('\n')}
+</table>`;
+}
+
+function renderExperiment(experiment) {
+  const rows = (experiment.distribution || []).map(row => `<tr><td>${escapeHtml(row.variantId)}${row.variantId === experiment.variantId ? ' (this run)' : ''}</td><td>${escapeHtml(row.runs)}</td><td>${escapeHtml((row.share * 100).toFixed(0))}%</td><td>${escapeHtml(row.firstSeen)}</td><td>${escapeHtml(row.lastSeen)}</td></tr>`);
+  return `<h2>Experiment variant ${escapeHtml(experiment.variantId)}${experiment.newVariant ? ' (new)' : ''}</h2>
+<pre>${escapeHtml(JSON.stringify(experiment.fingerprint, null, 2))}</pre>
+${experiment.disappeared && experiment.disappeared.length ? `<p>No longer seen: ${escapeHtml(experiment.disappeared.join(', '))}</p>` : ''}
+${rows.length ? `<table>\n<tr><th>Variant</th><th>Runs</th><th>Share</th><th>First seen</th><th>Last seen</th></tr>\n${rows.join('\n')}\n</table>` : ''}`;
+}
+
+function renderHtml(report) {
+  const newValues = report.newValues.map(v => `<li>${escapeHtml(v.path)} = ${escapeHtml(JSON.stringify(v.value))} (step ${escapeHtml(v.step && v.step.number)})</li>`).join('');
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(report.funnel)} run ${escapeHtml(report.runId)}</title>
+<style>
+  body { font-family: sans-serif; margin: 2em; }
+  table { border-collapse: collapse; width: 100%; }
+  td, th { border-bottom: 1px solid #ddd; padding: 6px; vertical-align: top; text-align: left; }
+  tr.miss { background: #fff8e1; }
+  tr.error { background: #fdecea; }
+  li.fail, .errors li { color: #b00020; }
+  .thumb { width: 160px; cursor: zoom-in; }
+  .status { font-weight: bold; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(report.funnel)} &mdash; <span class="status">${escapeHtml(report.status)}</span></h1>
+<p>Run ${escapeHtml(report.runId)}${report.profile ? ` &middot; profile ${escapeHtml(report.profile.name)}` : ''}${report.persona ? ` &middot; persona ${escapeHtml(report.persona.name)} (${escapeHtml(report.persona.email)})` : ''} &middot; started ${escapeHtml(report.startedAt)} &middot; ${escapeHtml(report.durationMs)} ms &middot; ${report.iterations.length} iteration(s) &middot; ${report.configRequests} config request(s) &middot; ${report.capturedRequests || 0} API request(s) captured</p>
+${renderOutcome(report)}
+${newValues ? `<h2>New values</h2><ul>${newValues}</ul>` : ''}
+${report.configDiff && report.configDiff.total > 0 ? `<h2>Config diff vs run ${escapeHtml(report.configDiff.previousRunId)}</h2><pre>${escapeHtml(summarizeDiff(report.configDiff, 200))}</pre>` : ''}
+${report.pricing ? renderPricing(report.pricing) : ''}
+${report.auditDiff && report.auditDiff.total > 0 ? `<h2>Content diff vs run ${escapeHtml(report.auditDiff.previousRunId)}</h2><pre>${escapeHtml(summarizeDiff(report.auditDiff, 200))}</pre>` : ''}
+${report.pricingDiff && report.pricingDiff.total > 0 ? `<h2>Pricing diff vs run ${escapeHtml(report.pricingDiff.previousRunId)}</h2><pre>${escapeHtml(summarizeDiff(report.pricingDiff, 200))}</pre>` : ''}
+${report.audit ? renderAudit(report.audit) : ''}
+${report.metrics ? renderMetrics(report.metrics) : ''}
+${report.experiment ? renderExperiment(report.experiment) : ''}
+${report.visualChanges.length ? `<h2>Visual changes</h2><ul>${report.visualChanges.map(change => renderVisualChange(change, report.dir)).join('')}</ul>` : ''}
+${report.errors.length ? `<h2>Errors</h2><ul class="errors">${report.errors.map(e => `<li>${escapeHtml(e)}</li>`).join('')}</ul>` : ''}
+<table>
+<tr><th>#</th><th>Step</th><th>URL</th><th>Screenshot</th><th>Details</th></tr>
+${report.iterations.map(it => renderIteration(it, report.dir)).join('\n')}
+</table>
+<script>
+// Served by the status API, the page's signed query also opens the images it links to
+document.querySelectorAll('a.full').forEach(a => { a.search = location.search; });
+</script>
+</body>
+</html>
+`;
+}
+
+function writeReport(report, dir) {
+  const jsonFile = path.resolve(dir, 'report.json');
+  const htmlFile = path.resolve(dir, 'report.html');
+  fs.writeFileSync(jsonFile, JSON.stringify(report, null, 2));
+  fs.writeFileSync(htmlFile, renderHtml(report));
+  return { jsonFile, htmlFile };
+}
+
+const RUN_DIR_PREFIX = 'screenshots-';
+
+// Run folders under `dir` that have a report, oldest first; run ids are ISO timestamps, so name order is time order
+function listRuns(dir) {
+  return fs.readdirSync(dir, { withFileTypes: true })
+    .filter(entry => entry.isDirectory() && entry.name.startsWith(RUN_DIR_PREFIX)
+      && fs.existsSync(path.resolve(dir, entry.name, 'report.json')))
+    .map(entry => ({ runId: entry.name.slice(RUN_DIR_PREFIX.length), dir: path.resolve(dir, entry.name) }))
+    .sort((a, b) => (a.runId < b.runId ? -1 : a.runId > b.runId ? 1 : 0));
+}
+
+function findLatestRun(dir) {
+  const runs = listRuns(dir);
+  return runs.length > 0 ? runs[runs.length - 1].dir : null;
+}
+
+function readReport(runDir) {
+  return JSON.parse(fs.readFileSync(path.resolve(runDir, 'report.json'), 'utf-8'));
+}
+
+// Plain-text overview of a run for the terminal
+function formatSummary(report) {
+  const solved = report.iterations.filter(it => it.stepType && it.success !== false);
+  const lines = [
+    `Run ${report.runId} (${report.funnel}${report.profile ? `, profile ${report.profile.name}` : ''}): ${report.status} in ${report.durationMs} ms`,
+    `Steps: ${solved.map(it => it.stepType).join(' > ') || 'none'} (${report.iterations.length} iteration(s))`,
+    `Config requests: ${report.configRequests}, new values: ${report.newValues.length}, API requests captured: ${report.capturedRequests || 0}`,
+  ];
+  if (report.metrics) {
+    const { requests, failedRequests, bytes, consoleErrors, retries, timeToInteractiveMs } = report.metrics.totals;
+    lines.push(`Metrics: ${requests} request(s) (${failedRequests} failed), ${Math.round(bytes / 1024)} KB, ${consoleErrors} console error(s), ${retries} retry(ies)${timeToInteractiveMs ? `, time to interactive ${timeToInteractiveMs.avg} ms avg / ${timeToInteractiveMs.max} ms max` : ''}`);
+  }
+  const transitions = solved.filter(it => it.transition);
+  if (transitions.length > 0) {
+    lines.push(`Waited ${transitions.reduce((sum, it) => sum + it.transition.ms, 0)} ms for ${transitions.length} screen transition(s), ${transitions.filter(it => it.transition.reason === 'timeout').length} timed out`);
+  }
+  if (report.persona) {
+    const { name, email, gender, age, units, heightCm, weightKg } = report.persona;
+    lines.push(`Persona: ${name} (${[email, gender, `age ${age}`, `${heightCm} cm`, `${weightKg} kg`, units].filter(Boolean).join(', ')})`);
+  }
+  if (report.resumedFrom) {
+    lines.push(`Resumed after step ${report.resumedFrom.step} on ${report.resumedFrom.url}`);
+  }
+  if (report.terminal) {
+    lines.push(`Terminal state: ${report.terminal.name} on ${report.terminal.url}`);
+  }
+  if (report.stuckAt) {
+    lines.push(`Stuck at step ${report.stuckAt.step} (after ${report.stuckAt.afterStepType}) on ${report.stuckAt.url}`);
+  }
+  if (report.diagnostics) {
+    lines.push(`Diagnostics: ${report.diagnostics}`);
+  }
+  for (const value of report.newValues) {
+    lines.push(`  ${value.path} = ${JSON.stringify(value.value)}`);
+  }
+  if (report.configDiff && report.configDiff.total > 0) {
+    lines.push(`Config changes since ${report.configDiff.previousRunId}:`, summarizeDiff(report.configDiff).replace(/^/gm, '  '));
+  }
+  if (report.pricing) {
+    lines.push(`Pricing: ${summarizePricing(report.pricing)}`);
+  }
+  if (report.pricingDiff && report.pricingDiff.total > 0) {
+    lines.push(`Pricing changes since ${report.pricingDiff.previousRunId}:`, summarizeDiff(report.pricingDiff).replace(/^/gm, '  '));
+  }
+  if (report.audit) {
+    const rules = Object.entries(report.audit.byRule).map(([rule, count]) => `${count} ${rule}`);
+    lines.push(`Accessibility: ${report.audit.violations} violation(s) on ${report.audit.screens.length} screen(s)${rules.length ? ` (${rules.join(', ')})` : ''}`);
+  }
+  if (report.auditDiff && report.auditDiff.total > 0) {
+    lines.push(`Content changes since ${report.auditDiff.previousRunId}:`, summarizeDiff(report.auditDiff).replace(/^/gm, '  '));
+  }
+  if (report.experiment) {
+    const { variantId, newVariant, disappeared = [], distribution = [] } = report.experiment;
+    lines.push(`Experiment variant: ${variantId}${newVariant ? ' (new)' : ''}${distribution.length ? `, ${distribution.length} variant(s) in the last ${distribution.reduce((sum, row) => sum + row.runs, 0)} run(s)` : ''}`);
+    if (disappeared.length > 0) {
+      lines.push(`Variants no longer seen: ${disappeared.join(', ')}`);
+    }
+  }
+  if (report.visualChanges.length > 0) {
+    lines.push(`Visual changes: ${report.visualChanges.map(c => c.key).join(', ')}`);
+  }
+  const errors = report.errors.length + report.iterations.reduce((sum, it) => sum + it.errors.length, 0);
+  if (errors > 0) {
+    lines.push(`Errors: ${errors}`);
+  }
+  return lines.join('\n');
+}
+
+module.exports = {
+  attachNetworkLog,
+  createRunReport,
+  renderHtml,
+  writeReport,
+  RUN_DIR_PREFIX,
+  listRuns,
+  findLatestRun,
+  readReport,
+  formatSummary,
+};
@@ -0,0 +1,161 @@
+const fs = require('fs');
+const path = require('path');
+const cronParser = require('cron-parser');
+const { log } = require('./logger');
+
+const DEFAULT_STATE_FILE = path.resolve(__dirname, '..', 'scheduler_state.json');
+const DEFAULT_SCHEDULE = '*/30 * * * *';
+const DEFAULT_JITTER_MS = 60 * 1000;
+const BACKOFF_BASE_MS = 5 * 60 * 1000;
+const BACKOFF_MAX_MS = 6 * 60 * 60 * 1000;
+const HISTORY_LIMIT = 50;
+
+function loadState(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf-8'));
+  } catch (e) {
+    return { consecutiveFailures: 0, lastRun: null, history: [] };
+  }
+}
+
+function saveState(file, state) {
+  fs.writeFileSync(file, JSON.stringify(state, null, 2));
+}
+
+// Delay before the next attempt after `failures` consecutive failed runs: 5m, 10m, 20m, ... capped at 6h
+function backoffDelay(failures, baseMs = BACKOFF_BASE_MS, maxMs = BACKOFF_MAX_MS) {
+  if (failures <= 0) {
+    return 0;
+  }
+  return Math.min(baseMs * 2 ** (failures - 1), maxMs);
+}
+
+function nextRunTime({ schedule, tz, jitterMs, state, now = new Date() }) {
+  const cronNext = cronParser.parseExpression(schedule, { currentDate: now, tz }).next().getTime();
+  const lastFinished = state.lastRun ? Date.parse(state.lastRun.finishedAt) : 0;
+  const backoffUntil = lastFinished + backoffDelay(state.consecutiveFailures);
+  return Math.max(cronNext, backoffUntil) + Math.floor(Math.random() * jitterMs);
+}
+
+// Runs `task(signal)` on a cron schedule, never two at a time. The task resolves to a
+// { status } object; a rejection counts as a failure and triggers exponential backoff.
+function createScheduler({
+  task,
+  schedule = DEFAULT_SCHEDULE,
+  tz,
+  jitterMs = DEFAULT_JITTER_MS,
+  stateFile = DEFAULT_STATE_FILE,
+  runImmediately = false,
+}) {
+  cronParser.parseExpression(schedule, { tz });
+  const state = loadState(stateFile);
+  let timer = null;
+  let running = null;
+  let controller = null;
+  let currentStartedAt = null;
+  let stopped = false;
+  // The state file only feeds the status API and the next start, so failing to write it must not
+  // stop the schedule or surface as an unhandled rejection from the timer
+  const persistState = () => {
+    try {
+      saveState(stateFile, state);
+    } catch (err) {
+      log.error(`Failed to save scheduler state to ${stateFile}: ${err}`);
+    }
+  };
+
+  async function runNow() {
+    if (running) {
+      log.warn('Previous crawl is still running. Skipping this slot.');
+      return running;
+    }
+    controller = new AbortController();
+    const startedAt = new Date().toISOString();
+    currentStartedAt = startedAt;
+    running = (async () => {
+      let status;
+      let error = null;
+      try {
+        const result = await task(controller.signal);
+        status = result && result.status ? result.status : 'completed';
+      } catch (err) {
+        status = 'error';
+        error = String(err);
+        log.error(`Scheduled crawl failed: ${err}`);
+      }
+      const run = { startedAt, finishedAt: new Date().toISOString(), status, error };
+      state.lastRun = run;
+      state.consecutiveFailures = status === 'error' ? state.consecutiveFailures + 1 : 0;
+      state.history = [run, ...(state.history || [])].slice(0, HISTORY_LIMIT);
+      persistState();
+      return run;
+    })();
+    try {
+      return await running;
+    } finally {
+      running = null;
+      controller = null;
+      currentStartedAt = null;
+    }
+  }
+
+  function scheduleNext() {
+    if (stopped) {
+      return;
+    }
+    const at = nextRunTime({ schedule, tz, jitterMs, state });
+    state.nextRunAt = new Date(at).toISOString();
+    persistState();
+    const backoff = state.consecutiveFailures > 0 ? ` (backing off after ${state.consecutiveFailures} failure(s))` : '';
+    log.info(`Next crawl at ${state.nextRunAt}${backoff}`);
+    timer = setTimeout(async () => {
+      timer = null;
+      await runNow();
+      scheduleNext();
+    }, Math.max(0, at - Date.now()));
+  }
+
+  return {
+    state,
+    runNow,
+    // For the status API: the crawl in progress if any, the last ones and when the next is due
+    status() {
+      return {
+        schedule,
+        tz: tz || null,
+        stopped,
+        running: currentStartedAt ? { startedAt: currentStartedAt } : null,
+        nextRunAt: state.nextRunAt || null,
+        consecutiveFailures: state.consecutiveFailures,
+        lastRun: state.lastRun,
+        history: state.history || [],
+      };
+    },
+    async start() {
+      log.info(`Scheduler started with schedule '${schedule}'${tz ? ` (${tz})` : ''}, jitter up to ${jitterMs} ms`);
+      if (runImmediately) {
+        await runNow();
+      }
+      scheduleNext();
+    },
+    // Cancels the pending slot and aborts the running crawl, waiting for it to clean up
+    async stop() {
+      stopped = true;
+      if (timer) {
+        clearTimeout(timer);
+        timer = null;
+      }
+      if (running) {
+        controller.abort();
+        await running.catch(() => {});
+      }
+    },
+  };
+}
+
+module.exports = {
+  DEFAULT_SCHEDULE,
+  backoffDelay,
+  nextRunTime,
+  createScheduler,
+};
@@ -0,0 +1,243 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { listRuns, readReport } = require('./report');
+const { readRecords, filterRecords, summarize } = require('./history');
+const { METRICS_FILE, readMetrics, renderPrometheus } = require('./metrics');
+const { log } = require('./logger');
+
+const DASHBOARD_FILE = path.resolve(__dirname, 'dashboard.html');
+const RUNS_LIMIT = 50;
+const RUN_ID = /^[\w.-]+$/;
+// How long the file links of a run detail response open without the bearer token
+const SIGNED_URL_TTL_MS = 15 * 60 * 1000;
+const FILE_PATH = /^\/api\/runs\/([^/]+)\/files\//;
+// Served without the token, so the platform's health checks work
+const PUBLIC_PATHS = ['/', '/healthz', '/readyz'];
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.json': 'application/json',
+  '.jsonl': 'application/x-ndjson',
+  '.png': 'image/png',
+  '.har': 'application/json',
+  '.txt': 'text/plain; charset=utf-8',
+  '.yaml': 'text/yaml; charset=utf-8',
+};
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'content-type': 'application/json' });
+  res.end(JSON.stringify(body, null, 2));
+}
+
+// Constant-time compare, so the token can't be guessed byte by byte from response times
+function tokenMatches(given, token) {
+  const a = Buffer.from(given || '');
+  const b = Buffer.from(token);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+function signRun(token, runId, expires) {
+  return crypto.createHmac('sha256', token).update(`${runId}:${expires}`).digest('hex');
+}
+
+// Query string that opens a run's files for SIGNED_URL_TTL_MS, for the links and images the
+// dashboard shows; the token itself never goes into a URL
+function signedFileQuery(token, runId) {
+  const expires = Date.now() + SIGNED_URL_TTL_MS;
+  return `expires=${expires}&signature=${signRun(token, runId, expires)}`;
+}
+
+// Bearer token in the Authorization header, or an unexpired signature on a run's file URL
+function isAuthorized(req, url, token) {
+  if (!token) {
+    return false;
+  }
+  const header = /^Bearer (.+)$/i.exec(req.headers.authorization || '');
+  if (header) {
+    return tokenMatches(header[1], token);
+  }
+  const file = FILE_PATH.exec(url.pathname);
+  const expires = Number(url.searchParams.get('expires'));
+  return Boolean(file) && expires > Date.now() && tokenMatches(url.searchParams.get('signature'), signRun(token, file[1], expires));
+}
+
+// What the run list shows per run; the full report is at /api/runs/:runId
+function runSummary({ runId }, report) {
+  return {
+    runId,
+    funnel: report.funnel,
+    profile: report.profile ? report.profile.name : null,
+    persona: report.persona ? report.persona.name : null,
+    status: report.status,
+    startedAt: report.startedAt,
+    durationMs: report.durationMs,
+    steps: report.iterations.filter(it => it.stepType && it.success !== false).length,
+    terminal: report.terminal ? report.terminal.name : null,
+    stuckAt: report.stuckAt,
+    newValues: report.newValues.length,
+    configChanges: report.configDiff ? report.configDiff.total : 0,
+    pricingChanges: report.pricingDiff ? report.pricingDiff.total : 0,
+    contentChanges: report.auditDiff ? report.auditDiff.total : 0,
+    accessibilityViolations: report.audit ? report.audit.violations : 0,
+    visualChanges: report.visualChanges.length,
+    variantId: report.experiment ? report.experiment.variantId : null,
+    newVariant: Boolean(report.experiment && report.experiment.newVariant),
+  };
+}
+
+function findRun(outputDir, runId) {
+  if (!RUN_ID.test(runId)) {
+    throw new HttpError(400, `Invalid run id '${runId}'`);
+  }
+  const run = listRuns(outputDir).find(r => r.runId === runId);
+  if (!run) {
+    throw new HttpError(404, `No run ${runId}`);
+  }
+  return run;
+}
+
+function runFiles(dir) {
+  return fs.readdirSync(dir, { recursive: true, withFileTypes: true })
+    .filter(entry => entry.isFile())
+    .map(entry => path.relative(dir, path.resolve(entry.parentPath || entry.path, entry.name)))
+    .sort();
+}
+
+// Streams `file`, answering only once it is open: a file removed since it was listed is a 404
+// rather than an unhandled stream error
+function streamFile(res, file, contentType, logger) {
+  const stream = fs.createReadStream(file);
+  stream.once('open', () => {
+    res.writeHead(200, { 'content-type': contentType });
+    stream.pipe(res);
+  });
+  stream.on('error', err => {
+    if (res.headersSent) {
+      res.destroy(err);
+    } else if (err.code === 'ENOENT') {
+      sendJson(res, 404, { error: `No file ${path.basename(file)}` });
+    } else {
+      logger.error(`Failed to read ${file}: ${err}`);
+      sendJson(res, 500, { error: 'Failed to read the file' });
+    }
+  });
+}
+
+function sendFile(res, dir, relative, logger) {
+  const file = path.resolve(dir, relative);
+  if (!file.startsWith(dir + path.sep) || !fs.existsSync(file) || !fs.statSync(file).isFile()) {
+    throw new HttpError(404, `No file ${relative}`);
+  }
+  streamFile(res, file, CONTENT_TYPES[path.extname(file)] || 'application/octet-stream', logger);
+}
+
+// HTTP status API and dashboard for the watch daemon. `scheduler` is the running scheduler (see
+// scheduler.js); everything but the dashboard page and the health checks needs `token`.
+// Handlers only read files and the scheduler's state, so they answer while a crawl is running.
+function createStatusServer({ scheduler, outputDir, historyFile, metricsFile = METRICS_FILE, token, logger = log }) {
+  const routes = [
+    ['GET', /^\/$/, (req, res) => streamFile(res, DASHBOARD_FILE, CONTENT_TYPES['.html'], logger)],
+    ['GET', /^\/healthz$/, (req, res) => sendJson(res, 200, { status: 'ok', uptimeSeconds: Math.round(process.uptime()) })],
+    ['GET', /^\/readyz$/, (req, res) => {
+      const { stopped } = scheduler.status();
+      sendJson(res, stopped ? 503 : 200, { ready: !stopped });
+    }],
+    ['GET', /^\/api\/status$/, (req, res) => {
+      const runs = listRuns(outputDir);
+      const latest = runs.length > 0 ? runs[runs.length - 1] : null;
+      sendJson(res, 200, { ...scheduler.status(), latestRun: latest ? runSummary(latest, readReport(latest.dir)) : null });
+    }],
+    ['GET', /^\/api\/runs$/, (req, res, url) => {
+      const limit = Number(url.searchParams.get('limit')) || RUNS_LIMIT;
+      const runs = listRuns(outputDir).reverse().slice(0, limit);
+      sendJson(res, 200, { runs: runs.map(run => runSummary(run, readReport(run.dir))) });
+    }],
+    ['POST', /^\/api\/runs$/, (req, res) => {
+      if (scheduler.status().running) {
+        throw new HttpError(409, 'A crawl is already running');
+      }
+      logger.info('Crawl triggered through the status API');
+      scheduler.runNow().catch(err => logger.error(`Triggered crawl failed: ${err}`));
+      sendJson(res, 202, { triggered: true });
+    }],
+    ['GET', /^\/api\/runs\/([^/]+)$/, (req, res, url, [runId]) => {
+      const run = findRun(outputDir, runId);
+      sendJson(res, 200, { ...readReport(run.dir), files: runFiles(run.dir), fileQuery: signedFileQuery(token, runId) });
+    }],
+    ['GET', /^\/api\/runs\/([^/]+)\/files\/(.+)$/, (req, res, url, [runId, file]) => {
+      let relative;
+      try {
+        relative = decodeURIComponent(file);
+      } catch (err) {
+        throw new HttpError(400, `Invalid file path '${file}'`);
+      }
+      sendFile(res, findRun(outputDir, runId).dir, relative, logger);
+    }],
+    // Prometheus text format; scrape it with the token as a bearer credential
+    ['GET', /^\/metrics$/, (req, res) => {
+      res.writeHead(200, { 'content-type': 'text/plain; version=0.0.4; charset=utf-8' });
+      res.end(renderPrometheus(readMetrics(metricsFile)));
+    }],
+    ['GET', /^\/api\/history$/, (req, res, url) => {
+      const filters = Object.fromEntries(['field', 'funnel', 'since', 'profile'].map(key => [key, url.searchParams.get(key) || undefined]));
+      const records = filterRecords(readRecords(historyFile), filters);
+      const values = summarize(records).sort((a, b) => (a.lastSeen < b.lastSeen ? 1 : -1));
+      sendJson(res, 200, { observations: records.length, values });
+    }],
+  ];
+
+  return http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    try {
+      if (!PUBLIC_PATHS.includes(url.pathname) && !isAuthorized(req, url, token)) {
+        throw new HttpError(401, token ? 'Missing or wrong bearer token' : 'API_TOKEN is not set; only the health checks are served');
+      }
+      const matching = routes.filter(([, pattern]) => pattern.test(url.pathname));
+      const route = matching.find(([method]) => method === req.method);
+      if (!route) {
+        throw new HttpError(matching.length > 0 ? 405 : 404, `No route for ${req.method} ${url.pathname}`);
+      }
+      const [, pattern, handler] = route;
+      handler(req, res, url, pattern.exec(url.pathname).slice(1));
+    } catch (err) {
+      const status = err instanceof HttpError ? err.status : 500;
+      if (status === 500) {
+        logger.error(`Status API ${req.method} ${url.pathname} failed: ${err}`);
+      }
+      if (!res.headersSent) {
+        sendJson(res, status, { error: err.message });
+      }
+    }
+  });
+}
+
+// Listens on `port` and resolves to { port, close() }
+async function startStatusServer({ port, ...options }) {
+  const logger = options.logger || log;
+  const server = createStatusServer(options);
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, resolve);
+  });
+  logger.info(`Status API and dashboard on http://localhost:${server.address().port}/`);
+  if (!options.token) {
+    logger.warn('API_TOKEN is not set; the status API answers health checks only');
+  }
+  return {
+    port: server.address().port,
+    close: () => new Promise(resolve => server.close(resolve)),
+  };
+}
+
+module.exports = {
+  createStatusServer,
+  startStatusServer,
+};
@@ -0,0 +1,308 @@
+const path = require('path');
+const { maskOptions } = require('./visual');
+const { waitForSettled } = require('./transition');
+const { log } = require('./logger');
+
+const POLL_INTERVAL_MS = 250;
+
+// '@name' refers to an entry in the funnel's `selectors` map
+function resolveSelector(selector, funnel) {
+  if (typeof selector !== 'string' || !selector.startsWith('@')) {
+    return selector;
+  }
+  const name = selector.slice(1);
+  const resolved = funnel.selectors && funnel.selectors[name];
+  if (!resolved) {
+    throw new Error(`Unknown selector alias '${selector}' in funnel ${funnel.name}`);
+  }
+  return resolved;
+}
+
+function renderValue(template, vars) {
+  return String(template).replace(/\{\{\s*(\w+)\s*\}\}/g, (whole, name) => {
+    return vars[name] !== undefined ? String(vars[name]) : whole;
+  });
+}
+
+async function isInteractable(element) {
+  let visible = true;
+  let enabled = true;
+  try { visible = await element.isVisible(); } catch { visible = true; }
+  try { enabled = await element.isEnabled(); } catch { enabled = true; }
+  return visible && enabled;
+}
+
+// All keys present in one condition object must hold (implicit AND)
+async function evaluateCondition(page, condition, ctx) {
+  if (condition.all && !(await everyCondition(page, condition.all, ctx))) {
+    return false;
+  }
+  if (condition.any && !(await someCondition(page, condition.any, ctx))) {
+    return false;
+  }
+  if (condition.not && await evaluateCondition(page, condition.not, ctx)) {
+    return false;
+  }
+  if (condition.selector && await page.$(resolveSelector(condition.selector, ctx.funnel)) === null) {
+    return false;
+  }
+  if (condition.text && await page.$(`body:has-text(${JSON.stringify(condition.text)})`) === null) {
+    return false;
+  }
+  if (condition.url && !page.url().includes(condition.url)) {
+    return false;
+  }
+  if (condition.urlPattern && !new RegExp(condition.urlPattern).test(page.url())) {
+    return false;
+  }
+  if (condition.urlChanged !== undefined && (page.url() !== ctx.urlBefore) !== condition.urlChanged) {
+    return false;
+  }
+  // request/requestPattern: a document, XHR or fetch call to a matching URL was made earlier in the run
+  if (condition.request && !requestUrls(ctx).some(url => url.includes(condition.request))) {
+    return false;
+  }
+  if (condition.requestPattern && !requestUrls(ctx).some(url => new RegExp(condition.requestPattern).test(url))) {
+    return false;
+  }
+  return true;
+}
+
+function requestUrls(ctx) {
+  return ctx.networkLog ? ctx.networkLog.entries.map(entry => entry.url) : [];
+}
+
+async function everyCondition(page, conditions, ctx) {
+  for (const child of conditions) {
+    if (!(await evaluateCondition(page, child, ctx))) {
+      return false;
+    }
+  }
+  return true;
+}
+
+async function someCondition(page, conditions, ctx) {
+  for (const child of conditions) {
+    if (await evaluateCondition(page, child, ctx)) {
+      return true;
+    }
+  }
+  return false;
+}
+
+async function waitForCondition(page, condition, ctx, timeout) {
+  const deadline = Date.now() + timeout;
+  while (true) {
+    if (await evaluateCondition(page, condition, ctx)) {
+      return true;
+    }
+    if (Date.now() >= deadline) {
+      return false;
+    }
+    await page.waitForTimeout(POLL_INTERVAL_MS);
+  }
+}
+
+// Buttons, inputs and other [data-locator] elements with their state, collected in one round trip
+async function snapshotDom(page) {
+  return page.evaluate(() => {
+    const describe = el => ({
+      tag: el.tagName.toLowerCase(),
+      locator: el.getAttribute('data-locator'),
+      type: el.getAttribute('type') || undefined,
+      text: (el.textContent || '').trim().slice(0, 80),
+      visible: Boolean(el.offsetWidth || el.offsetHeight || el.getClientRects().length),
+      enabled: !el.disabled,
+      checked: el.type === 'checkbox' || el.type === 'radio' ? el.checked : undefined,
+    });
+    return {
+      url: location.href,
+      buttons: [...document.querySelectorAll('button')].map(describe),
+      inputs: [...document.querySelectorAll('input')].map(describe),
+      locators: [...document.querySelectorAll('[data-locator]:not(button):not(input)')].map(describe),
+    };
+  });
+}
+
+// Logs a DOM snapshot as a single event. Nothing is collected when `level` is turned off.
+async function logDomSnapshot(page, logger, level, message) {
+  if (!logger.isEnabled(level)) {
+    return;
+  }
+  try {
+    logger[level](message, { dom: await snapshotDom(page) });
+  } catch (err) {
+    logger[level](`${message} (snapshot failed: ${err})`);
+  }
+}
+
+async function describe(element) {
+  const locator = await element.getAttribute('data-locator');
+  const text = (await element.textContent() || '').trim();
+  return `${locator} - ${text}`;
+}
+
+// Each action resolves to { ok, detail, screenshot? }; a failed non-optional action ends the step.
+async function runAction(page, action, ctx) {
+  const timeout = action.timeout ?? 5000;
+  const logger = ctx.log || log;
+  switch (action.action) {
+    case 'click': {
+      const elements = await page.$$(resolveSelector(action.selector, ctx.funnel));
+      for (const element of elements) {
+        try {
+          const description = await describe(element);
+          await element.click({ timeout });
+          logger.info(`Clicked ${description}`);
+          return { ok: true, detail: description };
+        } catch (err) {
+          logger.warn(`Failed to click ${action.selector}: ${err}`);
+        }
+      }
+      return { ok: false, detail: `no clickable match among ${elements.length}` };
+    }
+    case 'select-nth': {
+      const elements = await page.$$(resolveSelector(action.selector, ctx.funnel));
+      const interactable = [];
+      for (const element of elements) {
+        if (await isInteractable(element)) {
+          interactable.push(element);
+        }
+      }
+      const labels = [];
+      for (const element of interactable) {
+        labels.push(await describe(element));
+      }
+      // In explore mode ctx.choose picks the branch; `explore: false` pins the action to its index
+      const index = ctx.choose && action.explore !== false && labels.length > 0
+        ? ctx.choose({ step: ctx.step, action, labels })
+        : action.index ?? 0;
+      const element = interactable[index];
+      if (!element) {
+        logger.warn(`No interactable element [${index}] for ${action.selector} (${interactable.length} found)`);
+        return { ok: false, detail: `${interactable.length} interactable` };
+      }
+      try {
+        const description = labels[index];
+        await element.click({ timeout });
+        logger.info(`Selected ${action.selector} [${index}]: ${description}`);
+        return { ok: true, detail: `[${index}] ${description}` };
+      } catch (err) {
+        logger.warn(`Failed to select ${action.selector} [${index}]: ${err}`);
+        return { ok: false, detail: String(err) };
+      }
+    }
+    case 'fill': {
+      const element = await page.$(resolveSelector(action.selector, ctx.funnel));
+      if (!element) {
+        return { ok: false, detail: 'not found' };
+      }
+      const value = renderValue(action.value, ctx.vars);
+      await element.fill(value);
+      logger.info(`Filled ${action.selector} with value ${value}`);
+      return { ok: true, detail: value };
+    }
+    case 'wait':
+      await page.waitForTimeout(action.ms);
+      return { ok: true, detail: `${action.ms} ms` };
+    case 'settle': {
+      const settled = await waitForSettled(page, { ...ctx.funnel.transition, timeout: action.timeout ?? 5000 });
+      return { ok: true, detail: settled ? 'settled' : 'still changing' };
+    }
+    case 'wait-for': {
+      const met = await waitForCondition(page, action.condition, ctx, action.timeout ?? 10000);
+      return { ok: met, detail: met ? 'condition met' : 'timed out' };
+    }
+    case 'screenshot': {
+      const file = path.resolve(ctx.screenshotsDir, `${action.name || 'action'}-${Date.now()}.png`);
+      await page.screenshot({ path: file, fullPage: true, ...maskOptions(page, ctx.funnel) });
+      logger.info(`Screenshot: ${file}`);
+      return { ok: true, detail: path.basename(file), screenshot: file };
+    }
+    case 'dump':
+      await logDomSnapshot(page, logger, 'debug', `DOM snapshot ${action.label || ''}`.trim());
+      return { ok: true };
+    default:
+      throw new Error(`Unknown action '${action.action}'`);
+  }
+}
+
+// Resolves to { actions, success } describing what was done, for the run report.
+async function solveStep(page, step, ctx) {
+  const logger = ctx.log || log;
+  const stepCtx = { ...ctx, step: step.name, urlBefore: page.url() };
+  const actions = [];
+  for (const action of step.actions) {
+    const result = await runAction(page, action, stepCtx);
+    actions.push({ action: action.action, selector: action.selector, name: action.name, ...result });
+    if (!result.ok && !action.optional) {
+      await logDomSnapshot(page, logger, 'error', `Action ${action.action} ${action.selector || ''} failed in step ${step.name}; skipping the rest of the step.`);
+      return { actions, success: false };
+    }
+  }
+  let success = true;
+  if (step.success) {
+    success = await waitForCondition(page, step.success.condition, stepCtx, step.success.timeout ?? 5000);
+    if (!success) {
+      logger.info(`Success condition for ${step.name} not met: ${JSON.stringify(step.success.condition)}`);
+    }
+  }
+  return { actions, success };
+}
+
+// First step type whose detector matches; the funnel's step order is the priority order
+async function detectStep(stepTypes, logger = log) {
+  for (const stepType of stepTypes) {
+    if (await stepType.detect()) {
+      return stepType;
+    }
+    logger.debug(`Checking step type: ${stepType.name}`);
+  }
+  return null;
+}
+
+// First of the funnel's terminal states (paywall, checkout, ...) the page is in, or null
+async function detectTerminal(page, ctx) {
+  for (const terminal of ctx.funnel.terminal || []) {
+    if (await evaluateCondition(page, terminal.condition, ctx)) {
+      return terminal;
+    }
+  }
+  return null;
+}
+
+// Selectors a detect condition requires to be present; `not` branches name what is absent
+function conditionSelectors(condition, funnel) {
+  if (!condition) {
+    return [];
+  }
+  return [
+    ...(condition.selector ? [resolveSelector(condition.selector, funnel)] : []),
+    ...[...(condition.all || []), ...(condition.any || [])].flatMap(child => conditionSelectors(child, funnel)),
+  ];
+}
+
+// Turns the funnel's declarative steps into the { name, detect, solve, controls } objects the main loop
+// runs; `controls` are the selectors of the elements whose going away means the step is done.
+// ctx: { funnel, vars, screenshotsDir, choose?, log?, networkLog? }; solve() takes extra ctx such as a step-scoped log.
+function buildStepTypes(page, ctx) {
+  return ctx.funnel.steps.map(step => ({
+    name: step.name,
+    detect: () => evaluateCondition(page, step.detect, ctx),
+    controls: conditionSelectors(step.detect, ctx.funnel),
+    solve: (extra = {}) => solveStep(page, step, { ...ctx, ...extra }),
+  }));
+}
+
+module.exports = {
+  resolveSelector,
+  renderValue,
+  evaluateCondition,
+  waitForCondition,
+  runAction,
+  snapshotDom,
+  logDomSnapshot,
+  detectStep,
+  detectTerminal,
+  buildStepTypes,
+};
@@ -0,0 +1,209 @@
+const { log } = require('./logger');
+
+// Used where the funnel's `transition` section doesn't say otherwise
+const DEFAULT_TRANSITION = {
+  // Upper bound on waiting for a step's screen to change and settle
+  timeout: 10000,
+  // How long the screen has to stay unchanged, with no API call in flight, to count as settled
+  quietMs: 300,
+  // Upper bound on waiting for the screen to change after a pass that detected no step
+  missTimeout: 2000,
+  // Regex of the API URLs a screen waits for; unset means every XHR/fetch call
+  api: null,
+};
+const API_RESOURCE_TYPES = ['xhr', 'fetch'];
+
+// Runs in the page. mode 'fingerprint' returns a hash of the visible controls and the page
+// title and path. mode 'change' resolves with 'dom' once that hash differs from `previous`, or
+// with 'detached' once one of `controls` is removed or hidden, and with null after `timeout`.
+// mode 'quiet' resolves with true once the hash has not changed for `quietMs`, false after `timeout`.
+function screenState({ mode, previous, controls = [], quietMs, timeout }) {
+  const visible = el => el.isConnected && Boolean(el.offsetWidth || el.offsetHeight || el.getClientRects().length);
+  const fingerprint = () => {
+    const parts = [location.pathname, document.title];
+    for (const el of document.querySelectorAll('button, input, select, textarea, a[href], [role=button], [data-locator]')) {
+      if (visible(el)) {
+        parts.push([el.tagName, el.getAttribute('data-locator'), (el.textContent || '').trim().slice(0, 60), el.checked, el.disabled, el.value].join('|'));
+      }
+    }
+    let hash = 5381;
+    for (const char of parts.join('\n')) {
+      hash = ((hash * 33) ^ char.charCodeAt(0)) >>> 0;
+    }
+    return hash.toString(36);
+  };
+  if (mode === 'fingerprint') {
+    return fingerprint();
+  }
+  return new Promise(resolve => {
+    let last = fingerprint();
+    let quietTimer = null;
+    let observer = null;
+    let backstop = null;
+    let limit = null;
+    const finish = (result) => {
+      observer.disconnect();
+      clearInterval(backstop);
+      clearTimeout(quietTimer);
+      clearTimeout(limit);
+      resolve(result);
+    };
+    const check = () => {
+      const current = fingerprint();
+      if (mode === 'change') {
+        if (controls.some(el => !visible(el))) {
+          finish('detached');
+        } else if (current !== previous) {
+          finish('dom');
+        }
+      } else if (current !== last) {
+        last = current;
+        clearTimeout(quietTimer);
+        quietTimer = setTimeout(() => finish(true), quietMs);
+      }
+    };
+    observer = new MutationObserver(check);
+    observer.observe(document, { subtree: true, childList: true, attributes: true, characterData: true });
+    // Property changes (a radio's checked state, an input's value) don't show up as mutations
+    backstop = setInterval(check, 250);
+    limit = setTimeout(() => finish(mode === 'change' ? null : false), timeout);
+    if (mode === 'quiet') {
+      quietTimer = setTimeout(() => finish(true), quietMs);
+    }
+    check();
+  });
+}
+
+function screenFingerprint(page) {
+  return page.evaluate(screenState, { mode: 'fingerprint' });
+}
+
+// Resolves to true once the screen has stopped changing for quietMs, false if it still changes at `timeout`
+async function waitForSettled(page, { quietMs = DEFAULT_TRANSITION.quietMs, timeout = DEFAULT_TRANSITION.timeout } = {}) {
+  const deadline = Date.now() + timeout;
+  while (Date.now() < deadline && !page.isClosed()) {
+    try {
+      return await page.evaluate(screenState, { mode: 'quiet', quietMs, timeout: deadline - Date.now() });
+    } catch (err) {
+      // A navigation destroyed the page's context; start over on the new document
+      await page.waitForLoadState('domcontentloaded', { timeout: Math.max(deadline - Date.now(), 1) }).catch(() => {});
+    }
+  }
+  return false;
+}
+
+// Snapshot of the screen before a step acts on it. wait() resolves to { reason, ms } once the
+// screen moved on and settled: reason is 'url' (main frame navigated), 'dom' (the controls
+// fingerprint changed), 'detached' (one of the `controls` selectors' elements went away),
+// 'network' (the API calls the step made have finished) or 'timeout'.
+// config: the funnel's `transition` section (see DEFAULT_TRANSITION)
+async function watchTransition(page, { controls = [], config = {}, logger = log } = {}) {
+  const settings = { ...DEFAULT_TRANSITION, ...config };
+  const api = settings.api ? new RegExp(settings.api) : null;
+  const url = page.url();
+  const previous = await screenFingerprint(page).catch(() => null);
+  const handles = [];
+  for (const selector of controls) {
+    for (const handle of await page.$$(selector).catch(() => [])) {
+      if (await handle.isVisible().catch(() => false)) {
+        handles.push(handle);
+      }
+    }
+  }
+
+  const inFlight = new Set();
+  const idleWaiters = [];
+  let apiCalls = 0;
+  let signal = null;
+  const signals = [];
+  const emit = (reason) => {
+    signal = signal || reason;
+    signals.splice(0).forEach(resolve => resolve(reason));
+  };
+  let idleTimer = null;
+  const onRequest = (request) => {
+    if (API_RESOURCE_TYPES.includes(request.resourceType()) && (!api || api.test(request.url()))) {
+      inFlight.add(request);
+      apiCalls++;
+      clearTimeout(idleTimer);
+    }
+  };
+  const onDone = (request) => {
+    if (inFlight.delete(request) && inFlight.size === 0) {
+      idleWaiters.splice(0).forEach(resolve => resolve());
+      clearTimeout(idleTimer);
+      idleTimer = setTimeout(() => emit('network'), settings.quietMs);
+    }
+  };
+  const onNavigated = (frame) => {
+    if (frame === page.mainFrame() && frame.url() !== url) {
+      // Calls the old document made won't finish
+      inFlight.clear();
+      idleWaiters.splice(0).forEach(resolve => resolve());
+      emit('url');
+    }
+  };
+  page.on('request', onRequest);
+  page.on('requestfinished', onDone);
+  page.on('requestfailed', onDone);
+  page.on('framenavigated', onNavigated);
+
+  const detach = () => {
+    clearTimeout(idleTimer);
+    page.off('request', onRequest);
+    page.off('requestfinished', onDone);
+    page.off('requestfailed', onDone);
+    page.off('framenavigated', onNavigated);
+    handles.forEach(handle => handle.dispose().catch(() => {}));
+  };
+
+  // Resolves once the API calls in flight have finished, or at `deadline`
+  const apiIdle = deadline => new Promise(resolve => {
+    if (inFlight.size === 0 || Date.now() >= deadline || page.isClosed()) {
+      resolve();
+      return;
+    }
+    const timer = setTimeout(resolve, deadline - Date.now());
+    idleWaiters.push(() => {
+      clearTimeout(timer);
+      resolve();
+    });
+  });
+
+  return {
+    detach,
+    async wait(timeout = settings.timeout) {
+      const startedAt = Date.now();
+      const deadline = startedAt + timeout;
+      try {
+        // No fingerprint means the page was navigating already
+        let reason = signal || (page.url() !== url || previous === null ? 'url' : null);
+        if (!reason && !page.isClosed()) {
+          const changed = page.evaluate(screenState, { mode: 'change', previous, controls: handles, timeout })
+            // The context is destroyed when the page navigates
+            .catch(() => (page.isClosed() ? null : 'url'));
+          reason = await Promise.race([changed, new Promise(resolve => signals.push(resolve))]);
+        }
+        if (!reason) {
+          return { reason: 'timeout', ms: Date.now() - startedAt };
+        }
+        // The first sign of a change is often the clicked control's own feedback; wait for the next screen to finish rendering
+        await apiIdle(deadline);
+        if (!await waitForSettled(page, { quietMs: settings.quietMs, timeout: Math.max(deadline - Date.now(), 0) })) {
+          logger.debug(`Screen still changing ${timeout} ms after the transition (${reason})`);
+        }
+        await apiIdle(deadline);
+        return { reason, ms: Date.now() - startedAt, apiCalls };
+      } finally {
+        detach();
+      }
+    },
+  };
+}
+
+module.exports = {
+  DEFAULT_TRANSITION,
+  screenFingerprint,
+  waitForSettled,
+  watchTransition,
+};
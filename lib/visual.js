@@ -0,0 +1,119 @@
+const fs = require('fs');
+const path = require('path');
+const { PNG } = require('pngjs');
+const pixelmatch = require('pixelmatch');
+const { log } = require('./logger');
+
+const BASELINES_DIR = path.resolve(__dirname, '..', 'baselines');
+// Per-pixel color distance (0..1) pixelmatch treats as equal, and the share of differing
+// pixels a screenshot may have before it counts as changed
+const DEFAULT_PIXEL_THRESHOLD = 0.1;
+const DEFAULT_TOLERANCE = 0.01;
+const RESULTS_FILE = 'visual.json';
+// Fills the area one screenshot has and the other doesn't when their sizes differ, so that area
+// counts as changed and shows up in the diff image
+const PAD_COLOR = [255, 0, 255, 255];
+
+function safeName(key) {
+  return key.replace(/[^\w.-]+/g, '_').replace(/^_+|_+$/g, '');
+}
+
+function baselinePath(funnel, key, dir = BASELINES_DIR) {
+  return path.resolve(dir, safeName(funnel), `${safeName(key)}.png`);
+}
+
+// Screenshot options that paint over the funnel's dynamic regions (timers, countdowns, ...)
+function maskOptions(page, funnel) {
+  const mask = (funnel.visual && funnel.visual.mask) || [];
+  return mask.length > 0 ? { mask: mask.map(selector => page.locator(selector)) } : {};
+}
+
+function readPng(file) {
+  return PNG.sync.read(fs.readFileSync(file));
+}
+
+// `png` in the top left corner of a width x height canvas, the rest PAD_COLOR
+function padTo(png, width, height) {
+  if (png.width === width && png.height === height) {
+    return png;
+  }
+  const padded = new PNG({ width, height });
+  for (let i = 0; i < width * height; i++) {
+    padded.data.set(PAD_COLOR, i * 4);
+  }
+  PNG.bitblt(png, padded, 0, 0, png.width, png.height, 0, 0);
+  return padded;
+}
+
+// Compares `file` with the stored baseline for `key`. The first screenshot for a key becomes its baseline.
+function compareWithBaseline({ funnel, key, file, diffDir, options = {}, baselinesDir = BASELINES_DIR }) {
+  const baseline = baselinePath(funnel, key, baselinesDir);
+  const result = { key, file, baseline, status: 'unchanged', ratio: 0, diffFile: null };
+  if (!fs.existsSync(baseline)) {
+    fs.mkdirSync(path.dirname(baseline), { recursive: true });
+    fs.copyFileSync(file, baseline);
+    result.status = 'baseline-created';
+    return result;
+  }
+  let expected = readPng(baseline);
+  let actual = readPng(file);
+  // Full-page screenshots often change height; compare them on a common canvas
+  if (expected.width !== actual.width || expected.height !== actual.height) {
+    result.note = `size ${expected.width}x${expected.height} -> ${actual.width}x${actual.height}`;
+  }
+  const width = Math.max(expected.width, actual.width);
+  const height = Math.max(expected.height, actual.height);
+  expected = padTo(expected, width, height);
+  actual = padTo(actual, width, height);
+  const diff = new PNG({ width, height });
+  const mismatched = pixelmatch(expected.data, actual.data, diff.data, width, height, {
+    threshold: options.threshold ?? DEFAULT_PIXEL_THRESHOLD,
+  });
+  result.ratio = mismatched / (width * height);
+  if (result.ratio > (options.tolerance ?? DEFAULT_TOLERANCE)) {
+    result.status = 'changed';
+    result.diffFile = path.resolve(diffDir, `visual-diff-${safeName(key)}.png`);
+    fs.writeFileSync(result.diffFile, PNG.sync.write(diff));
+  }
+  return result;
+}
+
+function writeResults(runDir, funnel, results) {
+  fs.writeFileSync(path.resolve(runDir, RESULTS_FILE), JSON.stringify({ funnel, results }, null, 2));
+}
+
+// Copies a run's changed screenshots over their baselines. `keys` limits it to some of them.
+function acceptBaselines(runDir, { keys, baselinesDir = BASELINES_DIR } = {}) {
+  const { funnel, results } = JSON.parse(fs.readFileSync(path.resolve(runDir, RESULTS_FILE), 'utf-8'));
+  const accepted = [];
+  for (const result of results) {
+    if (result.status !== 'changed' || (keys && !keys.includes(result.key))) {
+      continue;
+    }
+    const baseline = baselinePath(funnel, result.key, baselinesDir);
+    fs.mkdirSync(path.dirname(baseline), { recursive: true });
+    fs.copyFileSync(result.file, baseline);
+    accepted.push(result.key);
+    log.info(`Accepted new baseline for ${result.key}`);
+  }
+  return accepted;
+}
+
+// node lib/visual.js accept <runDir> [key ...]
+if (require.main === module) {
+  const [command, runDir, ...keys] = process.argv.slice(2);
+  if (command !== 'accept' || !runDir) {
+    console.error('Usage: node lib/visual.js accept <runDir> [key ...]');
+    process.exit(2);
+  }
+  const accepted = acceptBaselines(path.resolve(runDir), { keys: keys.length > 0 ? keys : undefined });
+  log.info(`Accepted ${accepted.length} baseline(s)`);
+}
+
+module.exports = {
+  BASELINES_DIR,
+  maskOptions,
+  compareWithBaseline,
+  writeResults,
+  acceptBaselines,
+};
@@ -1,681 +1,395 @@
-const { chromium } = require('playwright');
-const fs = require('fs');
 const path = require('path');
+const { DEFAULT_MAX_STEPS, runCrawl } = require('./lib/crawler');
+const { DEFAULT_FUNNEL_FILE } = require('./lib/funnel');
+const { DEFAULT_SCHEDULE, createScheduler } = require('./lib/scheduler');
+const { explore } = require('./lib/explorer');
+const { DEFAULT_PROFILE, DEFAULT_PROFILES_FILE, loadProfiles, runProfiles } = require('./lib/profiles');
+const { resolveHar } = require('./lib/har');
+const { loadCheckpoint } = require('./lib/checkpoint');
+const { DEFAULT_PERSONA, DEFAULT_PERSONAS_FILE, findPersona } = require('./lib/personas');
+const { HistoryUsageError, runHistoryCommand } = require('./lib/history');
+const { acceptBaselines } = require('./lib/visual');
+const { startStatusServer } = require('./lib/server');
+const { readMetrics, renderPrometheus } = require('./lib/metrics');
+const { findLatestRun, readReport, formatSummary } = require('./lib/report');
+const { LEVELS, FORMATS, configure, log } = require('./lib/logger');
 
-const START_URL = 'https://plan.yoga-go.io/onboarding';
-const NEXT_URL = 'https://example.com/next-page';
-const SEEN_VALUES_FILE = path.resolve(__dirname, 'seen_values.json');
-const SCREENSHOT_FILE = path.resolve(__dirname, 'element.png');
-const API_ENDPOINT = 'wellfunnel-web-api.asqq.io/get-default-config/';
-const TARGET_FIELD = 'some_field';
-const TARGET_SELECTOR = '#target-element';
-const WAIT_TIME_MS = 20000; // 1 minute
+const ROOT_DIR = __dirname;
 
-async function loadSeenValues() {
-  try {
-    const data = fs.readFileSync(SEEN_VALUES_FILE, 'utf-8');
-    return new Set(JSON.parse(data));
-  } catch (e) {
-    return new Set();
+// Exit codes, so cron and CI can tell a clean run from one that needs a look
+const EXIT_OK = 0;
+const EXIT_ERROR = 1;
+const EXIT_USAGE = 2;
+const EXIT_STUCK = 3;
+const EXIT_CHANGED = 4;
+// What makes a finished run exit with EXIT_CHANGED
+const CHANGES = [
+  ['new config value', run => run.newValues && run.newValues.length > 0],
+  ['config change', run => run.configDiff && run.configDiff.total > 0],
+  ['pricing change', run => run.pricingDiff && run.pricingDiff.total > 0],
+  ['copy change or new accessibility violation', run => run.auditDiff && run.auditDiff.total > 0],
+  ['new or vanished experiment variant', run => run.experiment && (run.experiment.newVariant || (run.experiment.disappeared || []).length > 0)],
+  ['visual change', run => run.visualChanges && run.visualChanges.length > 0],
+];
+
+// Every option can also come from the environment variable next to it; the flag wins.
+// Options without `value` are switches, set in the environment with 1 or true.
+const OPTIONS = {
+  funnel: { env: 'FUNNEL_FILE', value: 'file', help: 'Funnel definition, JSON or YAML' },
+  url: { env: 'START_URL', value: 'url', help: "Start URL, instead of the funnel's startUrl" },
+  profiles: { env: 'PROFILES_FILE', value: 'file', help: 'Context profiles to crawl with' },
+  persona: { env: 'PERSONA', value: 'name', help: `Synthetic user to enter; 'random' draws a new one per run (${DEFAULT_PERSONA.name})` },
+  personas: { env: 'PERSONAS_FILE', value: 'file', help: 'Persona definitions, added to the built-in default and random' },
+  headed: { env: 'HEADED', help: 'Show the browser window instead of running headless' },
+  'max-steps': { env: 'MAX_STEPS', value: 'n', help: `Loop iterations before a run gives up (${DEFAULT_MAX_STEPS})` },
+  output: { env: 'OUTPUT_DIR', value: 'dir', help: 'Where run folders are written (the project folder)' },
+  'log-level': { env: 'LOG_LEVEL', value: 'level', help: `${LEVELS.join(', ')} (info)` },
+  'log-format': { env: 'LOG_FORMAT', value: 'format', help: `${FORMATS.join(' or ')}; json writes one JSON object per line (text)` },
+  'record-har': { env: 'RECORD_HAR', help: 'Record each crawl to <run>/session.har' },
+  replay: { env: 'REPLAY', value: 'path', help: 'Replay a recorded run folder or .har offline' },
+  resume: { env: 'RESUME', value: 'runId', help: 'Continue a run (id or folder) from its last checkpoint' },
+  'fixed-persona': { env: 'FIXED_PERSONA', help: 'Reuse one generated identity across runs instead of a new one each run' },
+  schedule: { env: 'SCHEDULE', value: 'cron', help: `watch: cron schedule (${DEFAULT_SCHEDULE})` },
+  tz: { env: 'SCHEDULE_TZ', value: 'zone', help: 'watch: time zone of the schedule' },
+  'jitter-ms': { env: 'SCHEDULE_JITTER_MS', value: 'ms', help: 'watch: random delay added to each run' },
+  port: { env: 'PORT', value: 'port', help: 'watch: serve the status API, dashboard and /metrics; set API_TOKEN to protect them' },
+  strategy: { env: 'EXPLORE_STRATEGY', value: 'bfs|dfs', help: 'explore: walk order (bfs)' },
+  'max-depth': { env: 'EXPLORE_MAX_DEPTH', value: 'n', help: 'explore: deepest choice point to branch on' },
+  'max-runs': { env: 'EXPLORE_MAX_RUNS', value: 'n', help: 'explore: branches to run at most' },
+  json: { help: 'report: print report.json instead of a summary' },
+  help: { help: 'Show this help' },
+};
+
+const COMMANDS = {
+  crawl: 'Crawl the funnel once per profile (default)',
+  watch: 'Crawl on a schedule until stopped',
+  explore: 'Walk alternative answers and map the funnel graph',
+  'history query|export': 'Query or export observed config values (--field, --funnel, --since, --profile, --format, --out)',
+  metrics: 'Print per-run and per-step metrics in Prometheus text format',
+  'baseline accept <runDir> [key ...]': "Accept a run's changed screenshots as the new baselines",
+  'report [runDir]': 'Summarize a run, the latest one in the output folder by default',
+};
+
+class UsageError extends Error {}
+
+function usage() {
+  const rows = entries => entries.map(([left, right]) => `  ${left.padEnd(36)} ${right}`).join('\n');
+  const options = Object.entries(OPTIONS).map(([name, option]) => [
+    `--${name}${option.value ? ` <${option.value}>` : ''}`,
+    `${option.help}${option.env ? ` [${option.env}]` : ''}`,
+  ]);
+  return `Usage: node script.js [command] [options]
+
+Commands:
+${rows(Object.entries(COMMANDS))}
+
+Options:
+${rows(options)}
+
+Exit codes:
+  ${EXIT_OK}  completed with nothing new
+  ${EXIT_ERROR}  error
+  ${EXIT_USAGE}  bad usage
+  ${EXIT_STUCK}  stuck or out of steps
+  ${EXIT_CHANGED}  completed with any of:
+${CHANGES.map(([label]) => `       ${label}`).join('\n')}
+`;
+}
+
+// Splits argv into positionals and options, filling in unset options from the environment.
+// `history` takes its own flags, so everything after it is passed through untouched.
+function parseArgs(argv) {
+  const positionals = [];
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (positionals[0] === 'history') {
+      positionals.push(arg);
+      continue;
+    }
+    if (!arg.startsWith('--')) {
+      positionals.push(arg);
+      continue;
+    }
+    const [name, inline] = arg.slice(2).split(/=(.*)/s);
+    const option = OPTIONS[name];
+    if (!option) {
+      throw new UsageError(`Unknown option --${name}`);
+    }
+    if (!option.value) {
+      options[name] = true;
+    } else if (inline !== undefined) {
+      options[name] = inline;
+    } else if (i + 1 < argv.length) {
+      options[name] = argv[++i];
+    } else {
+      throw new UsageError(`--${name} needs a value`);
+    }
   }
+  for (const [name, option] of Object.entries(OPTIONS)) {
+    const fromEnv = option.env && process.env[option.env];
+    if (options[name] === undefined && fromEnv) {
+      options[name] = option.value ? fromEnv : fromEnv === '1' || fromEnv === 'true';
+    }
+  }
+  return { positionals, options };
 }
 
-function saveSeenValues(set) {
-  fs.writeFileSync(SEEN_VALUES_FILE, JSON.stringify(Array.from(set), null, 2));
+function numberOption(options, name, { min = 0, integer = false } = {}) {
+  if (options[name] === undefined) {
+    return undefined;
+  }
+  const value = Number(options[name]);
+  if (!Number.isFinite(value) || value < min || (integer && !Number.isInteger(value))) {
+    const kind = integer ? (min === 1 ? 'positive integer' : 'non-negative integer') : 'non-negative number';
+    throw new UsageError(`--${name} must be a ${kind}, got '${options[name]}'`);
+  }
+  return value;
+}
+
+function onShutdown(handler) {
+  let shuttingDown = false;
+  for (const signal of ['SIGTERM', 'SIGINT']) {
+    process.on(signal, async () => {
+      if (shuttingDown) {
+        return;
+      }
+      shuttingDown = true;
+      log.info(`Received ${signal}. Shutting down...`);
+      await handler();
+      process.exit(0);
+    });
+  }
 }
 
-async function monitorNetwork(page, durationMs) {
-  const requests = [];
-  page.on('request', (request) => {
-    requests.push(request);
+// Runs `start(signal)` and aborts it cleanly on SIGTERM/SIGINT
+async function abortable(start) {
+  const controller = new AbortController();
+  const running = start(controller.signal);
+  onShutdown(async () => {
+    controller.abort();
+    await running.catch(() => {});
   });
-  await page.waitForTimeout(durationMs);
-  return requests;
+  return running;
 }
 
-async function extractFieldFromRequests(requests, endpoint, field) {
-  for (const req of requests) {
-    if (req.url().includes(endpoint)) {
-      try {
-        const postData = req.postData();
-        if (postData) {
-          const payload = JSON.parse(postData);
-          if (payload && Object.prototype.hasOwnProperty.call(payload, field)) {
-            return payload[field];
-          }
-        }
-      } catch (e) {
-        // Ignore parse errors
-      }
-    }
+// Worst outcome across the runs: errors first, then stuck runs, then anything new or changed
+function exitCodeFor(runs) {
+  if (runs.length === 0 || runs.some(run => run.status === 'error')) {
+    return EXIT_ERROR;
+  }
+  if (runs.some(run => run.status === 'stuck' || run.status === 'max-retries')) {
+    return EXIT_STUCK;
   }
-  return null;
+  const changed = run => CHANGES.some(([, test]) => test(run));
+  return runs.some(changed) ? EXIT_CHANGED : EXIT_OK;
 }
 
-async function isBackButtonPresent(page) {
-  const buttons = await page.$$('button');
-  for (const button of buttons) {
-    const locator = await button.getAttribute('data-locator');
-    const text = await button.textContent();
-    const visible = await button.isVisible ? await button.isVisible() : true;
-    const enabled = await button.isEnabled ? await button.isEnabled() : true;
-    if (locator && (locator.includes('back') || text.toLowerCase().includes('back')) && visible && enabled) {
-      return true;
-    }
+function personaOption(options) {
+  try {
+    return findPersona(options.persona || DEFAULT_PERSONA.name, options.personas ? path.resolve(options.personas) : DEFAULT_PERSONAS_FILE);
+  } catch (err) {
+    throw new UsageError(err.message);
   }
-  return false;
 }
 
-async function main() {
-  const browser = await chromium.launch({ headless: true });
-  const context = await browser.newContext();
-  const page = await context.newPage();
+function crawlSettings(options) {
+  return {
+    funnelFile: options.funnel ? path.resolve(options.funnel) : DEFAULT_FUNNEL_FILE,
+    headless: !options.headed,
+    crawlOptions: {
+      startUrl: options.url,
+      maxSteps: numberOption(options, 'max-steps', { min: 1, integer: true }),
+      outputDir: options.output ? path.resolve(options.output) : undefined,
+      recordHar: Boolean(options['record-har']),
+      persona: personaOption(options),
+      fixedPersona: Boolean(options['fixed-persona']),
+    },
+  };
+}
+
+// One crawl per profile in the profiles file, or a single default-profile crawl without one
+function crawlAllProfiles(options, signal) {
+  const { profiles, concurrency } = loadProfiles(options.profiles ? path.resolve(options.profiles) : DEFAULT_PROFILES_FILE);
+  return runProfiles({ runCrawl, profiles, concurrency, signal, ...crawlSettings(options) });
+}
 
-  // Create a unique folder for this run's screenshots
-  const runTimestamp = new Date().toISOString().replace(/[:.]/g, '-');
-  const screenshotsDir = path.resolve(__dirname, `screenshots-${runTimestamp}`);
-  if (!fs.existsSync(screenshotsDir)) {
-    fs.mkdirSync(screenshotsDir);
+// Replays use the profile the session was recorded with, so the page lays out the same way
+async function replay(options, signal) {
+  let meta;
+  try {
+    ({ meta } = resolveHar(options.replay));
+  } catch (err) {
+    throw new UsageError(err.message);
   }
+  const { funnelFile, headless, crawlOptions } = crawlSettings(options);
+  const run = await runCrawl({
+    ...crawlOptions,
+    funnelFile,
+    headless,
+    signal,
+    replay: options.replay,
+    profile: meta.profile || DEFAULT_PROFILE,
+  });
+  return { status: run.status, runs: [run] };
+}
 
-  // Listen for console events from the page
-  page.on('console', msg => {
-    if (msg.type() === 'error') {
-      console.log(`[PAGE CONSOLE ERROR] ${msg.text()}`);
-    } else if (msg.type() === 'warning') {
-      console.log(`[PAGE CONSOLE WARN] ${msg.text()}`);
-    } else {
-      console.log(`[PAGE CONSOLE ${msg.type().toUpperCase()}] ${msg.text()}`);
-    }
+// Resumes continue with the funnel, start URL and profile the run started with, unless overridden
+async function resume(options, signal) {
+  const { funnelFile, headless, crawlOptions } = crawlSettings(options);
+  const checkpoint = loadCheckpoint(options.resume, crawlOptions.outputDir);
+  const run = await runCrawl({
+    ...crawlOptions,
+    funnelFile: options.funnel ? funnelFile : checkpoint.funnelFile,
+    startUrl: crawlOptions.startUrl || checkpoint.startUrl,
+    headless,
+    signal,
+    resume: options.resume,
+    profile: checkpoint.profile || DEFAULT_PROFILE,
   });
+  return { status: run.status, runs: [run] };
+}
 
-  try {
-    await page.goto(START_URL);
+function startCrawl(options, signal) {
+  if (options.replay && options.resume) {
+    throw new UsageError('--replay and --resume cannot be combined');
+  }
+  if (options.replay) {
+    return replay(options, signal);
+  }
+  return options.resume ? resume(options, signal) : crawlAllProfiles(options, signal);
+}
 
-    // --- Step Handlers Definition ---
-    const stepTypes = [
-        {
-          name: 'skip_button',
-          detect: async () => {
-            const buttons = await page.$$('button');
-            for (const button of buttons) {
-              const locator = await button.getAttribute('data-locator');
-              const text = await button.textContent();
-              const visible = await button.isVisible ? await button.isVisible() : true;
-              const enabled = await button.isEnabled ? await button.isEnabled() : true;
-              if (locator && (locator.includes('skip') || text.toLowerCase().includes('skip')) && visible && enabled && !text.toLowerCase().includes('back')) {
-                return true;
-              }
-            }
-            return false;
-          },
-          solve: async () => {
-            const buttons = await page.$$('button');
-            for (const button of buttons) {
-              const locator = await button.getAttribute('data-locator');
-              const text = await button.textContent();
-              const visible = await button.isVisible ? await button.isVisible() : true;
-              const enabled = await button.isEnabled ? await button.isEnabled() : true;
-              if (locator && (locator.includes('skip') || text.toLowerCase().includes('skip')) && visible && enabled && !text.toLowerCase().includes('back')) {
-                try {
-                  await button.click({ timeout: 5000 });
-                  console.log(`[INFO] Clicked skip button: ${locator} - ${text}`);
-                  break;
-                } catch (err) {
-                  console.log(`[WARN] Failed to click skip button: ${err}`);
-                }
-              }
-            }
-          }
-        },
-        {
-          name: 'multi_select_button',
-          detect: async () => {
-            return await page.$('input[data-locator*=multi_select]') !== null && await page.$('[data-locator*=CTAButton]') !== null;
-          },
-          solve: async () => {
-            const inputs = await page.$$('input[data-locator*=multi_select]');
-            if (!inputs || inputs.length === 0) {
-              console.log('[ERROR] No multi select inputs found when trying to solve.');
-              return;
-            }
-            // Log all found inputs
-            for (let i = 0; i < inputs.length; i++) {
-              const locator = await inputs[i].getAttribute('data-locator');
-              const type = await inputs[i].getAttribute('type');
-              let checked;
-              try {
-                checked = await inputs[i].isChecked ? await inputs[i].isChecked() : undefined;
-              } catch (e) {
-                checked = undefined;
-              }
-              const visible = await inputs[i].isVisible ? await inputs[i].isVisible() : true;
-              const enabled = await inputs[i].isEnabled ? await inputs[i].isEnabled() : true;
-              console.log(`[DEBUG] Found multi_select input [${i}]: data-locator: ${locator}, type: ${type}, checked: ${checked}, visible: ${visible}, enabled: ${enabled}`);
-            }
-            // Click the first interactable input
-            let clicked = false;
-            for (let i = 0; i < inputs.length; i++) {
-              const visible = await inputs[i].isVisible ? await inputs[i].isVisible() : true;
-              const enabled = await inputs[i].isEnabled ? await inputs[i].isEnabled() : true;
-              if (visible && enabled) {
-                try {
-                  await inputs[i].click({ timeout: 5000 });
-                  console.log(`[INFO] Clicked multi select input [${i}].`);
-                  clicked = true;
-                  break;
-                } catch (err) {
-                  console.log(`[WARN] Failed to click input [${i}]: ${err}`);
-                }
-              }
-            }
-            if (!clicked) {
-              console.log('[ERROR] No interactable multi select input could be clicked.');
-              return;
-            }
-            // Wait a couple seconds for DOM to update after click
-            console.log('[INFO] Waiting 2 seconds for DOM to update after input click...');
-            await page.waitForTimeout(2000);
-            // Wait for checked or next controls
-            try {
-              await Promise.race([
-                Promise.all(inputs.map(input => input.waitForElementState ? input.waitForElementState('checked', { timeout: 10000 }).catch(() => {}) : Promise.resolve())),
-                page.waitForFunction(() => {
-                  return (
-                    document.querySelectorAll('[data-locator*=option], [data-locator*=option_square]').length > 0 ||
-                    document.querySelectorAll('[data-locator*=CTAButton]').length > 0
-                  );
-                }, {}, { timeout: 10000 })
-              ]);
-              const afterClickScreenshot = path.resolve(screenshotsDir, `after-click-multi_select-${Date.now()}.png`);
-              await page.screenshot({ path: afterClickScreenshot, fullPage: true });
-              console.log(`[INFO] Screenshot after selecting input: ${afterClickScreenshot}`);
-              // Log all available buttons and inputs after click
-              const btns = await page.$$('button');
-              const inps = await page.$$('input');
-              for (let i = 0; i < btns.length; i++) {
-                const locator = await btns[i].getAttribute('data-locator');
-                const text = await btns[i].textContent();
-                const visible = await btns[i].isVisible ? await btns[i].isVisible() : true;
-                const enabled = await btns[i].isEnabled ? await btns[i].isEnabled() : true;
-                console.log(`[DEBUG] Button after input click [${i}]: data-locator: ${locator}, text: '${text}', visible: ${visible}, enabled: ${enabled}`);
-              }
-              for (let i = 0; i < inps.length; i++) {
-                const locator = await inps[i].getAttribute('data-locator');
-                const type = await inps[i].getAttribute('type');
-                let checked;
-                try {
-                  checked = await inps[i].isChecked ? await inps[i].isChecked() : undefined;
-                } catch (e) {
-                  checked = undefined;
-                }
-                const visible = await inps[i].isVisible ? await inps[i].isVisible() : true;
-                const enabled = await inps[i].isEnabled ? await inps[i].isEnabled() : true;
-                console.log(`[DEBUG] Input after input click [${i}]: data-locator: ${locator}, type: ${type}, checked: ${checked}, visible: ${visible}, enabled: ${enabled}`);
-              }
-              // Log all elements with data-locator attribute after click
-              const allDataLocator = await page.$$('[data-locator]');
-              for (let i = 0; i < allDataLocator.length; i++) {
-                const tag = await allDataLocator[i].evaluate(el => el.tagName);
-                const locator = await allDataLocator[i].getAttribute('data-locator');
-                const text = await allDataLocator[i].textContent();
-                const visible = await allDataLocator[i].isVisible ? await allDataLocator[i].isVisible() : true;
-                let enabled = true;
-                try { enabled = await allDataLocator[i].isEnabled ? await allDataLocator[i].isEnabled() : true; } catch { enabled = true; }
-                console.log(`[DEBUG] data-locator element after input click [${i}]: <${tag.toLowerCase()}> data-locator: ${locator}, text: '${text}', visible: ${visible}, enabled: ${enabled}`);
-              }
-              console.log('[INFO] Input selection resulted in a DOM change or next step controls appeared.');
-            } catch (e) {
-              console.log('[WARN] Input did not become checked or next step controls did not appear after click. There may not have been a visible effect.');
-            }
-            const btn = await page.$('[data-locator*=CTAButton]');
-            if (btn) {
-              await btn.click();
-              console.log('Clicked CTAButton after multi select');
-            }
-          }
-        },
-        {
-          name: 'email_input',
-          detect: async () => {
-            return await page.$('input[data-locator*=email_input]') !== null;
-          },
-          solve: async () => {
-            const emailInput = await page.$('input[data-locator*=email_input]');
-            if (emailInput) {
-              const randomEmail = `test${Math.floor(Math.random() * 1000000)}@example.com`;
-              await emailInput.fill(randomEmail);
-              console.log(`Filled email_input with value ${randomEmail}`);
-              
-              // After filling email, look for and click continue button
-              await page.waitForTimeout(1000);
-              const continueBtn = await page.$('button[data-locator*=obContinue], button[data-locator*=CTAButton], button[data-locator*=tCTAButton]');
-              if (continueBtn) {
-                await continueBtn.click();
-                console.log('Clicked continue button after filling email');
-              }
-            }
-          }
-        },
-        {
-          name: 'number_input',
-          detect: async () => {
-            return await page.$('input[data-locator*=height_metric_input], input[data-locator*=weight_metric_input], input[data-locator*=ob_age_input]') !== null;
-          },
-          solve: async () => {
-            const heightInput = await page.$('input[data-locator*=height_metric_input]');
-            const weightInput = await page.$('input[data-locator*=weight_metric_input]');
-            const ageInput = await page.$('input[data-locator*=ob_age_input]');
-            if (heightInput) {
-              await heightInput.fill('175');
-              console.log('Filled height_metric_input with value 175');
-            }
-            if (weightInput) {
-              await weightInput.fill('70');
-              console.log('Filled weight_metric_input with value 70');
-            }
-            if (ageInput) {
-              await ageInput.fill('30');
-              console.log('Filled ob_age_input with value 30');
-            }
-            const btn = await page.$('button[data-locator*=CTAButton], button[data-locator*=ob_continue_btn]');
-            if (btn && await btn.isEnabled()) {
-              await btn.click();
-              console.log('Clicked CTAButton after number input');
-            }
-          }
-        },
-        {
-          name: 'single_button',
-          detect: async () => {
-            const buttons = await page.$$('button');
-            for (const button of buttons) {
-              const locator = await button.getAttribute('data-locator');
-              const enabled = await button.isEnabled ? await button.isEnabled() : true;
-              if (locator && (locator.includes('CTAButton') || locator.includes('tCTAButton') || locator.includes('ob_continue_btn') || locator.includes('obContinue')) && enabled && !locator.includes('back')) {
-                return true;
-              }
-            }
-            return false;
-          },
-          solve: async () => {
-            try {
-              const btn = await page.$('button[data-locator*=CTAButton], button[data-locator*=tCTAButton], button[data-locator*=ob_continue_btn], button[data-locator*=obContinue]');
-              if (btn) {
-                const initialUrl = await page.url();
-                await btn.click();
-                console.log('Clicked single CTA button');
-                await page.waitForTimeout(2000);
-                const finalUrl = await page.url();
-                if (finalUrl === initialUrl) {
-                  console.log('[INFO] URL did not change after clicking single CTA button. Skipping...');
-                }
-              }
-            } catch (err) {
-              if (err.message.includes('detached')) {
-                console.log('[WARN] Button detached from DOM before click. Skipping...');
-              } else {
-                console.log(`[ERROR] Failed to click single CTA button: ${err}`);
-              }
-            }
-          }
-        },
-        {
-          name: 'option',
-          detect: async () => {
-            return await page.$('[data-locator*=option], [data-locator*=option_square]') !== null;
-          },
-          solve: async () => {
-            const btn = await page.$('[data-locator*=option], [data-locator*=option_square]');
-            if (!btn) {
-              console.log('[ERROR] Option button not found when trying to solve.');
-              return;
-            }
-            // Log button details
-            const locator = await btn.getAttribute('data-locator');
-            const text = await btn.textContent();
-            const visible = await btn.isVisible ? await btn.isVisible() : true;
-            const enabled = await btn.isEnabled ? await btn.isEnabled() : true;
-            console.log(`[DEBUG] About to click option button. data-locator: ${locator}, text: '${text}', visible: ${visible}, enabled: ${enabled}`);
-            if (!visible || !enabled || text.toLowerCase().includes('back')) {
-              console.log(`[ERROR] Option button is not interactable (visible: ${visible}, enabled: ${enabled}) or is a back button`);
-              return;
-            }
-            try {
-              await btn.click({ timeout: 5000 });
-              console.log('[INFO] Clicked option button. Waiting for next step controls or DOM change...');
-            } catch (err) {
-              console.log(`[ERROR] Failed to click option button: ${err}`);
-            }
-            // Wait a couple seconds for DOM to update after click
-            console.log('[INFO] Waiting 2 seconds for DOM to update after click...');
-            await page.waitForTimeout(2000);
-            // Take screenshot after click
-            const afterClickScreenshot = path.resolve(screenshotsDir, `after-click-option-${Date.now()}.png`);
-            await page.screenshot({ path: afterClickScreenshot, fullPage: true });
-            console.log(`[INFO] Screenshot after click: ${afterClickScreenshot}`);
-            // Log all available buttons and inputs after click
-            const btns = await page.$$('button');
-            const inps = await page.$$('input');
-            for (let i = 0; i < btns.length; i++) {
-              const locator = await btns[i].getAttribute('data-locator');
-              const text = await btns[i].textContent();
-              const visible = await btns[i].isVisible ? await btns[i].isVisible() : true;
-              const enabled = await btns[i].isEnabled ? await btns[i].isEnabled() : true;
-              console.log(`[DEBUG] Button after click [${i}]: data-locator: ${locator}, text: '${text}', visible: ${visible}, enabled: ${enabled}`);
-            }
-            for (let i = 0; i < inps.length; i++) {
-              const locator = await inps[i].getAttribute('data-locator');
-              const type = await inps[i].getAttribute('type');
-              let checked;
-              try {
-                checked = await inps[i].isChecked ? await inps[i].isChecked() : undefined;
-              } catch (e) {
-                checked = undefined;
-              }
-              const visible = await inps[i].isVisible ? await inps[i].isVisible() : true;
-              const enabled = await inps[i].isEnabled ? await inps[i].isEnabled() : true;
-              console.log(`[DEBUG] Input after click [${i}]: data-locator: ${locator}, type: ${type}, checked: ${checked}, visible: ${visible}, enabled: ${enabled}`);
-            }
-            // Log all elements with data-locator attribute after click
-            const allDataLocator = await page.$$('[data-locator]');
-            for (let i = 0; i < allDataLocator.length; i++) {
-              const tag = await allDataLocator[i].evaluate(el => el.tagName);
-              const locator = await allDataLocator[i].getAttribute('data-locator');
-              const text = await allDataLocator[i].textContent();
-              const visible = await allDataLocator[i].isVisible ? await allDataLocator[i].isVisible() : true;
-              let enabled = true;
-              try { enabled = await allDataLocator[i].isEnabled ? await allDataLocator[i].isEnabled() : true; } catch { enabled = true; }
-              console.log(`[DEBUG] data-locator element after click [${i}]: <${tag.toLowerCase()}> data-locator: ${locator}, text: '${text}', visible: ${visible}, enabled: ${enabled}`);
-            }
-          }
-        },
-        {
-          name: 'single_option',
-          detect: async () => {
-            // Log all inputs and their data-locator/type/visibility/enabled/checked
-            const allInputs = await page.$$('input');
-            if (!allInputs || allInputs.length === 0) {
-              console.log('[DEBUG] No input elements found on the page.');
-            } else {
-              for (let i = 0; i < allInputs.length; i++) {
-                const locator = await allInputs[i].getAttribute('data-locator');
-                const type = await allInputs[i].getAttribute('type');
-                let checked;
-                try {
-                  checked = await allInputs[i].isChecked ? await allInputs[i].isChecked() : undefined;
-                } catch (e) {
-                  checked = undefined;
-                }
-                const visible = await allInputs[i].isVisible ? await allInputs[i].isVisible() : true;
-                const enabled = await allInputs[i].isEnabled ? await allInputs[i].isEnabled() : true;
-                console.log(`[DEBUG] Input [${i}]: data-locator: ${locator}, type: ${type}, checked: ${checked}, visible: ${visible}, enabled: ${enabled}`);
-              }
-            }
-            const singleSelectInput = await page.$('input[data-locator*=single_select]');
-            if (!singleSelectInput) {
-              console.log('[WARN] No input[data-locator*=single_select] found on the page during single_option detection. See above for all inputs.');
-            }
-            return singleSelectInput !== null;
-          },
-          solve: async () => {
-            const inputs = await page.$$('input[data-locator*=single_select]');
-            if (!inputs || inputs.length === 0) {
-              console.log('[ERROR] No single select inputs found when trying to solve.');
-              return;
-            }
-            // Log all found inputs
-            for (let i = 0; i < inputs.length; i++) {
-              const locator = await inputs[i].getAttribute('data-locator');
-              const type = await inputs[i].getAttribute('type');
-              let checked;
-              try {
-                checked = await inputs[i].isChecked ? await inputs[i].isChecked() : undefined;
-              } catch (e) {
-                checked = undefined;
-              }
-              const visible = await inputs[i].isVisible ? await inputs[i].isVisible() : true;
-              const enabled = await inputs[i].isEnabled ? await inputs[i].isEnabled() : true;
-              console.log(`[DEBUG] Found single_select input [${i}]: data-locator: ${locator}, type: ${type}, checked: ${checked}, visible: ${visible}, enabled: ${enabled}`);
-            }
-            // Click the first interactable input
-            let clicked = false;
-            for (let i = 0; i < inputs.length; i++) {
-              const visible = await inputs[i].isVisible ? await inputs[i].isVisible() : true;
-              const enabled = await inputs[i].isEnabled ? await inputs[i].isEnabled() : true;
-              if (visible && enabled) {
-                try {
-                  await inputs[i].click({ timeout: 5000 });
-                  console.log(`[INFO] Clicked single select input [${i}].`);
-                  clicked = true;
-                  break;
-                } catch (err) {
-                  console.log(`[WARN] Failed to click input [${i}]: ${err}`);
-                }
-              }
-            }
-            if (!clicked) {
-              console.log('[ERROR] No interactable single select input could be clicked.');
-              return;
-            }
-            // Wait a couple seconds for DOM to update after click
-            console.log('[INFO] Waiting 2 seconds for DOM to update after input click...');
-            await page.waitForTimeout(2000);
-            // Wait for checked or next controls
-            try {
-              await Promise.race([
-                Promise.all(inputs.map(input => input.waitForElementState ? input.waitForElementState('checked', { timeout: 10000 }).catch(() => {}) : Promise.resolve())),
-                page.waitForFunction(() => {
-                  return (
-                    document.querySelectorAll('[data-locator*=option], [data-locator*=option_square]').length > 0 ||
-                    document.querySelectorAll('[data-locator*=CTAButton]').length > 0
-                  );
-                }, {}, { timeout: 10000 })
-              ]);
-              const afterClickScreenshot = path.resolve(screenshotsDir, `after-click-single_option-${Date.now()}.png`);
-              await page.screenshot({ path: afterClickScreenshot, fullPage: true });
-              console.log(`[INFO] Screenshot after selecting input: ${afterClickScreenshot}`);
-              // Log all available buttons and inputs after click
-              const btns = await page.$$('button');
-              const inps = await page.$$('input');
-              for (let i = 0; i < btns.length; i++) {
-                const locator = await btns[i].getAttribute('data-locator');
-                const text = await btns[i].textContent();
-                const visible = await btns[i].isVisible ? await btns[i].isVisible() : true;
-                const enabled = await btns[i].isEnabled ? await btns[i].isEnabled() : true;
-                console.log(`[DEBUG] Button after input click [${i}]: data-locator: ${locator}, text: '${text}', visible: ${visible}, enabled: ${enabled}`);
-              }
-              for (let i = 0; i < inps.length; i++) {
-                const locator = await inps[i].getAttribute('data-locator');
-                const type = await inps[i].getAttribute('type');
-                let checked;
-                try {
-                  checked = await inps[i].isChecked ? await inps[i].isChecked() : undefined;
-                } catch (e) {
-                  checked = undefined;
-                }
-                const visible = await inps[i].isVisible ? await inps[i].isVisible() : true;
-                const enabled = await inps[i].isEnabled ? await inps[i].isEnabled() : true;
-                console.log(`[DEBUG] Input after input click [${i}]: data-locator: ${locator}, type: ${type}, checked: ${checked}, visible: ${visible}, enabled: ${enabled}`);
-              }
-              // Log all elements with data-locator attribute after click
-              const allDataLocator = await page.$$('[data-locator]');
-              for (let i = 0; i < allDataLocator.length; i++) {
-                const tag = await allDataLocator[i].evaluate(el => el.tagName);
-                const locator = await allDataLocator[i].getAttribute('data-locator');
-                const text = await allDataLocator[i].textContent();
-                const visible = await allDataLocator[i].isVisible ? await allDataLocator[i].isVisible() : true;
-                let enabled = true;
-                try { enabled = await allDataLocator[i].isEnabled ? await allDataLocator[i].isEnabled() : true; } catch { enabled = true; }
-                console.log(`[DEBUG] data-locator element after input click [${i}]: <${tag.toLowerCase()}> data-locator: ${locator}, text: '${text}', visible: ${visible}, enabled: ${enabled}`);
-              }
-              console.log('[INFO] Input selection resulted in a DOM change or next step controls appeared.');
-            } catch (e) {
-              console.log('[WARN] Input did not become checked or next step controls did not appear after click. There may not have been a visible effect.');
-            }
-          }
-        },
-        {
-          name: 'multi_option',
-          detect: async () => {
-            return await page.$('input[data-locator*=multi_select]') !== null && await page.$('[data-locator*=CTAButton]') !== null;
-          },
-          solve: async () => {
-            const input = await page.$('input[data-locator*=multi_select]');
-            if (input) {
-              await input.click();
-              console.log('Selected multi option input');
-            }
-            const btn = await page.$('[data-locator*=CTAButton]');
-            if (btn) {
-              await btn.click();
-              console.log('Clicked CTAButton after multi option');
-            }
-          }
-        },
-        {
-          name: 'occasion_result_screen',
-          detect: async () => {
-            const url = await page.url();
-            if (!url.includes('result')) {
-              return false;
-            }
-            const inputs = await page.$$('input');
-            for (const input of inputs) {
-              const locator = await input.getAttribute('data-locator');
-              if (locator !== null) {
-                return false;
-              }
-            }
-            return true;
-          },
-          solve: async () => {
-            console.log('Found occasion result screen');
-            // Look for continue buttons or other actionable elements on the result screen
-            const continueButtons = await page.$$('button:visible');
-            if (continueButtons.length > 0) {
-              for (const button of continueButtons) {
-                const locator = await button.getAttribute('data-locator');
-                const text = await button.textContent();
-                const enabled = await button.isEnabled ? await button.isEnabled() : true;
-                if (enabled && !text.toLowerCase().includes('back') && !locator.toLowerCase().includes('back')) {
-                  try {
-                    await button.click({ timeout: 5000 });
-                    console.log(`[INFO] Clicked continue button: ${locator} - ${text}`);
-                    break;
-                  } catch (err) {
-                    console.log(`[WARN] Failed to click continue button: ${err}`);
-                  }
-                }
-              }
-            } else {
-              console.log('[INFO] No continue buttons found on the result screen.');
-            }
-          }
-        },
-      ];
+const HANDLERS = {
+  async crawl(args, options) {
+    const result = await abortable(signal => startCrawl(options, signal));
+    return exitCodeFor(result.runs);
+  },
 
-      // --- Main Loop ---
-      let retryCount = 0;
-      let lastUrl = '';
-      let stuckCount = 0;
-      const MAX_RETRIES = 300; // Allow for many steps but not infinite
-      let screenshotCounter = 0;
-      while (retryCount < MAX_RETRIES) {
-        try {
-          let stepSolved = false;
-          
-          for (const stepType of stepTypes) {
-            if (await stepType.detect()) {
-              console.log(`[INFO] Detected step type: ${stepType.name}. Attempting to solve...`);
-              await stepType.solve();
-              stepSolved = true;
-              break;
-            } else {
-              console.log(`[DEBUG] Checking step type: ${stepType.name}`);
-            }
-          }
+  async watch(args, options) {
+    const scheduler = createScheduler({
+      task: signal => crawlAllProfiles(options, signal),
+      schedule: options.schedule || DEFAULT_SCHEDULE,
+      tz: options.tz,
+      jitterMs: numberOption(options, 'jitter-ms'),
+      runImmediately: true,
+    });
+    // Started before the first crawl, which runs right away and would hold up the health checks
+    const server = options.port === undefined ? null : await startStatusServer({
+      port: numberOption(options, 'port', { integer: true }),
+      scheduler,
+      outputDir: crawlSettings(options).crawlOptions.outputDir || ROOT_DIR,
+      token: process.env.API_TOKEN,
+    });
+    onShutdown(async () => {
+      await scheduler.stop();
+      if (server) {
+        await server.close();
+      }
+    });
+    await scheduler.start();
+    return EXIT_OK;
+  },
 
-          if (stepSolved) {
-            screenshotCounter++;
-            console.log(`[INFO] Screenshot saved: ${screenshotsDir}/screenshot-${screenshotCounter}.png`);
-            await page.screenshot({ path: `${screenshotsDir}/screenshot-${screenshotCounter}.png` });
-            
-            // Reset stuck counter when we make progress
-            stuckCount = 0;
-            retryCount++;
-            continue; // Immediately try to detect the next step
-          }
+  async explore(args, options) {
+    const { funnelFile, headless, crawlOptions: { outputDir, ...crawlOptions } } = crawlSettings(options);
+    await abortable(signal => explore({
+      runCrawl,
+      funnelFile,
+      headless,
+      outputDir,
+      crawlOptions,
+      strategy: options.strategy || 'bfs',
+      maxDepth: numberOption(options, 'max-depth', { integer: true }),
+      maxRuns: numberOption(options, 'max-runs', { min: 1, integer: true }),
+      signal,
+    }));
+    return EXIT_OK;
+  },
 
-          // Fallback: if no step type was detected, wait a bit and try again
-          console.log('[WARN] No step type detected. Waiting before retry...');
-          const buttons = await page.$$('button');
-          for (const button of buttons) {
-            const locator = await button.getAttribute('data-locator');
-            const text = await button.textContent();
-            const visible = await button.isVisible ? await button.isVisible() : true;
-            const enabled = await button.isEnabled ? await button.isEnabled() : true;
-            console.log(`[DEBUG] Button: data-locator: ${locator}, text: '${text}', visible: ${visible}, enabled: ${enabled}`);
-          }
-          const elements = await page.$$('[data-locator]');
-          for (const element of elements) {
-            const locator = await element.getAttribute('data-locator');
-            const text = await element.textContent();
-            const visible = await element.isVisible ? await element.isVisible() : true;
-            let enabled = true;
-            try { enabled = await element.isEnabled ? await element.isEnabled() : true; } catch { enabled = true; }
-            console.log(`[DEBUG] Element: data-locator: ${locator}, text: '${text}', visible: ${visible}, enabled: ${enabled}`);
-          }
-          
-          // Check if we're stuck on the same URL
-          const currentUrl = page.url();
-          if (currentUrl === lastUrl) {
-            stuckCount++;
-            if (stuckCount > 5) {
-              console.log('[INFO] Detected potential completion or infinite loop. Checking for completion indicators...');
-              
-              // Look for completion indicators
-              const completionIndicators = await page.$$eval('*', elements => {
-                return elements.some(el => {
-                  const text = el.textContent?.toLowerCase();
-                  return text?.includes('complete') || text?.includes('finish') || text?.includes('done') || 
-                         text?.includes('success') || text?.includes('congratulations') || text?.includes('welcome');
-                });
-              });
-              
-              if (completionIndicators) {
-                console.log('[SUCCESS] Onboarding appears to be complete!');
-                break;
-              }
-              
-              if (stuckCount > 10) {
-                console.log('[INFO] Maximum stuck attempts reached. Exiting to prevent infinite loop.');
-                break;
-              }
-            }
-          } else {
-            stuckCount = 0; // Reset if URL changed
-          }
-          lastUrl = currentUrl;
-          
-          await page.waitForTimeout(2000);
-          retryCount++;
-          
-        } catch (err) {
-          console.log(`[ERROR] Error in main loop: ${err}`);
-          retryCount++;
-        }
-      }
+  async history(args) {
+    try {
+      runHistoryCommand(args);
+    } catch (err) {
+      throw err instanceof HistoryUsageError ? new UsageError(err.message) : err;
+    }
+    return EXIT_OK;
+  },
 
-      if (retryCount >= MAX_RETRIES) {
-        console.log('[INFO] Maximum retries reached. Onboarding automation complete.');
-      }
-    } finally {
-      await browser.close();
+  async metrics() {
+    process.stdout.write(renderPrometheus(readMetrics()));
+    return EXIT_OK;
+  },
+
+  async baseline([subcommand, runDir, ...keys]) {
+    if (subcommand !== 'accept' || !runDir) {
+      throw new UsageError('Usage: node script.js baseline accept <runDir> [key ...]');
+    }
+    const accepted = acceptBaselines(path.resolve(runDir), { keys: keys.length > 0 ? keys : undefined });
+    log.info(`Accepted ${accepted.length} baseline(s)`);
+    return EXIT_OK;
+  },
+
+  async report([runDir], options) {
+    const dir = runDir ? path.resolve(runDir) : findLatestRun(options.output ? path.resolve(options.output) : ROOT_DIR);
+    if (!dir) {
+      throw new Error('No runs found; pass a run folder');
     }
+    const report = readReport(dir);
+    if (options.json) {
+      console.log(JSON.stringify(report, null, 2));
+    } else {
+      console.log(`${formatSummary(report)}\nReport: ${path.resolve(dir, 'report.html')}`);
+    }
+    return exitCodeFor([report]);
+  },
+};
+
+async function main(argv) {
+  const { positionals, options } = parseArgs(argv);
+  if (options.help) {
+    process.stdout.write(usage());
+    return EXIT_OK;
   }
+  try {
+    configure({
+      level: options['log-level'] && options['log-level'].toLowerCase(),
+      format: options['log-format'] && options['log-format'].toLowerCase(),
+    });
+  } catch (err) {
+    throw new UsageError(err.message);
+  }
+  const [command = 'crawl', ...args] = positionals;
+  const handler = HANDLERS[command];
+  if (!handler) {
+    throw new UsageError(`Unknown command '${command}'`);
+  }
+  return handler(args, options);
+}
 
-  main().catch(err => {
+if (require.main === module) {
+  main(process.argv.slice(2)).then(code => {
+    process.exitCode = code;
+  }).catch(err => {
+    if (err instanceof UsageError) {
+      console.error(`Error: ${err.message}\n\n${usage()}`);
+      process.exit(EXIT_USAGE);
+    }
     console.error('Error:', err);
-    process.exit(1);
+    process.exit(EXIT_ERROR);
   });
+}
+
+module.exports = {
+  EXIT_OK,
+  EXIT_ERROR,
+  EXIT_USAGE,
+  EXIT_STUCK,
+  EXIT_CHANGED,
+  UsageError,
+  usage,
+  parseArgs,
+  numberOption,
+  exitCodeFor,
+  main,
+};
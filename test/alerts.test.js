@@ -0,0 +1,110 @@
+const { execFile } = require('child_process');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+const { EVENT_TYPES, loadAlertConfig, createAlerter } = require('../lib/alerts');
+
+const ALERTS_SCRIPT = path.resolve(__dirname, '..', 'lib', 'alerts.js');
+const event = { type: 'config_changed', title: 'Default config changed', message: '~ pricing.plan: "a" -> "b"', data: { total: 1 } };
+
+// Local webhook receiver; resolves to { url, received, close() }
+async function startReceiver() {
+  const received = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      received.push({ path: req.url, headers: req.headers, body: JSON.parse(body) });
+      res.writeHead(204);
+      res.end();
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return { url: `http://127.0.0.1:${server.address().port}`, received, close: () => new Promise(resolve => server.close(resolve)) };
+}
+
+test('concurrent alerters share their dedupe state', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'alerts-'));
+  const stateFile = path.resolve(dir, 'alert_state.json');
+  const config = { sinks: { log: { type: 'file', path: path.resolve(dir, 'alerts.jsonl') } }, routes: { '*': ['log'] } };
+  const stuck = (dedupeKey) => ({ type: 'crawl_stuck', title: 'Crawl stuck', message: dedupeKey, dedupeKey });
+  // One alerter per profile, both created before either sends
+  const desktop = createAlerter(config, { stateFile });
+  const mobile = createAlerter(config, { stateFile });
+
+  assert.deepEqual((await desktop.send(stuck('desktop'))).sent, ['log']);
+  assert.deepEqual((await mobile.send(stuck('mobile'))).sent, ['log']);
+  assert.deepEqual(Object.keys(JSON.parse(fs.readFileSync(stateFile, 'utf-8'))).sort(), ['crawl_stuck:desktop', 'crawl_stuck:mobile']);
+  // What one alerter sent, the other suppresses
+  assert.equal((await mobile.send(stuck('desktop'))).suppressed, true);
+  assert.equal((await createAlerter(config, { stateFile }).send(stuck('mobile'))).suppressed, true);
+  assert.equal(fs.readFileSync(path.resolve(dir, 'alerts.jsonl'), 'utf-8').trim().split('\n').length, 2);
+});
+
+test('events go to the sinks of their route, else to the \'*\' route', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'alerts-'));
+  const sink = name => ({ type: 'file', path: path.resolve(dir, `${name}.jsonl`) });
+  const lines = name => (fs.existsSync(sink(name).path) ? fs.readFileSync(sink(name).path, 'utf-8').trim().split('\n').map(JSON.parse) : []);
+  const config = { sinks: { ops: sink('ops'), growth: sink('growth') }, routes: { crawl_error: ['ops'], '*': ['growth'] } };
+  const alerter = createAlerter(config, { persistState: false });
+
+  assert.deepEqual((await alerter.send({ ...event, type: 'crawl_error' })).sent, ['ops']);
+  assert.deepEqual((await alerter.send(event)).sent, ['growth']);
+  assert.deepEqual(lines('ops').map(line => line.type), ['crawl_error']);
+  // The file sink writes the whole event, stamped
+  const [written] = lines('growth');
+  assert.equal(written.title, event.title);
+  assert.deepEqual(written.data, event.data);
+  assert.ok(Date.parse(written.timestamp));
+  // Without a '*' route an unrouted type goes nowhere
+  const unrouted = createAlerter({ sinks: config.sinks, routes: { crawl_error: ['ops'] } }, { persistState: false });
+  assert.deepEqual((await unrouted.send(event)).sent, []);
+});
+
+test('webhook sinks post the event and Slack sinks a text message', async () => {
+  const receiver = await startReceiver();
+  try {
+    const config = {
+      sinks: {
+        hook: { type: 'webhook', url: `${receiver.url}/hook`, headers: { authorization: 'Bearer secret' } },
+        slack: { type: 'slack', url: `${receiver.url}/slack` },
+      },
+      routes: { '*': ['hook', 'slack'] },
+    };
+    assert.deepEqual((await createAlerter(config, { persistState: false }).send(event)).sent, ['hook', 'slack']);
+  } finally {
+    await receiver.close();
+  }
+  const [hook, slack] = receiver.received;
+  assert.equal(hook.path, '/hook');
+  assert.equal(hook.headers.authorization, 'Bearer secret');
+  assert.equal(hook.body.type, 'config_changed');
+  assert.equal(hook.body.message, event.message);
+  assert.deepEqual(hook.body.data, event.data);
+  assert.equal(slack.path, '/slack');
+  assert.deepEqual(slack.body, { text: `*${event.title}*\n${event.message}` });
+});
+
+test('the example config routes every event type', () => {
+  const config = loadAlertConfig(path.resolve(__dirname, '..', 'alerts.example.json'));
+  assert.deepEqual(EVENT_TYPES.filter(type => !config.routes[type] && !config.routes['*']), []);
+});
+
+test('--test sends one sample of each event type to stand-ins for the configured sinks', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'alerts-'));
+  const alertsFile = path.resolve(dir, 'alerts.json');
+  fs.writeFileSync(alertsFile, JSON.stringify({
+    sinks: { slack: { type: 'slack', url: 'https://hooks.slack.com/services/never-called' }, mail: { type: 'email', from: 'crawler@example.com', to: 'growth-team@example.com' } },
+    routes: { crawl_error: ['mail'], '*': ['slack'] },
+  }));
+  const output = await new Promise((resolve, reject) => {
+    execFile(process.execPath, [ALERTS_SCRIPT, '--test'], { env: { ...process.env, ALERTS_FILE: alertsFile }, timeout: 30000 }, (err, stdout) => (err ? reject(err) : resolve(stdout)));
+  });
+  for (const type of EVENT_TYPES) {
+    assert.match(output, new RegExp(`Test ${type}: sent to ${type === 'crawl_error' ? 'mail' : 'slack'}`));
+  }
+  assert.equal(output.match(/Stand-in received POST \/slack/g).length, EVENT_TYPES.length - 1);
+});
@@ -0,0 +1,84 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+const { chromium } = require('playwright');
+const { DEFAULT_AUDIT, inspectScreen, compareAudit, formatCopy } = require('../lib/audit');
+const { summarizeDiff } = require('../lib/config-diff');
+const { startFixtureServer } = require('./fixtures/server');
+
+test('inspectScreen finds accessibility problems and reads the copy by category', async () => {
+  const server = await startFixtureServer();
+  let browser;
+  try {
+    browser = await chromium.launch({ headless: true });
+    const page = await browser.newPage();
+    await page.goto(`${server.url}/a11y.html`);
+    const { violations, copy } = await page.evaluate(inspectScreen, { ...DEFAULT_AUDIT, ignore: ['[data-locator*=timer]'] });
+
+    assert.deepEqual(violations.map(v => [v.rule, v.target]), [
+      ['label', 'input[data-locator="single_select_goal"]'],
+      ['button-name', 'button[data-locator="icon_close"]'],
+      ['contrast', 'p "Results may vary."'],
+      ['focus-order', 'button[data-locator="CTAButton"]'],
+      ['focus-order', 'div[data-locator="option_relax"]'],
+    ]);
+    assert.deepEqual(copy, {
+      headlines: ['What is your goal?'],
+      options: ['Get fit', 'Relax'],
+      buttons: ['Continue'],
+      disclaimers: ['By continuing you agree to our Terms.'],
+      text: ['Pick the one that fits best.', 'Results may vary.'],
+    });
+  } finally {
+    await server.close();
+    if (browser) {
+      await browser.close();
+    }
+  }
+});
+
+const screen = (key, copy, violations = []) => ({
+  key,
+  step: 1,
+  url: 'https://example.com/goal',
+  violations,
+  copy: { headlines: [], options: [], buttons: [], disclaimers: [], text: [], ...copy },
+});
+
+test('compareAudit reports copy changes and new violations on the screens both runs reached', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-'));
+  const contrast = { rule: 'contrast', target: 'p "Results may vary."', detail: '1.9:1 (#bbbbbb on #ffffff), needs 4.5:1' };
+  const label = { rule: 'label', target: 'input[data-locator="single_select_goal"]', detail: 'radio input has no label' };
+
+  const first = compareAudit({ key: 'yoga-go', runId: 'run-1', dir, screens: [
+    screen('option:/goal#1', { headlines: ['What is your goal?'], options: ['Get fit', 'Relax'] }, [contrast]),
+    screen('option:/age#1', { headlines: ['How old are you?'] }),
+  ] });
+  assert.equal(first.previousRunId, null);
+  assert.equal(first.total, 0);
+
+  // The second run changed a headline, fixed the contrast, broke a label and never got to /age
+  const second = compareAudit({ key: 'yoga-go', runId: 'run-2', dir, screens: [
+    screen('option:/goal#1', { headlines: ['What is your main goal?'], options: ['Get fit', 'Relax'] }, [label]),
+  ] });
+  assert.equal(second.previousRunId, 'run-1');
+  assert.equal(second.total, 3);
+  assert.deepEqual(second.changes.copy.map(change => [change.type, change.path]), [
+    ['removed', 'option:/goal#1.headlines.What is your goal?'],
+    ['added', 'option:/goal#1.headlines.What is your main goal?'],
+  ]);
+  assert.deepEqual(second.changes.accessibility.map(change => change.path), ['option:/goal#1.label input[data-locator="single_select_goal"]']);
+  assert.match(summarizeDiff(second), /What is your main goal/);
+
+  // Screens a run didn't reach keep their baseline
+  const third = compareAudit({ key: 'yoga-go', runId: 'run-3', dir, screens: [screen('option:/age#1', { headlines: ['How old are you?'] })] });
+  assert.equal(third.total, 0);
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('formatCopy writes a section per category that has copy', () => {
+  assert.equal(formatCopy(screen('option:/goal#1', { headlines: ['What is your goal?'], options: ['Get fit', 'Relax'] })),
+    '# option:/goal#1\nhttps://example.com/goal\n\n## headlines\nWhat is your goal?\n\n## options\nGet fit\nRelax\n');
+});
@@ -0,0 +1,47 @@
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+const { DEFAULT_CAPTURE, isCaptured, createRedactor, capBody } = require('../lib/capture');
+
+test('include and exclude rules match on host and path', () => {
+  const config = {
+    include: [{ host: 'asqq\\.io$' }, { path: '^/api/' }],
+    exclude: [{ host: 'asqq\\.io$', path: '/health' }],
+  };
+  assert.ok(isCaptured(config, 'https://wellfunnel-web-api.asqq.io/get-default-config/'));
+  assert.ok(isCaptured(config, 'https://plan.yoga-go.io/api/products?x=1'));
+  assert.ok(!isCaptured(config, 'https://wellfunnel-web-api.asqq.io/health'));
+  assert.ok(!isCaptured(config, 'https://www.google-analytics.com/g/collect'));
+  assert.ok(isCaptured({ include: [], exclude: [] }, 'https://www.google-analytics.com/g/collect'));
+});
+
+test('the default redaction masks credentials, emails and sensitive fields', () => {
+  const redact = createRedactor(DEFAULT_CAPTURE.redact);
+  assert.deepEqual(redact.headers({ Authorization: 'Bearer abc', Cookie: 'sid=1', 'content-type': 'application/json' }), {
+    Authorization: '[REDACTED]',
+    Cookie: '[REDACTED]',
+    'content-type': 'application/json',
+  });
+  assert.deepEqual(redact.value({ email: 'qa+yoga@example.com', accessToken: 'abc', user: { password: 'x', age: 30 }, tags: ['a', 'mail me at b@c.io'] }), {
+    email: '[EMAIL]',
+    accessToken: '[REDACTED]',
+    user: { password: '[REDACTED]', age: 30 },
+    tags: ['a', 'mail me at [EMAIL]'],
+  });
+  assert.equal(redact.url('https://api.example.com/u?session_id=42&email=a%40b.co&step=3'),
+    'https://api.example.com/u?session_id=%5BREDACTED%5D&email=%5BEMAIL%5D&step=3');
+});
+
+test('extra patterns are redacted and email redaction can be turned off', () => {
+  const redact = createRedactor({ ...DEFAULT_CAPTURE.redact, emails: false, patterns: ['\\b\\d{16}\\b'] });
+  assert.equal(redact.value('card 4242424242424242 for a@b.co'), 'card [REDACTED] for a@b.co');
+});
+
+test('bodies over maxBodyBytes are cut, JSON ones once serialized', () => {
+  assert.deepEqual(capBody({ plan: 'a' }, 100), { plan: 'a' });
+  assert.equal(capBody('short', 100), 'short');
+  assert.equal(capBody(null, 100), null);
+  assert.equal(capBody('x'.repeat(30), 10), `${'x'.repeat(10)}... [20 more bytes]`);
+  const products = { products: Array.from({ length: 50 }, (_, i) => ({ id: i, price: 9.99 })) };
+  const json = JSON.stringify(products);
+  assert.equal(capBody(products, 64), `${json.slice(0, 64)}... [${json.length - 64} more bytes]`);
+});
@@ -0,0 +1,51 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const assert = require('node:assert/strict');
+const { test, beforeEach, afterEach } = require('node:test');
+const { CHECKPOINT_FILE, writeCheckpoint, loadCheckpoint, finishCheckpoint, fixedIdentity } = require('../lib/checkpoint');
+
+let dir;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'checkpoint-test-'));
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('loadCheckpoint finds a run by folder or by id under the output folder', () => {
+  const runDir = path.join(dir, 'screenshots-run-1');
+  fs.mkdirSync(runDir);
+  writeCheckpoint(runDir, { runId: 'run-1', url: 'https://example.com/q/3', state: { retryCount: 3 } });
+
+  assert.equal(loadCheckpoint(runDir).state.retryCount, 3);
+  const byId = loadCheckpoint('run-1', dir);
+  assert.equal(byId.dir, runDir);
+  assert.equal(byId.url, 'https://example.com/q/3');
+  assert.ok(byId.savedAt);
+  assert.ok(!fs.existsSync(path.join(runDir, `${CHECKPOINT_FILE}.tmp`)));
+});
+
+test('loadCheckpoint refuses runs without a checkpoint and completed runs', () => {
+  const runDir = path.join(dir, 'screenshots-run-2');
+  fs.mkdirSync(runDir);
+  assert.throws(() => loadCheckpoint('run-2', dir), /No checkpoint/);
+
+  writeCheckpoint(runDir, { runId: 'run-2', state: {} });
+  finishCheckpoint(runDir, 'stuck');
+  assert.equal(loadCheckpoint(runDir).status, 'stuck');
+  finishCheckpoint(runDir, 'completed');
+  assert.throws(() => loadCheckpoint(runDir), /already completed/);
+});
+
+test('fixedIdentity generates an identity once per key', () => {
+  const file = path.join(dir, 'identities.json');
+  let generated = 0;
+  const generate = () => ({ email: `test${++generated}@example.com` });
+
+  assert.deepEqual(fixedIdentity('yoga-go', generate, file), { email: 'test1@example.com' });
+  assert.deepEqual(fixedIdentity('yoga-go', generate, file), { email: 'test1@example.com' });
+  assert.deepEqual(fixedIdentity('yoga-go@mobile', generate, file), { email: 'test2@example.com' });
+});
@@ -0,0 +1,68 @@
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+const { EXIT_OK, EXIT_ERROR, EXIT_STUCK, EXIT_CHANGED, UsageError, parseArgs, numberOption, exitCodeFor, main } = require('../script');
+
+test('parseArgs splits commands, switches and options with values', () => {
+  const { positionals, options } = parseArgs(['explore', '--headed', '--max-runs', '5', '--strategy=dfs', '--url=https://example.com/?a=b']);
+  assert.deepEqual(positionals, ['explore']);
+  assert.equal(options.headed, true);
+  assert.equal(options['max-runs'], '5');
+  assert.equal(options.strategy, 'dfs');
+  assert.equal(options.url, 'https://example.com/?a=b');
+  // Everything after history is its own
+  assert.deepEqual(parseArgs(['history', 'query', '--field', 'some_field']).positionals, ['history', 'query', '--field', 'some_field']);
+});
+
+test('parseArgs fills unset options from the environment, flags first', () => {
+  process.env.EXPLORE_STRATEGY = 'dfs';
+  process.env.RECORD_HAR = '1';
+  try {
+    assert.equal(parseArgs([]).options.strategy, 'dfs');
+    assert.equal(parseArgs(['--strategy', 'bfs']).options.strategy, 'bfs');
+    assert.equal(parseArgs([]).options['record-har'], true);
+  } finally {
+    delete process.env.EXPLORE_STRATEGY;
+    delete process.env.RECORD_HAR;
+  }
+});
+
+test('bad usage is a UsageError', async () => {
+  assert.throws(() => parseArgs(['--nope']), UsageError);
+  assert.throws(() => parseArgs(['--funnel']), UsageError);
+  await assert.rejects(main(['nope']), UsageError);
+  await assert.rejects(main(['history', 'nope']), UsageError);
+  await assert.rejects(main(['history', 'export', '--format', 'xml']), UsageError);
+  await assert.rejects(main(['baseline', 'reject']), UsageError);
+  await assert.rejects(main(['--log-level', 'verbose', 'metrics']), UsageError);
+  await assert.rejects(main(['--replay', 'no-such-run']), UsageError);
+});
+
+test('numberOption checks the range and integer options', () => {
+  assert.equal(numberOption({}, 'max-steps', { min: 1, integer: true }), undefined);
+  assert.equal(numberOption({ 'max-steps': '25' }, 'max-steps', { min: 1, integer: true }), 25);
+  assert.equal(numberOption({ 'jitter-ms': '1.5' }, 'jitter-ms'), 1.5);
+  for (const value of ['0', '2.5', '-1', 'ten']) {
+    assert.throws(() => numberOption({ 'max-steps': value }, 'max-steps', { min: 1, integer: true }), UsageError, value);
+  }
+  assert.throws(() => numberOption({ 'jitter-ms': '-5' }, 'jitter-ms'), UsageError);
+});
+
+test('exitCodeFor reports the worst outcome across runs', () => {
+  const completed = { status: 'completed', newValues: [], configDiff: { total: 0 }, visualChanges: [] };
+  assert.equal(exitCodeFor([completed]), EXIT_OK);
+  assert.equal(exitCodeFor([]), EXIT_ERROR);
+  assert.equal(exitCodeFor([completed, { status: 'error' }, { status: 'stuck' }]), EXIT_ERROR);
+  assert.equal(exitCodeFor([completed, { status: 'max-retries' }]), EXIT_STUCK);
+  for (const change of [
+    { newValues: [{ field: 'some_field' }] },
+    { configDiff: { total: 1 } },
+    { pricingDiff: { total: 2 } },
+    { auditDiff: { total: 1 } },
+    { experiment: { newVariant: true } },
+    { experiment: { newVariant: false, disappeared: ['9b1c7e4a20'] } },
+    { visualChanges: [{ key: 'option:/onboarding/goal#1' }] },
+  ]) {
+    assert.equal(exitCodeFor([completed, { ...completed, ...change }]), EXIT_CHANGED, JSON.stringify(change));
+  }
+  assert.equal(exitCodeFor([{ ...completed, newValues: [{}] }, { status: 'stuck' }]), EXIT_STUCK);
+});
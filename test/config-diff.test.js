@@ -0,0 +1,24 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+const { diffAgainstPrevious } = require('../lib/config-diff');
+
+const ENDPOINT = 'https://wellfunnel-web-api.asqq.io/get-default-config/';
+const exchange = (query, body) => ({ method: 'GET', url: `${ENDPOINT}${query}`, responseBody: body });
+
+test('diffAgainstPrevious ignores query params that change every run', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'config-diff-'));
+  const diff = (runId, exchanges, keyParams) => diffAgainstPrevious({ funnel: 'yoga-go', runId, exchanges, keyParams, runDir: dir, dir });
+
+  assert.equal(diff('run-1', [exchange('?_=1714557600', { plan: 'a' })]).previousRunId, null);
+  const second = diff('run-2', [exchange('?_=1714561200', { plan: 'a' })]);
+  assert.equal(second.previousRunId, 'run-1');
+  assert.equal(second.total, 0);
+  const third = diff('run-3', [exchange('?_=1714564800', { plan: 'b' })]);
+  assert.deepEqual(Object.keys(third.changes), [`GET ${ENDPOINT}`]);
+  // Params named in keyParams tell responses apart
+  const fourth = diff('run-4', [exchange('?locale=en&_=1', { plan: 'b' }), exchange('?locale=de&_=2', { plan: 'c' })], ['locale']);
+  assert.deepEqual(Object.keys(fourth.changes).sort(), [`GET ${ENDPOINT}`, `GET ${ENDPOINT}?locale=de`, `GET ${ENDPOINT}?locale=en`]);
+});
@@ -0,0 +1,54 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+const { fingerprintSession, variantIdOf, trackVariant } = require('../lib/experiments');
+
+const session = (arm, sessionId) => ({
+  exchanges: [{
+    responseBody: { session_id: sessionId, experiments: { paywall: arm, onboarding: 'control' }, features: [{ name: 'quiz', enabled: true }] },
+  }],
+  storageState: {
+    cookies: [{ name: 'ab_bucket', value: arm }, { name: 'sid', value: sessionId }],
+    origins: [{ origin: 'https://example.com', localStorage: [{ name: 'feature_flags_user', value: `${sessionId}abcdef` }] }],
+  },
+  trail: [{ stepType: 'skip_button' }, { stepType: 'option' }],
+});
+
+test('fingerprintSession keeps experiment assignments and drops per-session ids', () => {
+  const fingerprint = fingerprintSession(session('B', '5f0c2a9e8d7b6a5f4e3d'));
+  assert.deepEqual(fingerprint, {
+    config: { 'experiments.onboarding': 'control', 'experiments.paywall': 'B', 'features[0].enabled': true, 'features[0].name': 'quiz' },
+    cookies: { ab_bucket: 'B' },
+    localStorage: { feature_flags_user: '<id>' },
+    screens: ['skip_button', 'option'],
+  });
+  // Another session in the same arm is the same variant
+  assert.equal(variantIdOf(fingerprintSession(session('B', '0a1b2c3d4e5f60718293'))), variantIdOf(fingerprint));
+  assert.notEqual(variantIdOf(fingerprintSession(session('A', '0a1b2c3d4e5f60718293'))), variantIdOf(fingerprint));
+});
+
+test('trackVariant flags new variants, vanished variants and the distribution', async () => {
+  const file = path.resolve(fs.mkdtempSync(path.join(os.tmpdir(), 'experiments-')), 'experiments.jsonl');
+  const track = (arm, runId) => trackVariant({ key: 'yoga-go', runId, fingerprint: fingerprintSession(session(arm, 'ffffffffffffffff')), missingAfter: 2, file });
+
+  const first = await track('A', 'run-1');
+  assert.equal(first.newVariant, false);
+  assert.equal((await track('A', 'run-2')).newVariant, false);
+  const second = await track('B', 'run-3');
+  assert.equal(second.newVariant, true);
+  assert.deepEqual(second.disappeared, []);
+  // Gone once it has been missing for missingAfter runs, and reported only then
+  assert.deepEqual((await track('B', 'run-4')).disappeared, [first.variantId]);
+  const last = await track('B', 'run-5');
+  assert.deepEqual(last.disappeared, []);
+  assert.deepEqual(last.distribution.map(row => [row.variantId, row.runs, row.share, row.firstSeen, row.lastSeen]), [
+    [second.variantId, 3, 0.6, 'run-3', 'run-5'],
+    [first.variantId, 2, 0.4, 'run-1', 'run-2'],
+  ]);
+  // Other funnels and profiles have their own history
+  const other = await trackVariant({ key: 'yoga-go@mobile', runId: 'run-6', fingerprint: last.fingerprint, file });
+  assert.equal(other.runs, 1);
+  assert.equal(other.newVariant, false);
+});
@@ -0,0 +1,38 @@
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const PAGES_DIR = path.resolve(__dirname, 'pages');
+
+// Serves the synthetic onboarding pages in `dir` on a local port. Query strings are ignored,
+// so form submissions land on plain pages whose URL still carries what was submitted.
+async function startFixtureServer({ dir = PAGES_DIR, port = 0 } = {}) {
+  const server = http.createServer((req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    const file = path.resolve(dir, `.${pathname === '/' ? '/index.html' : pathname}`);
+    if (!file.startsWith(dir + path.sep) || !fs.existsSync(file)) {
+      res.writeHead(404, { 'content-type': 'text/plain' });
+      res.end('Not found');
+      return;
+    }
+    res.writeHead(200, { 'content-type': 'text/html; charset=utf-8' });
+    res.end(fs.readFileSync(file));
+  });
+  await new Promise(resolve => server.listen(port, '127.0.0.1', resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    close: () => new Promise(resolve => server.close(resolve)),
+  };
+}
+
+// node test/fixtures/server.js [port], to look at the fixtures in a browser
+if (require.main === module) {
+  startFixtureServer({ port: Number(process.argv[2]) || 8080 }).then(({ url }) => {
+    console.log(`[INFO] Serving fixture pages from ${PAGES_DIR} at ${url}`);
+  });
+}
+
+module.exports = {
+  PAGES_DIR,
+  startFixtureServer,
+};
@@ -0,0 +1,42 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const assert = require('node:assert/strict');
+const { test, before, after } = require('node:test');
+const { resolveHar } = require('../lib/har');
+const { runCrawl } = require('../lib/crawler');
+
+// A recorded session of a short yoga-go funnel: a skip screen that loads the default config, one
+// option screen and the paywall. Replays serve it with every other request aborted.
+const RECORDING_DIR = path.resolve(__dirname, 'fixtures', 'har');
+const REPLAY_TIMEOUT_MS = 60000;
+
+let outputDir;
+
+before(() => {
+  outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'replay-test-'));
+});
+
+after(() => {
+  fs.rmSync(outputDir, { recursive: true, force: true });
+});
+
+test('resolveHar accepts a run folder or the .har file', () => {
+  const harFile = path.resolve(RECORDING_DIR, 'session.har');
+  assert.deepEqual(resolveHar(RECORDING_DIR), { harFile, meta: {} });
+  assert.deepEqual(resolveHar(harFile), { harFile, meta: {} });
+  assert.throws(() => resolveHar(outputDir), /No HAR recording at/);
+  assert.throws(() => resolveHar(path.join(outputDir, 'missing.har')), /No HAR recording or run folder at/);
+});
+
+test('the funnel runs offline against a recorded session', { timeout: REPLAY_TIMEOUT_MS }, async () => {
+  const run = await runCrawl({ replay: RECORDING_DIR, outputDir, maxSteps: 20 });
+  assert.equal(run.status, 'completed');
+  assert.deepEqual(run.trail.map(step => step.stepType), ['skip_button', 'option']);
+  assert.equal(run.terminal.name, 'paywall');
+  assert.deepEqual(run.exchanges.map(exchange => exchange.responseBody.some_field), ['variant-a']);
+  // Replays are read-only: nothing counts as new and nothing is compared
+  assert.deepEqual(run.newValues, []);
+  assert.equal(run.configDiff, null);
+  assert.ok(fs.existsSync(path.resolve(run.dir, 'report.json')));
+});
@@ -0,0 +1,47 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+const { withLock, readRecords, recordObservations, migrateSeenValues } = require('../lib/history');
+
+const observation = value => ({ field: 'some_field', path: 'some_field', value, source: 'response', timestamp: new Date().toISOString() });
+const tempFile = name => path.resolve(fs.mkdtempSync(path.join(os.tmpdir(), 'history-')), name);
+
+test('recordObservations reports values new to the funnel', async () => {
+  const file = tempFile('history.jsonl');
+  const record = (funnel, value) => recordObservations([observation(value)], { funnel, runId: 'run-1' }, file);
+
+  assert.equal((await record('yoga-go', 'variant-a')).length, 1);
+  assert.equal((await record('yoga-go', 'variant-a')).length, 0);
+  // Seen in another funnel only: still new here
+  assert.equal((await record('pilates', 'variant-a')).length, 1);
+  assert.equal((await record('pilates', 'variant-a')).length, 0);
+});
+
+test('values migrated from seen_values.json count for every funnel', async () => {
+  const file = tempFile('history.jsonl');
+  const legacyFile = path.resolve(path.dirname(file), 'seen_values.json');
+  fs.writeFileSync(legacyFile, JSON.stringify(['variant-a', 'variant-c']));
+  assert.equal(await migrateSeenValues(file, legacyFile), 2);
+  assert.deepEqual(readRecords(file).map(record => [record.field, record.value]), [['some_field', 'variant-a'], ['some_field', 'variant-c']]);
+
+  assert.equal((await recordObservations([observation('variant-a')], { funnel: 'yoga-go', runId: 'run-1' }, file)).length, 0);
+  assert.equal((await recordObservations([observation('variant-b')], { funnel: 'yoga-go', runId: 'run-1' }, file)).length, 1);
+});
+
+test('withLock takes over a stale lock once and cleans up after itself', async () => {
+  const file = tempFile('alert_state.json');
+  fs.writeFileSync(`${file}.lock`, '99999');
+  const longAgo = new Date(Date.now() - 10 * 60 * 1000);
+  fs.utimesSync(`${file}.lock`, longAgo, longAgo);
+
+  const holders = [];
+  await Promise.all(['a', 'b'].map(name => withLock(file, async () => {
+    holders.push(name);
+    assert.equal(holders.length, 1);
+    await new Promise(resolve => setTimeout(resolve, 20));
+    holders.pop();
+  })));
+  assert.deepEqual(fs.readdirSync(path.dirname(file)), []);
+});
@@ -0,0 +1,56 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const assert = require('node:assert/strict');
+const { test, afterEach } = require('node:test');
+const { configure, createLogger } = require('../lib/logger');
+
+// Runs fn with stdout captured; returns the lines written
+function captureStdout(fn) {
+  const lines = [];
+  const write = process.stdout.write;
+  process.stdout.write = chunk => lines.push(String(chunk).replace(/\n$/, '')) > 0;
+  try {
+    fn();
+  } finally {
+    process.stdout.write = write;
+  }
+  return lines;
+}
+
+afterEach(() => configure({ level: 'info', format: 'text' }));
+
+test('entries below the configured level are dropped', () => {
+  const logger = createLogger();
+  assert.equal(logger.isEnabled('debug'), false);
+  assert.deepEqual(captureStdout(() => {
+    logger.debug('dom snapshot');
+    logger.info('started');
+  }), ['[INFO] started']);
+
+  configure({ level: 'warn' });
+  assert.deepEqual(captureStdout(() => {
+    logger.info('started');
+    logger.warn('slow');
+    logger.error('failed');
+  }), ['[WARN] slow', '[ERROR] failed']);
+  assert.throws(() => configure({ level: 'verbose' }), /Unknown log level 'verbose'/);
+});
+
+test('json format writes one object per entry with context and fields', () => {
+  configure({ format: 'json' });
+  const [line] = captureStdout(() => createLogger({ runId: 'run-1' }).warn('timed out', { url: 'https://example.com', err: new Error('boom') }));
+  const entry = JSON.parse(line);
+  assert.ok(!Number.isNaN(Date.parse(entry.time)));
+  assert.deepEqual({ ...entry, time: null }, { time: null, level: 'warn', message: 'timed out', runId: 'run-1', url: 'https://example.com', err: 'Error: boom' });
+});
+
+test('child loggers add their context and share the parent files', () => {
+  const file = path.resolve(fs.mkdtempSync(path.join(os.tmpdir(), 'logger-')), 'run.log.jsonl');
+  const runLog = createLogger({ runId: 'run-1', funnel: 'yoga-go', profile: 'mobile' }).withFile(file);
+  const lines = captureStdout(() => runLog.child({ step: 3, stepType: 'option' }).info('solved'));
+  // Run-wide context stays out of text lines
+  assert.deepEqual(lines, ['[INFO] [profile=mobile step=3 stepType=option] solved']);
+  const [entry] = fs.readFileSync(file, 'utf-8').trim().split('\n').map(line => JSON.parse(line));
+  assert.deepEqual({ ...entry, time: null }, { time: null, level: 'info', message: 'solved', runId: 'run-1', funnel: 'yoga-go', profile: 'mobile', step: 3, stepType: 'option' });
+});
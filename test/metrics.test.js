@@ -0,0 +1,87 @@
+const { EventEmitter } = require('events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+const { attachStepMetrics, summarizeMetrics, appendMetrics, readMetrics, renderPrometheus } = require('../lib/metrics');
+
+const step = (number, stepType, fields) => ({
+  step: number, stepType, timeToInteractiveMs: null, navigationMs: null, retries: 0, requests: 0, failedRequests: 0, bytes: 0, consoleErrors: 0, ...fields,
+});
+
+const steps = [
+  step(0, 'start', { requests: 20, bytes: 300000, consoleErrors: 1 }),
+  step(1, 'skip_button', { timeToInteractiveMs: 1200, navigationMs: 300, requests: 4, bytes: 1000 }),
+  step(2, 'option', { timeToInteractiveMs: 2800, requests: 2, failedRequests: 1, bytes: 500, retries: 3 }),
+];
+
+test('summarizeMetrics totals the steps of a run', () => {
+  assert.deepEqual(summarizeMetrics(steps, { status: 'stuck', durationMs: 42000 }), {
+    status: 'stuck',
+    durationMs: 42000,
+    steps: 2,
+    requests: 26,
+    failedRequests: 1,
+    bytes: 301500,
+    consoleErrors: 1,
+    retries: 3,
+    stuck: true,
+    timeToInteractiveMs: { avg: 2000, max: 2800 },
+    navigationMs: { avg: 300, max: 300 },
+  });
+});
+
+test('renderPrometheus counts every run and exposes the latest one per funnel and profile', () => {
+  const record = (runId, status, profile = 'default') => ({
+    funnel: 'yoga-go', profile, runId, recordedAt: '2024-05-01T10:00:00.000Z', totals: summarizeMetrics(steps, { status, durationMs: 42000 }), steps,
+  });
+  const text = renderPrometheus([record('r1', 'completed'), record('r2', 'stuck'), record('r3', 'stuck'), record('r4', 'completed', 'mobile "eu"')]);
+  const lines = text.split('\n');
+
+  assert.ok(lines.includes('# TYPE funnel_monitor_runs_total counter'));
+  assert.ok(lines.includes('funnel_monitor_runs_total{funnel="yoga-go",profile="default",status="completed"} 1'));
+  assert.ok(lines.includes('funnel_monitor_runs_total{funnel="yoga-go",profile="default",status="stuck"} 2'));
+  assert.ok(lines.includes('funnel_monitor_stuck_runs_total{funnel="yoga-go",profile="default"} 2'));
+  assert.ok(lines.includes('funnel_monitor_last_run_stuck{funnel="yoga-go",profile="default"} 1'));
+  assert.ok(lines.includes('funnel_monitor_last_run_success{funnel="yoga-go",profile="mobile \\"eu\\""} 1'));
+  assert.ok(lines.includes('funnel_monitor_step_retries{funnel="yoga-go",profile="default",step="2",step_type="option"} 3'));
+  // Steps without a navigation have no sample rather than a zero
+  assert.equal(lines.filter(line => line.startsWith('funnel_monitor_step_navigation_seconds{')).length, 2);
+  // Each family is declared once, before its samples
+  assert.equal(lines.filter(line => line === '# TYPE funnel_monitor_last_run_bytes gauge').length, 1);
+});
+
+test('appendMetrics adds one record per run to the metrics history', async () => {
+  const file = path.resolve(fs.mkdtempSync(path.join(os.tmpdir(), 'metrics-')), 'metrics.jsonl');
+  const totals = summarizeMetrics(steps, { status: 'completed', durationMs: 42000 });
+  await appendMetrics({ funnel: 'yoga-go', profile: 'default', runId: 'run-1' }, { totals, steps }, file);
+  await appendMetrics({ funnel: 'yoga-go', profile: 'mobile', runId: 'run-2' }, { totals, steps }, file);
+  const records = readMetrics(file);
+  assert.deepEqual(records.map(record => [record.runId, record.profile, record.totals.requests, record.steps.length]), [
+    ['run-1', 'default', 26, 3],
+    ['run-2', 'mobile', 26, 3],
+  ]);
+  assert.ok(records.every(record => !Number.isNaN(Date.parse(record.recordedAt))));
+  assert.equal(fs.existsSync(`${file}.lock`), false);
+});
+
+test('attachStepMetrics keeps another attempt at a failed step in its bucket', () => {
+  const page = Object.assign(new EventEmitter(), { mainFrame: () => null });
+  const metrics = attachStepMetrics(page);
+  metrics.stepStarted({ number: 1, type: 'option' });
+  page.emit('request');
+  // The step failed and is retried
+  metrics.retried();
+  metrics.stepStarted({ number: 1, type: 'option' });
+  page.emit('request');
+  metrics.stepSolved();
+  metrics.stepStarted({ number: 2, type: 'email_input' });
+  metrics.detach();
+  page.emit('request');
+  assert.deepEqual(metrics.steps.map(bucket => [bucket.step, bucket.stepType, bucket.requests, bucket.retries]), [
+    [0, 'start', 0, 0],
+    [1, 'option', 2, 1],
+    [2, 'email_input', 0, 0],
+  ]);
+});
@@ -0,0 +1,53 @@
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+const { DEFAULT_PERSONA, resolvePersona, personaVars, preferredAnswer } = require('../lib/personas');
+const { plausibleValue } = require('../lib/heuristic');
+
+// Cycles through fixed fractions, so random personas come out the same every time
+function sequence(...values) {
+  let i = 0;
+  return () => values[i++ % values.length];
+}
+
+test('the default persona enters what the crawler always entered', () => {
+  const vars = personaVars(resolvePersona(DEFAULT_PERSONA, {}, sequence(0.5)));
+  assert.equal(vars.email, 'test500000@example.com');
+  assert.deepEqual([vars.height, vars.weight, vars.age, vars.units], ['175', '70', '30', 'metric']);
+  assert.equal(vars.gender, undefined);
+});
+
+test('imperial personas enter feet and pounds and keep the metric values alongside', () => {
+  const persona = { name: 'us', units: 'imperial', gender: 'female', heightCm: 165, weightKg: 82, goalWeightKg: 70, email: 'qa+{funnel}-{persona}@example.com' };
+  const resolved = resolvePersona(persona, { funnel: 'Yoga Go' });
+  const vars = personaVars(resolved);
+  assert.equal(vars.email, 'qa+yoga-go-us@example.com');
+  assert.deepEqual([vars.height, vars.heightFt, vars.heightIn, vars.heightCm], ['5', '5', '5', '165']);
+  assert.deepEqual([vars.weight, vars.weightKg, vars.goalWeight], ['181', '82', '154']);
+
+  const value = (name, label = '') => plausibleValue({ type: 'number', name, locator: '', label }, vars);
+  assert.equal(value('height_ft'), '5');
+  assert.equal(value('', 'Height (inches)'), '5');
+  assert.equal(value('height_metric_input'), '165');
+  assert.equal(value('weight_kg'), '82');
+  assert.equal(value('target_weight'), '154');
+});
+
+test('random personas stay within realistic bounds', () => {
+  for (const fraction of [0, 0.25, 0.5, 0.75, 0.999]) {
+    const resolved = resolvePersona({ name: 'random', random: true }, {}, sequence(fraction));
+    const bmi = resolved.weightKg / (resolved.heightCm / 100) ** 2;
+    assert.ok(resolved.age >= 18 && resolved.age <= 65, `age ${resolved.age}`);
+    assert.ok(resolved.heightCm >= 152 && resolved.heightCm <= 193, `height ${resolved.heightCm}`);
+    assert.ok(bmi >= 18.5 && bmi <= 32.5, `bmi ${bmi}`);
+    assert.ok(resolved.goalWeightKg < resolved.weightKg, `goal ${resolved.goalWeightKg}`);
+  }
+  assert.equal(resolvePersona({ name: 'random', random: true, age: 70 }, {}, sequence(0.5)).age, 70);
+});
+
+test('answer preferences pick by step, then any step, then gender', () => {
+  const resolved = resolvePersona({ name: 'p', gender: 'male', answers: { single_option: ['^no'], '*': ['beginner'] } });
+  assert.equal(preferredAnswer(resolved, { step: 'single_option', labels: ['Yes', 'No'] }), 1);
+  assert.equal(preferredAnswer(resolved, { step: 'option', labels: ['Advanced', 'Beginner'] }), 1);
+  assert.equal(preferredAnswer(resolved, { step: 'option', labels: ['Female', 'Male'] }), 1);
+  assert.equal(preferredAnswer(resolved, { step: 'option', labels: ['Yes', 'No'] }), undefined);
+});
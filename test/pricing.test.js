@@ -0,0 +1,108 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+const { chromium } = require('playwright');
+const { summarizeDiff } = require('../lib/config-diff');
+const { DEFAULT_PRICING, scanPaywall, extractApiPlans, comparePricing } = require('../lib/pricing');
+const { startFixtureServer } = require('./fixtures/server');
+
+test('scanPaywall reads plans, struck-through prices, timers and payment methods', async () => {
+  const server = await startFixtureServer();
+  let browser;
+  try {
+    browser = await chromium.launch({ headless: true });
+    const page = await browser.newPage();
+    await page.goto(`${server.url}/pricing.html`);
+    const { plans, timers, paymentMethods } = await page.evaluate(scanPaywall, { plan: DEFAULT_PRICING.plan, timer: DEFAULT_PRICING.timer });
+
+    assert.deepEqual(plans.map(plan => [plan.name, plan.price, plan.currency, plan.originalPrice]), [
+      ['1-Week Plan', 6.93, '$', 17.77],
+      ['4-Week Plan', 19.99, '$', 38.95],
+      ['12-Week Plan', 34.99, '€', 94.85],
+    ]);
+    assert.equal(plans[0].period, 'week');
+    assert.equal(plans[1].discount, 50);
+    assert.equal(plans[1].trial, '7-day free trial');
+    assert.deepEqual(plans.map(plan => plan.selected), [false, true, false]);
+    assert.deepEqual(timers.map(timer => timer.text), ['09:59']);
+    assert.deepEqual(paymentMethods, ['PayPal', 'Visa', 'Mastercard']);
+  } finally {
+    await server.close();
+    if (browser) {
+      await browser.close();
+    }
+  }
+});
+
+test('scanPaywall reads prices with thousands separators', async () => {
+  const server = await startFixtureServer();
+  let browser;
+  try {
+    browser = await chromium.launch({ headless: true });
+    const page = await browser.newPage();
+    await page.goto(`${server.url}/pricing-grouped.html`);
+    const { plans } = await page.evaluate(scanPaywall, { plan: DEFAULT_PRICING.plan, timer: DEFAULT_PRICING.timer });
+
+    assert.deepEqual(plans.map(plan => [plan.name, plan.price, plan.currency, plan.originalPrice]), [
+      ['Lifetime Plan', 1299.99, '$', 2499.99],
+      ['Yearly Plan', 1200, '¥', null],
+      ['Jahresplan', 1299.99, '€', null],
+      ['Wochenplan', 9.99, '€', null],
+    ]);
+  } finally {
+    await server.close();
+    if (browser) {
+      await browser.close();
+    }
+  }
+});
+
+test('extractApiPlans finds priced items anywhere in a response', () => {
+  const plans = extractApiPlans([{
+    url: 'https://api.example.com/products',
+    body: { data: { products: [{ name: '1 week', price: 6.93, currency: 'USD', trial_days: 7 }, { id: 'w4', unit_amount: 1999 }] } },
+  }]);
+  assert.deepEqual(plans.map(plan => [plan.name, plan.price, plan.priceField, plan.trial]), [
+    ['1 week', 6.93, 'price', 7],
+    ['w4', 1999, 'unit_amount', null],
+  ]);
+  assert.equal(plans[1].path, 'data.products[1]');
+  // A priced item's nested price object is part of it, not another plan
+  const nested = extractApiPlans([{ url: 'https://api.example.com/products', body: [{ name: 'Premium', price: 9.99, prices: { price: 9.99, currency: 'USD' } }] }]);
+  assert.deepEqual(nested.map(plan => plan.name), ['Premium']);
+});
+
+test('comparePricing reports price and payment method changes against the previous run', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pricing-test-'));
+  try {
+    const record = { plans: [{ name: '4-Week Plan', price: 19.99, currency: '$' }], timers: [], paymentMethods: ['Visa'], apiPlans: [] };
+    const first = comparePricing({ key: 'funnel', runId: 'run-1', record, dir });
+    assert.equal(first.previousRunId, null);
+    assert.equal(first.total, 0);
+
+    const second = comparePricing({
+      key: 'funnel',
+      runId: 'run-2',
+      record: { ...record, plans: [{ ...record.plans[0], price: 24.99 }], paymentMethods: ['Visa', 'PayPal'] },
+      dir,
+    });
+    assert.equal(second.previousRunId, 'run-1');
+    assert.equal(second.total, 2);
+    assert.equal(summarizeDiff(second), '~ plans.4-Week Plan.price: 19.99 -> 24.99\n+ paymentMethods.PayPal: true');
+
+    // Plans of the same name are told apart by period, then by order
+    const premium = (monthly, yearly, again) => ({
+      ...record,
+      plans: [{ name: 'Premium', period: 'month', price: monthly }, { name: 'Premium', period: 'year', price: yearly }, { name: 'Premium', period: 'year', price: again }],
+    });
+    comparePricing({ key: 'premium', runId: 'run-1', record: premium(9.99, 59.99, 79.99), dir });
+    const third = comparePricing({ key: 'premium', runId: 'run-2', record: premium(9.99, 49.99, 79.99), dir });
+    assert.equal(summarizeDiff(third), '~ plans.Premium / year.price: 59.99 -> 49.99');
+    const fourth = comparePricing({ key: 'premium', runId: 'run-3', record: premium(9.99, 49.99, 69.99), dir });
+    assert.equal(summarizeDiff(fourth), '~ plans.Premium / year #2.price: 79.99 -> 69.99');
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
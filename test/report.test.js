@@ -0,0 +1,43 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const assert = require('node:assert/strict');
+const { test, beforeEach, afterEach } = require('node:test');
+const { PNG } = require('pngjs');
+const { createRunReport, renderHtml } = require('../lib/report');
+
+let dir;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'report-test-'));
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+// Left half red, right half blue
+function writeScreenshot(file, width, height) {
+  const png = new PNG({ width, height });
+  for (let i = 0; i < width * height; i++) {
+    const left = i % width < width / 2;
+    png.data.set([left ? 255 : 0, 0, left ? 0 : 255, 255], i * 4);
+  }
+  fs.writeFileSync(file, PNG.sync.write(png));
+}
+
+test('the HTML report inlines small previews that link to the full screenshots', () => {
+  const screenshot = path.join(dir, 'screenshot-1.png');
+  writeScreenshot(screenshot, 1280, 4000);
+  const report = createRunReport({ runId: 'run-1', funnel: 'yoga-go', startUrl: 'https://example.com/', dir });
+  report.startIteration('https://example.com/', { entries: [] }).screenshot = screenshot;
+  report.endIteration('https://example.com/', { entries: [] });
+
+  const html = renderHtml(report.data);
+  assert.match(html, /<a class="full" href="screenshot-1\.png"/);
+  const preview = PNG.sync.read(Buffer.from(/src="data:image\/png;base64,([^"]+)"/.exec(html)[1], 'base64'));
+  assert.equal(preview.width, 320);
+  assert.equal(preview.height, 1000);
+  assert.deepEqual([...preview.data.subarray(0, 4)], [255, 0, 0, 255]);
+  assert.deepEqual([...preview.data.subarray((320 - 1) * 4, 320 * 4)], [0, 0, 255, 255]);
+});
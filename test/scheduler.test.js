@@ -0,0 +1,108 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const assert = require('node:assert/strict');
+const { test, beforeEach, afterEach } = require('node:test');
+const { backoffDelay, nextRunTime, createScheduler } = require('../lib/scheduler');
+
+const MINUTE = 60 * 1000;
+let dir;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'scheduler-test-'));
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('backoff doubles with each failure up to the cap', () => {
+  assert.equal(backoffDelay(0), 0);
+  assert.equal(backoffDelay(1), 5 * MINUTE);
+  assert.equal(backoffDelay(2), 10 * MINUTE);
+  assert.equal(backoffDelay(3), 20 * MINUTE);
+  assert.equal(backoffDelay(20), 6 * 60 * MINUTE);
+  assert.equal(backoffDelay(3, 1000, 2500), 2500);
+});
+
+test('the next run is the next cron slot, or later while backing off', () => {
+  const now = new Date('2024-05-01T10:05:00Z');
+  const next = state => new Date(nextRunTime({ schedule: '*/30 * * * *', tz: 'UTC', jitterMs: 0, state, now })).toISOString();
+
+  assert.equal(next({ consecutiveFailures: 0, lastRun: null }), '2024-05-01T10:30:00.000Z');
+  // 4 failures back off for 40 minutes from the end of the last run, past the 10:30 slot
+  const lastRun = { finishedAt: '2024-05-01T10:00:00Z' };
+  assert.equal(next({ consecutiveFailures: 4, lastRun }), '2024-05-01T10:40:00.000Z');
+  assert.equal(next({ consecutiveFailures: 1, lastRun }), '2024-05-01T10:30:00.000Z');
+  const jittered = nextRunTime({ schedule: '*/30 * * * *', tz: 'UTC', jitterMs: MINUTE, state: { consecutiveFailures: 0 }, now });
+  assert.ok(jittered >= Date.parse('2024-05-01T10:30:00Z') && jittered < Date.parse('2024-05-01T10:31:00Z'));
+});
+
+test('runNow never starts a second crawl while one is running', async () => {
+  let calls = 0;
+  let finish;
+  const scheduler = createScheduler({
+    task: () => {
+      calls++;
+      return new Promise(resolve => { finish = resolve; });
+    },
+    stateFile: path.join(dir, 'state.json'),
+  });
+  const first = scheduler.runNow();
+  const second = scheduler.runNow();
+  assert.ok(scheduler.status().running);
+  finish({ status: 'stuck' });
+  const [a, b] = await Promise.all([first, second]);
+
+  assert.equal(calls, 1);
+  assert.equal(a, b);
+  assert.equal(a.status, 'stuck');
+  assert.equal(scheduler.status().running, null);
+  assert.equal(JSON.parse(fs.readFileSync(path.join(dir, 'state.json'), 'utf-8')).lastRun.status, 'stuck');
+});
+
+test('failed runs count towards the backoff and a success resets it', async () => {
+  let fail = true;
+  const scheduler = createScheduler({
+    task: async () => {
+      if (fail) {
+        throw new Error('net::ERR_NAME_NOT_RESOLVED');
+      }
+      return { status: 'completed' };
+    },
+    stateFile: path.join(dir, 'state.json'),
+  });
+  assert.equal((await scheduler.runNow()).status, 'error');
+  await scheduler.runNow();
+  assert.equal(scheduler.status().consecutiveFailures, 2);
+  fail = false;
+  await scheduler.runNow();
+  assert.equal(scheduler.status().consecutiveFailures, 0);
+});
+
+test('stop cancels the next slot and aborts the running crawl', async () => {
+  let signal;
+  const scheduler = createScheduler({
+    task: taskSignal => {
+      signal = taskSignal;
+      return new Promise(resolve => taskSignal.addEventListener('abort', () => resolve({ status: 'aborted' })));
+    },
+    stateFile: path.join(dir, 'state.json'),
+  });
+  await scheduler.start();
+  assert.ok(scheduler.status().nextRunAt);
+  const run = scheduler.runNow();
+  await scheduler.stop();
+
+  assert.equal(signal.aborted, true);
+  assert.equal((await run).status, 'aborted');
+  assert.equal(scheduler.status().stopped, true);
+});
+
+test('a state file that can\'t be written doesn\'t fail the run', async () => {
+  const scheduler = createScheduler({
+    task: async () => ({ status: 'completed' }),
+    stateFile: path.join(dir, 'missing', 'state.json'),
+  });
+  assert.equal((await scheduler.runNow()).status, 'completed');
+});
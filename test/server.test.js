@@ -0,0 +1,152 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const assert = require('node:assert/strict');
+const { test, before, after } = require('node:test');
+const { createRunReport, writeReport } = require('../lib/report');
+const { startStatusServer } = require('../lib/server');
+
+const TOKEN = 'test-token';
+let outputDir;
+let server;
+let base;
+let triggered = 0;
+
+// Stands in for the watch daemon's scheduler; only what the server reads
+const scheduler = {
+  running: null,
+  status() {
+    return { schedule: '*/30 * * * *', stopped: false, running: this.running, nextRunAt: null, consecutiveFailures: 0, lastRun: null, history: [] };
+  },
+  async runNow() {
+    triggered++;
+  },
+};
+
+function request(pathname, { method = 'GET', token = TOKEN } = {}) {
+  return fetch(`${base}${pathname}`, { method, headers: token ? { authorization: `Bearer ${token}` } : {} });
+}
+
+before(async () => {
+  outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'server-test-'));
+  const dir = path.join(outputDir, 'screenshots-2024-05-01T10-00-00-000Z');
+  fs.mkdirSync(dir);
+  fs.writeFileSync(path.join(dir, 'screenshot-1.png'), 'png');
+  fs.writeFileSync(path.join(dir, 'copy-1.txt'), 'What is your level?');
+  const report = createRunReport({ runId: '2024-05-01T10-00-00-000Z', funnel: 'yoga-go', startUrl: 'https://example.com', dir });
+  report.finish('completed');
+  writeReport(report.data, dir);
+  fs.writeFileSync(path.join(outputDir, 'history.jsonl'), `${JSON.stringify({ field: 'some_field', path: 'some_field', value: 'a', runId: 'r1', funnel: 'yoga-go', observedAt: '2024-05-01T10:00:00.000Z' })}\n`);
+  fs.writeFileSync(path.join(outputDir, 'metrics.jsonl'), `${JSON.stringify({
+    funnel: 'yoga-go',
+    profile: 'default',
+    runId: '2024-05-01T10-00-00-000Z',
+    recordedAt: '2024-05-01T10:01:00.000Z',
+    totals: { status: 'completed', durationMs: 60000, steps: 1, requests: 12, failedRequests: 0, bytes: 2048, consoleErrors: 1, retries: 0, stuck: false },
+    steps: [{ step: 1, stepType: 'skip_button', timeToInteractiveMs: 1500, navigationMs: null, retries: 0, requests: 12, failedRequests: 0, bytes: 2048, consoleErrors: 1 }],
+  })}\n`);
+  server = await startStatusServer({
+    port: 0,
+    scheduler,
+    outputDir,
+    historyFile: path.join(outputDir, 'history.jsonl'),
+    metricsFile: path.join(outputDir, 'metrics.jsonl'),
+    token: TOKEN,
+  });
+  base = `http://127.0.0.1:${server.port}`;
+});
+
+after(async () => {
+  if (server) {
+    await server.close();
+  }
+  fs.rmSync(outputDir, { recursive: true, force: true });
+});
+
+test('health checks and the dashboard need no token', async () => {
+  assert.equal((await request('/healthz', { token: null })).status, 200);
+  assert.equal((await request('/readyz', { token: null })).status, 200);
+  const dashboard = await request('/', { token: null });
+  assert.equal(dashboard.status, 200);
+  assert.match(await dashboard.text(), /Funnel monitor/);
+});
+
+test('the API rejects a missing or wrong token', async () => {
+  assert.equal((await request('/api/status', { token: null })).status, 401);
+  assert.equal((await request('/api/status', { token: 'wrong' })).status, 401);
+  // The token is never accepted in the URL
+  assert.equal((await fetch(`${base}/api/status?token=${TOKEN}`)).status, 401);
+});
+
+test('runs are listed and served with their files', async () => {
+  const { runs } = await (await request('/api/runs')).json();
+  assert.deepEqual(runs.map(run => [run.runId, run.funnel, run.status]), [['2024-05-01T10-00-00-000Z', 'yoga-go', 'completed']]);
+
+  const detail = await (await request('/api/runs/2024-05-01T10-00-00-000Z')).json();
+  assert.equal(detail.status, 'completed');
+  assert.ok(detail.files.includes('screenshot-1.png'));
+  const image = await request('/api/runs/2024-05-01T10-00-00-000Z/files/screenshot-1.png');
+  assert.equal(image.headers.get('content-type'), 'image/png');
+  assert.equal(await image.text(), 'png');
+
+  assert.equal((await request('/api/runs/2024-05-01T10-00-00-000Z/files/copy-1.txt')).headers.get('content-type'), 'text/plain; charset=utf-8');
+
+  assert.equal((await request('/api/runs/nope')).status, 404);
+  assert.equal((await request('/api/runs/2024-05-01T10-00-00-000Z/files/..%2F..%2Fetc%2Fpasswd')).status, 404);
+  assert.equal((await request('/api/runs/2024-05-01T10-00-00-000Z/files/%E0%A4%A')).status, 400);
+});
+
+test('a file removed while it is being served is a 404, not a crash', async () => {
+  const dir = path.join(outputDir, 'screenshots-2024-05-01T10-00-00-000Z');
+  fs.writeFileSync(path.join(dir, 'screenshot-2.png'), 'png');
+  const createReadStream = fs.createReadStream;
+  // Removed after the handler checked it exists, before it is read
+  fs.createReadStream = (file, ...rest) => {
+    fs.unlinkSync(file);
+    return createReadStream(file, ...rest);
+  };
+  try {
+    assert.equal((await request('/api/runs/2024-05-01T10-00-00-000Z/files/screenshot-2.png')).status, 404);
+  } finally {
+    fs.createReadStream = createReadStream;
+  }
+  assert.equal((await request('/healthz')).status, 200);
+});
+
+test('file links of a run detail open without the token until they expire', async () => {
+  const { fileQuery } = await (await request('/api/runs/2024-05-01T10-00-00-000Z')).json();
+  assert.doesNotMatch(fileQuery, new RegExp(TOKEN));
+  const file = `/api/runs/2024-05-01T10-00-00-000Z/files/screenshot-1.png?${fileQuery}`;
+  assert.equal((await request(file, { token: null })).status, 200);
+  // Only for that run's files, and not once expired or tampered with
+  const params = new URLSearchParams(fileQuery);
+  assert.equal((await request(`/api/runs/2024-05-01T10-00-00-000Z?${fileQuery}`, { token: null })).status, 401);
+  assert.equal((await request(`/api/runs/other-run/files/screenshot-1.png?${fileQuery}`, { token: null })).status, 401);
+  params.set('expires', String(Date.now() - 1000));
+  assert.equal((await request(`/api/runs/2024-05-01T10-00-00-000Z/files/screenshot-1.png?${params}`, { token: null })).status, 401);
+});
+
+test('metrics are served in Prometheus text format', async () => {
+  assert.equal((await request('/metrics', { token: null })).status, 401);
+  const res = await request('/metrics');
+  assert.match(res.headers.get('content-type'), /^text\/plain; version=0\.0\.4/);
+  const text = await res.text();
+  assert.match(text, /^funnel_monitor_runs_total\{funnel="yoga-go",profile="default",status="completed"\} 1$/m);
+  assert.match(text, /^funnel_monitor_step_time_to_interactive_seconds\{funnel="yoga-go",profile="default",step="1",step_type="skip_button"\} 1\.5$/m);
+});
+
+test('status and history come from the scheduler and history file', async () => {
+  const status = await (await request('/api/status')).json();
+  assert.equal(status.latestRun.runId, '2024-05-01T10-00-00-000Z');
+  const history = await (await request('/api/history?field=some_field')).json();
+  assert.deepEqual(history.values.map(row => row.value), ['a']);
+});
+
+test('a run can be triggered unless one is in progress', async () => {
+  assert.equal((await request('/api/runs', { method: 'POST' })).status, 202);
+  assert.equal(triggered, 1);
+  scheduler.running = { startedAt: new Date().toISOString() };
+  assert.equal((await request('/api/runs', { method: 'POST' })).status, 409);
+  scheduler.running = null;
+  assert.equal((await request('/api/runs', { method: 'DELETE' })).status, 405);
+});
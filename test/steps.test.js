@@ -0,0 +1,189 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const assert = require('node:assert/strict');
+const { test, before, after, beforeEach, afterEach } = require('node:test');
+const { chromium } = require('playwright');
+const { loadFunnel, DEFAULT_FUNNEL_FILE } = require('../lib/funnel');
+const { buildStepTypes, detectStep, detectTerminal, evaluateCondition } = require('../lib/steps');
+const { buildHeuristicStep, plausibleValue } = require('../lib/heuristic');
+const { DEFAULT_PERSONA, resolvePersona, personaVars } = require('../lib/personas');
+const { startFixtureServer } = require('./fixtures/server');
+
+// Drives the real funnel's step handlers against the fixture pages: which step type wins
+// detection, what its actions did, and where the page ended up.
+const funnel = loadFunnel(DEFAULT_FUNNEL_FILE);
+const vars = { ...funnel.vars, ...personaVars(resolvePersona(DEFAULT_PERSONA)), email: 'test@example.com' };
+const STEP_TIMEOUT_MS = 30000;
+
+let server;
+let browser;
+let context;
+let page;
+let screenshotsDir;
+
+before(async () => {
+  screenshotsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'crawler-test-'));
+  server = await startFixtureServer();
+  browser = await chromium.launch({ headless: true });
+});
+
+after(async () => {
+  await server.close();
+  if (browser) {
+    await browser.close();
+  }
+  fs.rmSync(screenshotsDir, { recursive: true, force: true });
+});
+
+beforeEach(async () => {
+  context = await browser.newContext();
+  page = await context.newPage();
+});
+
+afterEach(async () => {
+  if (context) {
+    await context.close();
+  }
+});
+
+// Opens a fixture page, then detects and solves one step the way the crawler's main loop does
+async function runStep(fixture) {
+  await page.goto(`${server.url}/${fixture}`);
+  const stepType = await detectStep(buildStepTypes(page, { funnel, screenshotsDir, vars }));
+  if (!stepType) {
+    return { stepType: null };
+  }
+  return { stepType: stepType.name, ...(await stepType.solve()) };
+}
+
+function query(name) {
+  return new URL(page.url()).searchParams.getAll(name);
+}
+
+test('skip_button clicks skip and ignores back', { timeout: STEP_TIMEOUT_MS }, async () => {
+  const result = await runStep('skip.html');
+  assert.equal(result.stepType, 'skip_button');
+  assert.equal(result.success, true);
+  assert.equal(result.actions[0].detail, 'ob_skip - Skip');
+  await page.waitForURL(/done\.html/);
+  assert.deepEqual(query('from'), ['skip']);
+});
+
+test('skip_button is not detected for a back button alone', { timeout: STEP_TIMEOUT_MS }, async () => {
+  const result = await runStep('back-only.html');
+  assert.equal(result.stepType, 'option');
+});
+
+test('multi_select_button wins over option and submits the first choice', { timeout: STEP_TIMEOUT_MS }, async () => {
+  const result = await runStep('multi-select.html');
+  assert.equal(result.stepType, 'multi_select_button');
+  assert.equal(result.success, true);
+  assert.deepEqual(result.actions.map(action => action.action), ['select-nth', 'wait-for', 'screenshot', 'dump', 'click']);
+  assert.equal(result.actions[0].detail, '[0] multi_select_flexibility - ');
+  assert.equal(result.actions[1].ok, true);
+  assert.ok(fs.existsSync(result.actions[2].screenshot));
+  await page.waitForURL(/done\.html/);
+  assert.deepEqual(query('goal'), ['flexibility']);
+});
+
+test('email_input fills the generated email and continues', { timeout: STEP_TIMEOUT_MS }, async () => {
+  const result = await runStep('email.html');
+  assert.equal(result.stepType, 'email_input');
+  assert.equal(result.actions[0].detail, vars.email);
+  await page.waitForURL(/done\.html/);
+  assert.deepEqual(query('email'), [vars.email]);
+});
+
+test('number_input fills the inputs present and skips the missing ones', { timeout: STEP_TIMEOUT_MS }, async () => {
+  const result = await runStep('number.html');
+  assert.equal(result.stepType, 'number_input');
+  assert.deepEqual(result.actions.map(action => action.ok), [true, true, false, true]);
+  await page.waitForURL(/done\.html/);
+  assert.deepEqual(query('height'), [vars.height]);
+  assert.deepEqual(query('weight'), [vars.weight]);
+});
+
+test('single_button clicks the continue CTA', { timeout: STEP_TIMEOUT_MS }, async () => {
+  const result = await runStep('single-button.html');
+  assert.equal(result.stepType, 'single_button');
+  assert.equal(result.success, true);
+  await page.waitForURL(/done\.html/);
+  assert.deepEqual(query('from'), ['cta']);
+});
+
+test('single_button is not detected for a back CTA', { timeout: STEP_TIMEOUT_MS }, async () => {
+  const result = await runStep('back-cta.html');
+  assert.equal(result.stepType, null);
+});
+
+test('option selects the first option', { timeout: STEP_TIMEOUT_MS }, async () => {
+  const result = await runStep('option.html');
+  assert.equal(result.stepType, 'option');
+  assert.equal(result.actions[0].detail, '[0] option_beginner - Beginner');
+  assert.deepEqual(query('level'), ['beginner']);
+});
+
+test('single_option checks the first radio', { timeout: STEP_TIMEOUT_MS }, async () => {
+  const result = await runStep('single-select.html');
+  assert.equal(result.stepType, 'single_option');
+  assert.equal(result.actions[2].ok, true);
+  assert.equal(await page.isChecked('input[data-locator=single_select_never]'), true);
+  assert.equal(await page.isChecked('input[data-locator=single_select_weekly]'), false);
+});
+
+test('occasion_result_screen clicks through on a result URL', { timeout: STEP_TIMEOUT_MS }, async () => {
+  const result = await runStep('result.html');
+  assert.equal(result.stepType, 'occasion_result_screen');
+  await page.waitForURL(/done\.html/);
+  assert.deepEqual(query('from'), ['result']);
+});
+
+test('occasion_result_screen needs "result" in the URL', { timeout: STEP_TIMEOUT_MS }, async () => {
+  const result = await runStep('occasion.html');
+  assert.equal(result.stepType, null);
+});
+
+test('no step is detected on the final page', { timeout: STEP_TIMEOUT_MS }, async () => {
+  const result = await runStep('done.html');
+  assert.equal(result.stepType, null);
+});
+
+test('a terminal state is detected even where a step would match', { timeout: STEP_TIMEOUT_MS }, async () => {
+  await page.goto(`${server.url}/paywall.html`);
+  const terminal = await detectTerminal(page, { funnel, networkLog: { entries: [] } });
+  assert.equal(terminal && terminal.name, 'paywall');
+  assert.equal(await detectTerminal(page, { funnel: { ...funnel, terminal: [] } }), null);
+});
+
+test('request conditions look at the calls made so far', { timeout: STEP_TIMEOUT_MS }, async () => {
+  await page.goto(`${server.url}/done.html`);
+  const networkLog = { entries: [{ method: 'POST', url: `${server.url}/api/payment-intent`, type: 'fetch', status: 200 }] };
+  assert.equal(await evaluateCondition(page, { request: '/api/payment-intent' }, { funnel, networkLog }), true);
+  assert.equal(await evaluateCondition(page, { requestPattern: 'checkout$' }, { funnel, networkLog }), false);
+});
+
+test('the heuristic solver fills required inputs, chooses and continues on a screen no step knows', { timeout: STEP_TIMEOUT_MS }, async () => {
+  const result = await runStep('unknown.html');
+  assert.equal(result.stepType, null);
+  const heuristic = buildHeuristicStep(page, { funnel, vars });
+  assert.equal(await heuristic.detect(), true);
+  const solved = await heuristic.solve();
+  assert.equal(solved.success, true);
+  assert.deepEqual(solved.actions.map(action => [action.action, action.ok, action.heuristic]), [
+    ['fill', true, true],
+    ['choose', true, true],
+    ['click', true, true],
+  ]);
+  await page.waitForURL(/done\.html/);
+  assert.deepEqual(query('name'), ['Alex']);
+  assert.deepEqual(query('promo'), ['']);
+  assert.deepEqual(query('focus'), ['mind']);
+});
+
+test('heuristic values follow the input type and its hints', () => {
+  assert.equal(plausibleValue({ type: 'text', name: 'user_email', locator: '', label: '' }, vars), vars.email);
+  assert.equal(plausibleValue({ type: 'number', name: '', locator: 'ob_weight', label: '' }, vars), vars.weight);
+  assert.equal(plausibleValue({ type: 'date', name: 'dob', locator: '', label: '' }, vars), '1994-05-15');
+  assert.equal(plausibleValue({ type: 'text', name: '', locator: '', label: 'Date of birth' }, vars), '05/15/1994');
+});
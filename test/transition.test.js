@@ -0,0 +1,54 @@
+const assert = require('node:assert/strict');
+const { test, before, after } = require('node:test');
+const { chromium } = require('playwright');
+const { watchTransition, waitForSettled } = require('../lib/transition');
+const { startFixtureServer } = require('./fixtures/server');
+
+let server;
+let browser;
+
+before(async () => {
+  server = await startFixtureServer();
+  browser = await chromium.launch({ headless: true });
+});
+
+after(async () => {
+  await server.close();
+  if (browser) {
+    await browser.close();
+  }
+});
+
+test('a click is done once the next screen rendered, not after a fixed sleep', async () => {
+  const page = await browser.newPage();
+  try {
+    await page.goto(`${server.url}/slow-transition.html`);
+    const transition = await watchTransition(page, { controls: ['[data-locator=option]'], config: { quietMs: 200 } });
+    await page.click('[data-locator=option] >> nth=0');
+    const { reason, ms } = await transition.wait(5000);
+
+    assert.equal(reason, 'detached');
+    assert.ok(ms >= 700 && ms < 3000, `waited ${ms} ms`);
+    assert.equal(await page.textContent('#title'), 'What is your goal?');
+  } finally {
+    await page.close();
+  }
+});
+
+test('navigations end the wait, and a screen that never changes times out at the bound', async () => {
+  const page = await browser.newPage();
+  try {
+    await page.goto(`${server.url}/single-button.html`);
+    const navigation = await watchTransition(page);
+    await page.click('[data-locator=CTAButton]');
+    assert.equal((await navigation.wait(5000)).reason, 'url');
+
+    const stuck = await watchTransition(page);
+    const { reason, ms } = await stuck.wait(500);
+    assert.equal(reason, 'timeout');
+    assert.ok(ms < 1500, `waited ${ms} ms`);
+    assert.equal(await waitForSettled(page, { quietMs: 100, timeout: 1000 }), true);
+  } finally {
+    await page.close();
+  }
+});
@@ -0,0 +1,68 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const assert = require('node:assert/strict');
+const { test, beforeEach, afterEach } = require('node:test');
+const { PNG } = require('pngjs');
+const { maskOptions, compareWithBaseline } = require('../lib/visual');
+
+let dir;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'visual-test-'));
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+// A width x height PNG of one gray level
+function writePng(name, width, height, gray) {
+  const png = new PNG({ width, height });
+  for (let i = 0; i < width * height; i++) {
+    png.data.set([gray, gray, gray, 255], i * 4);
+  }
+  const file = path.join(dir, name);
+  fs.writeFileSync(file, PNG.sync.write(png));
+  return file;
+}
+
+const compare = (file, options) => compareWithBaseline({ funnel: 'yoga-go', key: 'option:/onboarding/goal#1', file, diffDir: dir, options, baselinesDir: path.join(dir, 'baselines') });
+
+test('the first screenshot of a screen becomes its baseline', () => {
+  assert.equal(compare(writePng('first.png', 20, 20, 255)).status, 'baseline-created');
+  assert.equal(compare(writePng('second.png', 20, 20, 255)).status, 'unchanged');
+});
+
+test('the pixel threshold decides which color differences count', () => {
+  compare(writePng('baseline.png', 20, 20, 255));
+  const slightlyDarker = writePng('actual.png', 20, 20, 240);
+
+  assert.equal(compare(slightlyDarker).status, 'unchanged');
+  const strict = compare(slightlyDarker, { threshold: 0 });
+  assert.equal(strict.status, 'changed');
+  assert.equal(strict.ratio, 1);
+  assert.ok(fs.existsSync(strict.diffFile));
+  // Below the tolerance a difference is not a change
+  assert.equal(compare(slightlyDarker, { threshold: 0, tolerance: 1 }).status, 'unchanged');
+});
+
+test('screenshots of another size are compared on a common canvas with a diff image', () => {
+  compare(writePng('baseline.png', 20, 20, 255));
+  const result = compare(writePng('taller.png', 20, 30, 255));
+
+  assert.equal(result.status, 'changed');
+  assert.equal(result.note, 'size 20x20 -> 20x30');
+  // The added rows are the change
+  assert.equal(result.ratio, 10 / 30);
+  const diff = PNG.sync.read(fs.readFileSync(result.diffFile));
+  assert.deepEqual([diff.width, diff.height], [20, 30]);
+});
+
+test('maskOptions paints over the funnel\'s dynamic regions', () => {
+  const page = { locator: selector => ({ selector }) };
+  assert.deepEqual(maskOptions(page, { visual: { mask: ['.timer', '[data-locator=countdown]'] } }), {
+    mask: [{ selector: '.timer' }, { selector: '[data-locator=countdown]' }],
+  });
+  assert.deepEqual(maskOptions(page, {}), {});
+});